@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { GridFSBucket, ObjectId } = require('mongodb');
+
+// Binary store for chat images (and uploaded CSV/JSON datasets), so documents
+// hold ids instead of inline payloads. Two backends share one interface:
+//
+//   save({ buffer, contentType, username, name }) → { id, contentType, size }
+//   find(id)           → { id, contentType, size, username, name, createdAt } | null
+//   openStream(id)     → readable stream of the bytes
+//   remove(ids)        → deletes the given attachments
+//   removeByOwner(username)
+//
+// GridFS (the default) keeps everything in Mongo; ATTACHMENT_STORE=disk writes
+// files under ATTACHMENT_DIR instead, which is handy locally.
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_BYTES = 20 * 1024 * 1024;
+
+const toObjectId = (id) => (ObjectId.isValid(id) ? new ObjectId(id) : null);
+
+function createGridFsStore(getDb, { bucketName = 'attachments' } = {}) {
+  const bucket = () => new GridFSBucket(getDb(), { bucketName });
+
+  const describe = (file) => ({
+    id: file._id.toString(),
+    contentType: file.metadata?.contentType,
+    size: file.length,
+    username: file.metadata?.username,
+    name: file.filename,
+    createdAt: file.uploadDate,
+  });
+
+  async function save({ buffer, contentType, username, name = 'file' }) {
+    const upload = bucket().openUploadStream(name, { metadata: { username, contentType } });
+    await new Promise((resolve, reject) => {
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+    return { id: upload.id.toString(), contentType, size: buffer.length };
+  }
+
+  async function find(id) {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    const file = await bucket().find({ _id }).next();
+    return file ? describe(file) : null;
+  }
+
+  const openStream = (id) => bucket().openDownloadStream(new ObjectId(id));
+
+  async function remove(ids) {
+    for (const _id of ids.map(toObjectId).filter(Boolean)) {
+      await bucket()
+        .delete(_id)
+        .catch(() => {}); // already gone
+    }
+  }
+
+  async function removeByOwner(username) {
+    const files = await bucket().find({ 'metadata.username': username }).toArray();
+    await remove(files.map((f) => f._id.toString()));
+  }
+
+  return { save, find, openStream, remove, removeByOwner };
+}
+
+// Each attachment is `<id>` (bytes) plus `<id>.json` (metadata) in `dir`.
+function createDiskStore(dir) {
+  const filePath = (id) => path.join(dir, id);
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+
+  async function save({ buffer, contentType, username, name = 'file' }) {
+    const id = new ObjectId().toString();
+    const meta = { id, contentType, size: buffer.length, username, name, createdAt: new Date() };
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(filePath(id), buffer);
+    await fs.promises.writeFile(metaPath(id), JSON.stringify(meta));
+    return { id, contentType, size: buffer.length };
+  }
+
+  async function find(id) {
+    if (!ObjectId.isValid(id)) return null;
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(metaPath(String(id)), 'utf8'));
+      return { ...meta, createdAt: new Date(meta.createdAt) };
+    } catch {
+      return null;
+    }
+  }
+
+  const openStream = (id) => fs.createReadStream(filePath(id));
+
+  async function remove(ids) {
+    for (const id of ids.filter((i) => ObjectId.isValid(i)).map(String)) {
+      await fs.promises.rm(filePath(id), { force: true });
+      await fs.promises.rm(metaPath(id), { force: true });
+    }
+  }
+
+  async function removeByOwner(username) {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch {
+      return; // nothing stored yet
+    }
+    const owned = [];
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      const meta = await find(name.slice(0, -5));
+      if (meta?.username === username) owned.push(meta.id);
+    }
+    await remove(owned);
+  }
+
+  return { save, find, openStream, remove, removeByOwner };
+}
+
+// `bucketName` doubles as the subfolder of ATTACHMENT_DIR for the disk store.
+function createAttachmentStore(getDb, { bucketName = 'attachments' } = {}) {
+  if (process.env.ATTACHMENT_STORE === 'disk') {
+    const root = path.resolve(process.env.ATTACHMENT_DIR || 'attachments');
+    return createDiskStore(bucketName === 'attachments' ? root : path.join(root, bucketName));
+  }
+  return createGridFsStore(getDb, { bucketName });
+}
+
+// Mounted behind requireAuth. Attachments are only visible to their uploader.
+function createAttachmentRouter({ store, allowedTypes = IMAGE_TYPES, maxBytes = MAX_BYTES }) {
+  const router = express.Router();
+
+  // Upload: raw bytes with the file's Content-Type; optional ?name=
+  // → { id, contentType, size }
+  router.post('/', express.raw({ type: () => true, limit: maxBytes }), async (req, res) => {
+    try {
+      const contentType = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      if (!allowedTypes.includes(contentType))
+        return res.status(415).json({ error: `Unsupported content type. Allowed: ${allowedTypes.join(', ')}` });
+      if (!Buffer.isBuffer(req.body) || !req.body.length)
+        return res.status(400).json({ error: 'Request body required' });
+      const saved = await store.save({
+        buffer: req.body,
+        contentType,
+        username: req.user.username,
+        name: String(req.query.name || 'file').slice(0, 200),
+      });
+      res.status(201).json(saved);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Attachments never change once written, so clients may cache them forever.
+  router.get('/:id', async (req, res) => {
+    try {
+      const meta = await store.find(req.params.id);
+      if (!meta || meta.username !== req.user.username)
+        return res.status(404).json({ error: 'Attachment not found' });
+
+      const etag = `"${meta.id}"`;
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+      res.setHeader('Last-Modified', meta.createdAt.toUTCString());
+      if (req.get('if-none-match') === etag) return res.status(304).end();
+
+      res.setHeader('Content-Type', meta.contentType);
+      res.setHeader('Content-Length', meta.size);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      const stream = store.openStream(meta.id);
+      stream.on('error', (err) => {
+        if (res.headersSent) return res.destroy(err);
+        res.removeHeader('Content-Length');
+        res.status(500).json({ error: err.message });
+      });
+      stream.pipe(res);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+// Wraps a body parser so it skips the upload routes. express.json runs app-wide,
+// and on an application/json dataset it would consume the body (and enforce its
+// own size limit) before the router's express.raw ever saw the bytes.
+function skipPaths(prefixes, parser) {
+  return (req, res, next) =>
+    prefixes.some((p) => req.path === p || req.path.startsWith(`${p}/`)) ? next() : parser(req, res, next);
+}
+
+module.exports = { createAttachmentStore, createGridFsStore, createDiskStore, createAttachmentRouter, skipPaths };
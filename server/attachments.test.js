@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createDiskStore, createAttachmentRouter, skipPaths } = require('./attachments');
+
+// Same middleware order as index.js: the app-wide JSON parser comes first, and
+// the datasets router must still get application/json uploads as raw bytes.
+
+let dir;
+let server;
+let base;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'datasets-'));
+  const app = express();
+  app.use(skipPaths(['/api/attachments', '/api/datasets'], express.json({ limit: '10mb' })));
+  app.use('/api/datasets', (req, res, next) => {
+    req.user = { username: req.get('x-user') || 'alice' };
+    next();
+  });
+  app.use(
+    '/api/datasets',
+    createAttachmentRouter({
+      store: createDiskStore(dir),
+      allowedTypes: ['text/csv', 'application/json'],
+      maxBytes: 50 * 1024 * 1024,
+    })
+  );
+  app.post('/api/echo', (req, res) => res.json(req.body));
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+const upload = (text, contentType = 'application/json') =>
+  fetch(`${base}/api/datasets?name=channel.json`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType },
+    body: text,
+  });
+
+test('uploads a JSON dataset and restores the same text', async () => {
+  const text = JSON.stringify({ channel: 'Veritasium', videos: [{ title: 'a', view_count: 1 }] }, null, 2);
+  const res = await upload(text);
+  assert.equal(res.status, 201);
+  const { id, contentType, size } = await res.json();
+  assert.equal(contentType, 'application/json');
+  assert.equal(size, Buffer.byteLength(text));
+
+  const back = await fetch(`${base}/api/datasets/${id}`);
+  assert.equal(back.status, 200);
+  assert.equal(back.headers.get('content-type'), 'application/json');
+  assert.equal(await back.text(), text);
+});
+
+test('accepts JSON datasets above the app-wide 10 MB JSON limit', async () => {
+  const text = JSON.stringify({ padding: 'x'.repeat(11 * 1024 * 1024) });
+  const res = await upload(text);
+  assert.equal(res.status, 201);
+  assert.equal((await res.json()).size, text.length);
+});
+
+test('other users cannot restore the dataset', async () => {
+  const { id } = await (await upload('{"videos":[]}')).json();
+  const res = await fetch(`${base}/api/datasets/${id}`, { headers: { 'x-user': 'bob' } });
+  assert.equal(res.status, 404);
+});
+
+test('rejects unsupported types and empty bodies', async () => {
+  assert.equal((await upload('abc', 'text/plain')).status, 415);
+  assert.equal((await upload('')).status, 400);
+});
+
+test('other routes still get parsed JSON bodies', async () => {
+  const res = await fetch(`${base}/api/echo`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"a":1}',
+  });
+  assert.deepEqual(await res.json(), { a: 1 });
+});
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Opaque bearer tokens stored in Mongo. Only a SHA-256 hash of each token is
+// kept in `auth_tokens`, so a database dump can't be replayed as a login.
+// `getDb` is a getter because the connection is made after routes are defined.
+
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const bearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+function createAuth(getDb) {
+  const tokens = () => getDb().collection('auth_tokens');
+  const resets = () => getDb().collection('password_resets');
+
+  // Expired tokens are removed by Mongo's TTL monitor.
+  async function ensureIndexes() {
+    await tokens().createIndex({ tokenHash: 1 }, { unique: true });
+    await tokens().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await resets().createIndex({ tokenHash: 1 }, { unique: true });
+    await resets().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  async function issueToken(username) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    await tokens().insertOne({
+      tokenHash: hashToken(token),
+      username,
+      createdAt: new Date(now),
+      expiresAt: new Date(now + TOKEN_TTL_MS),
+    });
+    return token;
+  }
+
+  async function revokeToken(token) {
+    if (token) await tokens().deleteOne({ tokenHash: hashToken(token) });
+  }
+
+  // Logs the user out everywhere, optionally keeping the caller's own token.
+  async function revokeAllTokens(username, exceptToken = null) {
+    const filter = { username };
+    if (exceptToken) filter.tokenHash = { $ne: hashToken(exceptToken) };
+    await tokens().deleteMany(filter);
+  }
+
+  // One-time password reset token. Issuing a new one replaces any earlier
+  // unused token for the same user.
+  async function issueResetToken(username) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const now = Date.now();
+    await resets().deleteMany({ username });
+    await resets().insertOne({
+      tokenHash: hashToken(token),
+      username,
+      createdAt: new Date(now),
+      expiresAt: new Date(now + RESET_TTL_MS),
+    });
+    return token;
+  }
+
+  // Deletes the reset token and returns its username, or null when the token
+  // is unknown, already used or expired.
+  async function consumeResetToken(token) {
+    if (!token) return null;
+    const doc = await resets().findOneAndDelete({ tokenHash: hashToken(String(token)) });
+    if (!doc || doc.expiresAt < new Date()) return null;
+    return doc.username;
+  }
+
+  async function deleteUserTokens(username) {
+    await tokens().deleteMany({ username });
+    await resets().deleteMany({ username });
+  }
+
+  // Rejects with 401 unless the request carries a live token; sets
+  // req.user = { username } and req.token for the handlers below it.
+  async function requireAuth(req, res, next) {
+    try {
+      const token = bearerToken(req);
+      if (!token) return res.status(401).json({ error: 'Authentication required' });
+      const doc = await tokens().findOne({ tokenHash: hashToken(token) });
+      if (!doc || doc.expiresAt < new Date())
+        return res.status(401).json({ error: 'Session expired, please log in again' });
+      req.user = { username: doc.username };
+      req.token = token;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  return {
+    ensureIndexes,
+    issueToken,
+    revokeToken,
+    revokeAllTokens,
+    issueResetToken,
+    consumeResetToken,
+    deleteUserTokens,
+    requireAuth,
+  };
+}
+
+module.exports = { createAuth };
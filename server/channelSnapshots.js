@@ -0,0 +1,115 @@
+// Stored channel downloads, so view counts can be followed after release.
+// `channels` holds one document per (user, channel) with the ids of every
+// video seen so far; `channel_snapshots` holds the stats of those videos at
+// each download or refresh. Titles and descriptions are not copied into
+// snapshots — the latest download has them.
+
+const METRICS = ['view_count', 'like_count', 'comment_count'];
+
+function createChannelSnapshots(getDb) {
+  const channels = () => getDb().collection('channels');
+  const snapshots = () => getDb().collection('channel_snapshots');
+
+  async function ensureIndexes() {
+    await channels().createIndex({ username: 1, channel_id: 1 }, { unique: true });
+    await snapshots().createIndex({ username: 1, channel_id: 1, taken_at: 1 });
+  }
+
+  // Saves one { channel, videos } download (or refresh) for `username`.
+  async function record(username, { channel, videos }) {
+    const takenAt = new Date(channel.downloaded_at || Date.now());
+    await snapshots().insertOne({
+      username,
+      channel_id: channel.id,
+      taken_at: takenAt,
+      channel: {
+        subscriber_count: channel.subscriber_count ?? null,
+        view_count: channel.view_count ?? null,
+        video_count: channel.video_count ?? null,
+      },
+      videos: videos.map((v) => ({
+        video_id: v.video_id,
+        view_count: v.view_count ?? null,
+        like_count: v.like_count ?? null,
+        comment_count: v.comment_count ?? null,
+      })),
+    });
+    await channels().updateOne(
+      { username, channel_id: channel.id },
+      {
+        $set: {
+          handle: channel.handle || null,
+          url: channel.url,
+          title: channel.title,
+          thumbnail_url: channel.thumbnail_url || null,
+          last_snapshot_at: takenAt,
+        },
+        $addToSet: { video_ids: { $each: videos.map((v) => v.video_id) } },
+        $inc: { snapshot_count: 1 },
+        $setOnInsert: { created_at: takenAt },
+      },
+      { upsert: true }
+    );
+  }
+
+  async function list(username) {
+    const docs = await channels().find({ username }).sort({ last_snapshot_at: -1 }).toArray();
+    return docs.map((c) => ({
+      channel_id: c.channel_id,
+      handle: c.handle,
+      url: c.url,
+      title: c.title,
+      thumbnail_url: c.thumbnail_url,
+      tracked_videos: (c.video_ids || []).length,
+      snapshot_count: c.snapshot_count || 0,
+      last_snapshot_at: c.last_snapshot_at,
+    }));
+  }
+
+  const find = (username, channelId) => channels().findOne({ username, channel_id: String(channelId) });
+
+  // One point per snapshot: the metric of a single video, or summed over the
+  // videos present in every snapshot when videoId is omitted, so points added
+  // or dropped by later refreshes don't show up as growth. Snapshots that don't
+  // include the video are skipped.
+  async function history(username, channelId, { videoId = null, metric = 'view_count' } = {}) {
+    if (!METRICS.includes(metric)) {
+      const err = new Error(`metric must be one of ${METRICS.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    const filter = { username, channel_id: String(channelId) };
+    if (videoId) filter['videos.video_id'] = String(videoId);
+    const docs = await snapshots()
+      .find(filter, { projection: { _id: 0, taken_at: 1, videos: 1 } })
+      .sort({ taken_at: 1 })
+      .toArray();
+
+    let keep;
+    if (videoId) keep = new Set([String(videoId)]);
+    else {
+      keep = new Set(docs[0]?.videos.map((v) => v.video_id));
+      docs.slice(1).forEach((d) => {
+        const ids = new Set(d.videos.map((v) => v.video_id));
+        keep.forEach((id) => ids.has(id) || keep.delete(id));
+      });
+    }
+    return docs
+      .map((d) => ({ taken_at: d.taken_at, videos: d.videos.filter((v) => keep.has(v.video_id)) }))
+      .filter((d) => d.videos.length)
+      .map((d) => ({
+        taken_at: d.taken_at,
+        value: d.videos.reduce((sum, v) => sum + (Number(v[metric]) || 0), 0),
+        videos: d.videos.length,
+      }));
+  }
+
+  async function removeByOwner(username) {
+    await snapshots().deleteMany({ username });
+    await channels().deleteMany({ username });
+  }
+
+  return { ensureIndexes, record, list, find, history, removeByOwner };
+}
+
+module.exports = { createChannelSnapshots, METRICS };
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChannelSnapshots } = require('./channelSnapshots');
+const { createFakeDb } = require('./testing/fakeMongo');
+
+const channel = (day) => ({ id: 'UC1', title: 'Chan', url: 'https://youtube.com/@chan', downloaded_at: `2025-01-0${day}T00:00:00Z` });
+const video = (video_id, view_count) => ({ video_id, view_count, like_count: 1, comment_count: null });
+
+async function setUp() {
+  const db = createFakeDb();
+  const snapshots = createChannelSnapshots(() => db);
+  // "c" is uploaded after the first download, "a" is missing from the last
+  // refresh (deleted or private); only "b" is in every snapshot.
+  await snapshots.record('alice', { channel: channel(1), videos: [video('a', 100), video('b', 10)] });
+  await snapshots.record('alice', { channel: channel(3), videos: [video('b', 40), video('a', 150), video('c', 5)] });
+  await snapshots.record('alice', { channel: channel(2), videos: [video('a', 120), video('b', 20), video('c', 1)] });
+  await snapshots.record('alice', { channel: channel(4), videos: [video('b', 45), video('c', 900)] });
+  await snapshots.record('bob', { channel: channel(5), videos: [video('a', 1e6)] });
+  return snapshots;
+}
+
+test('the channel total only sums videos present in every snapshot', async () => {
+  const snapshots = await setUp();
+  const points = await snapshots.history('alice', 'UC1');
+  assert.deepEqual(
+    points.map((p) => [p.taken_at.toISOString().slice(0, 10), p.value, p.videos]),
+    [
+      ['2025-01-01', 10, 1],
+      ['2025-01-02', 20, 1],
+      ['2025-01-03', 40, 1],
+      ['2025-01-04', 45, 1],
+    ]
+  );
+});
+
+test('a single video skips snapshots without it', async () => {
+  const snapshots = await setUp();
+  const points = await snapshots.history('alice', 'UC1', { videoId: 'c', metric: 'view_count' });
+  assert.deepEqual(points.map((p) => p.value), [1, 5, 900]);
+  assert.deepEqual(await snapshots.history('alice', 'UC1', { videoId: 'zzz' }), []);
+  assert.deepEqual(await snapshots.history('carol', 'UC1'), []);
+});
+
+test('null metrics count as zero and unknown metrics are a 400', async () => {
+  const snapshots = await setUp();
+  assert.deepEqual(
+    (await snapshots.history('alice', 'UC1', { metric: 'comment_count' })).map((p) => p.value),
+    [0, 0, 0, 0]
+  );
+  await assert.rejects(snapshots.history('alice', 'UC1', { metric: 'duration' }), { status: 400 });
+});
+
+test('the channel list tracks every video seen', async () => {
+  const snapshots = await setUp();
+  const [chan] = await snapshots.list('alice');
+  assert.equal(chan.tracked_videos, 3);
+  assert.equal(chan.snapshot_count, 4);
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const { GoogleGenAI } = require('@google/genai');
+
+// Gemini proxy: the API key lives only on the server. The browser sends
+// Gemini `contents` and gets text back, streamed as newline-delimited JSON
+// for chat. `client` is anything shaped like GoogleGenAI's `models`
+// namespace, so tests can pass a local fake instead of the real SDK.
+
+const CHAT_MODEL = 'gemini-2.5-flash';
+const IMAGE_MODEL = 'gemini-3-pro-image-preview';
+
+const API_KEY = process.env.GEMINI_API_KEY || process.env.REACT_APP_GEMINI_API_KEY || '';
+
+function createGeminiClient(apiKey = API_KEY) {
+  return apiKey ? new GoogleGenAI({ apiKey }) : null;
+}
+
+// Map one streamed Gemini part to the event shapes the browser consumes:
+// text, executable code, code execution result or inline image.
+const partEvent = (part) => {
+  if (part.thought) return null;
+  if (part.text) return { type: 'text', text: part.text };
+  if (part.executableCode) {
+    return { type: 'code', language: part.executableCode.language, code: part.executableCode.code };
+  }
+  if (part.codeExecutionResult) {
+    return {
+      type: 'result',
+      outcome: part.codeExecutionResult.outcome,
+      output: part.codeExecutionResult.output || '',
+    };
+  }
+  if (part.inlineData?.data) {
+    return { type: 'image', mimeType: part.inlineData.mimeType || 'image/png', data: part.inlineData.data };
+  }
+  return null;
+};
+
+// Write one NDJSON event. Cache-Control: no-transform (set below) keeps dev
+// proxies and compression middleware from buffering the stream.
+const writeEvent = (res, event) => res.write(`${JSON.stringify(event)}\n`);
+
+function createGeminiRouter({ client, model = CHAT_MODEL, imageModel = IMAGE_MODEL } = {}) {
+  const router = express.Router();
+
+  const requireClient = (req, res, next) => {
+    if (!client) return res.status(503).json({ error: 'Gemini API key is not configured on the server' });
+    next();
+  };
+
+  router.get('/status', (req, res) => {
+    res.json({ configured: !!client, model });
+  });
+
+  // Streaming chat: body { contents, config? } → NDJSON lines
+  //   { type: 'text', text } | { type: 'code', language, code }
+  //   | { type: 'result', outcome, output } | { type: 'image', mimeType, data }
+  //   … then { type: 'grounding', data } when search was used,
+  //   then { type: 'done' } or { type: 'error', error }
+  router.post('/chat', requireClient, async (req, res) => {
+    const { contents, config } = req.body;
+    if (!Array.isArray(contents) || !contents.length)
+      return res.status(400).json({ error: 'contents required' });
+
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.flushHeaders?.();
+
+    // The browser aborts its fetch when the user hits Stop; cancel the upstream
+    // Gemini request too instead of generating tokens nobody will read.
+    const upstream = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) upstream.abort();
+    });
+
+    try {
+      const stream = await client.models.generateContentStream({
+        model,
+        contents,
+        config: { ...config, abortSignal: upstream.signal },
+      });
+      let grounding = null;
+      for await (const chunk of stream) {
+        if (upstream.signal.aborted) break;
+        const candidate = chunk.candidates?.[0];
+        const parts = candidate?.content?.parts || (chunk.text ? [{ text: chunk.text }] : []);
+        parts.map(partEvent).filter(Boolean).forEach((event) => writeEvent(res, event));
+        // Grounding metadata usually arrives on the last chunk; keep the latest.
+        if (candidate?.groundingMetadata) grounding = candidate.groundingMetadata;
+      }
+      if (!upstream.signal.aborted) {
+        if (grounding) writeEvent(res, { type: 'grounding', data: grounding });
+        writeEvent(res, { type: 'done' });
+      }
+    } catch (err) {
+      if (!upstream.signal.aborted) writeEvent(res, { type: 'error', error: err.message });
+    }
+    res.end();
+  });
+
+  // One non-streaming step of a function-calling loop: body { contents, config? }
+  // → { text, functionCalls, content }. The browser runs the tools and calls
+  // again with the function responses appended.
+  router.post('/generate', requireClient, async (req, res) => {
+    try {
+      const { contents, config } = req.body;
+      if (!Array.isArray(contents) || !contents.length)
+        return res.status(400).json({ error: 'contents required' });
+      const response = await client.models.generateContent({ model, contents, config });
+      res.json({
+        text: response.text ?? '',
+        functionCalls: response.functionCalls || [],
+        content: response.candidates?.[0]?.content || null,
+      });
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // Image generation: body { prompt, anchorImage? } → { data, mimeType }
+  router.post('/image', requireClient, async (req, res) => {
+    try {
+      const { prompt, anchorImage } = req.body;
+      if (!prompt) return res.status(400).json({ error: 'prompt required' });
+      const parts = [{ text: String(prompt) }];
+      if (anchorImage?.data) {
+        parts.push({
+          inlineData: { data: anchorImage.data, mimeType: anchorImage.mimeType || 'image/png' },
+        });
+      }
+      const response = await client.models.generateContent({
+        model: imageModel,
+        contents: [{ role: 'user', parts }],
+        config: { responseModalities: ['IMAGE', 'TEXT'] },
+      });
+      const img = (response.candidates?.[0]?.content?.parts || []).find((p) => p.inlineData?.data);
+      if (!img) return res.status(502).json({ error: 'No image was returned by the model.' });
+      res.json({ data: img.inlineData.data, mimeType: img.inlineData.mimeType || 'image/png' });
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGeminiClient, createGeminiRouter };
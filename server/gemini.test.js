@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createGeminiRouter } = require('./gemini');
+
+// The router runs against a local fake shaped like GoogleGenAI's `models`, so
+// the function-calling round trip can be exercised without an API key. The
+// browser side of the loop (gemini.js runToolLoop) is played by `ask` below:
+// send contents, run any requested tool, append its functionResponse, repeat.
+
+const TOOLS = {
+  channel_stats: ({ metric }) => ({ metric, mean: 1200, n: 3 }),
+  broken_tool: () => {
+    throw new Error('column not found');
+  },
+};
+
+// Asks for `tool` on the first turn, then answers from the functionResponse.
+const fakeModels = (tool) => {
+  const calls = [];
+  return {
+    calls,
+    async generateContent({ contents, config }) {
+      calls.push({ contents: structuredClone(contents), config });
+      const last = contents[contents.length - 1].parts[0];
+      if (last.text?.includes('explode')) throw new Error('quota exceeded');
+      if (last.functionResponse) {
+        const { response } = last.functionResponse;
+        const text = response.error ? `The tool failed: ${response.error}` : `Mean views: ${response.mean}`;
+        return { text, candidates: [{ content: { role: 'model', parts: [{ text }] } }] };
+      }
+      const functionCall = { id: 'call-1', name: tool, args: { metric: 'view_count' } };
+      return {
+        text: undefined,
+        functionCalls: [functionCall],
+        candidates: [{ content: { role: 'model', parts: [{ functionCall }] } }],
+      };
+    },
+    async *generateContentStream({ contents }) {
+      yield { candidates: [{ content: { parts: [{ text: 'Hel' }] } }] };
+      if (contents[0].parts[0].text === 'fail midway') throw new Error('stream reset');
+      yield { candidates: [{ content: { parts: [{ text: 'lo' }] } }] };
+    },
+  };
+};
+
+let server;
+let base;
+const models = { stats: fakeModels('channel_stats'), broken: fakeModels('broken_tool') };
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/stats', createGeminiRouter({ client: { models: models.stats } }));
+  app.use('/broken', createGeminiRouter({ client: { models: models.broken } }));
+  app.use('/unconfigured', createGeminiRouter({ client: null }));
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const post = (path, body) =>
+  fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+// One user message through the tool loop; returns the final text and the
+// tool results sent back to the model.
+const ask = async (prefix, text) => {
+  const contents = [{ role: 'user', parts: [{ text }] }];
+  const results = [];
+  for (let round = 0; round < 6; round++) {
+    const res = await post(`${prefix}/generate`, { contents, config: { tools: [{ functionDeclarations: [] }] } });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error);
+    if (!body.functionCalls.length) return { text: body.text, results };
+    contents.push(body.content);
+    const parts = body.functionCalls.map((fc) => {
+      let response;
+      try {
+        response = TOOLS[fc.name](fc.args);
+      } catch (err) {
+        response = { error: err.message };
+      }
+      results.push(response);
+      return { functionResponse: { id: fc.id, name: fc.name, response } };
+    });
+    contents.push({ role: 'user', parts });
+  }
+  throw new Error('too many rounds');
+};
+
+test('runs a tool call and answers from its result', async () => {
+  const { text, results } = await ask('/stats', 'average views?');
+  assert.equal(text, 'Mean views: 1200');
+  assert.deepEqual(results, [{ metric: 'view_count', mean: 1200, n: 3 }]);
+
+  // Second request carried the model's functionCall turn and the tool result.
+  const [first, second] = models.stats.calls;
+  assert.deepEqual(first.config, { tools: [{ functionDeclarations: [] }] });
+  assert.equal(second.contents.length, 3);
+  assert.equal(second.contents[1].parts[0].functionCall.name, 'channel_stats');
+  assert.equal(second.contents[2].parts[0].functionResponse.id, 'call-1');
+});
+
+test('a failing tool is reported back to the model', async () => {
+  const { text, results } = await ask('/broken', 'average views?');
+  assert.deepEqual(results, [{ error: 'column not found' }]);
+  assert.equal(text, 'The tool failed: column not found');
+});
+
+test('model errors surface as 502 with the message', async () => {
+  const res = await post('/stats/generate', { contents: [{ role: 'user', parts: [{ text: 'explode' }] }] });
+  assert.equal(res.status, 502);
+  assert.deepEqual(await res.json(), { error: 'quota exceeded' });
+  await assert.rejects(ask('/stats', 'explode'), /quota exceeded/);
+});
+
+test('rejects empty contents and reports a missing key', async () => {
+  assert.equal((await post('/stats/generate', { contents: [] })).status, 400);
+  const res = await post('/unconfigured/generate', { contents: [{ role: 'user', parts: [{ text: 'hi' }] }] });
+  assert.equal(res.status, 503);
+  const status = await (await fetch(`${base}/unconfigured/status`)).json();
+  assert.equal(status.configured, false);
+});
+
+test('streams chat as NDJSON and ends with an error event on failure', async () => {
+  const lines = async (text) => {
+    const res = await post('/stats/chat', { contents: [{ role: 'user', parts: [{ text }] }] });
+    assert.match(res.headers.get('content-type'), /application\/x-ndjson/);
+    return (await res.text()).trim().split('\n').map((l) => JSON.parse(l));
+  };
+  assert.deepEqual(await lines('hi'), [
+    { type: 'text', text: 'Hel' },
+    { type: 'text', text: 'lo' },
+    { type: 'done' },
+  ]);
+  assert.deepEqual(await lines('fail midway'), [
+    { type: 'text', text: 'Hel' },
+    { type: 'error', error: 'stream reset' },
+  ]);
+});
@@ -3,22 +3,110 @@ const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
+const { createGeminiClient, createGeminiRouter } = require('./gemini');
+const { createAuth } = require('./auth');
+const { sendMail } = require('./outbox');
+const { createLoginThrottle } = require('./loginThrottle');
+const { createAttachmentStore, createAttachmentRouter, skipPaths } = require('./attachments');
+const { createYoutubeClient, createYoutubeRouter } = require('./youtube');
+const { createChannelSnapshots } = require('./channelSnapshots');
 
 const app = express();
+// Behind Render's proxy req.ip must come from X-Forwarded-For. TRUST_PROXY is
+// the number of proxy hops; leave it unset locally, otherwise clients could
+// spoof their IP past the login throttle.
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY));
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Attachment and dataset uploads read their own raw bodies (see attachments.js).
+app.use(skipPaths(['/api/attachments', '/api/datasets'], express.json({ limit: '10mb' })));
 
 const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || process.env.REACT_APP_MONGO_URI;
 const DB = 'chatapp';
+// Where password reset links point (the React app).
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+// Usernames allowed to read the auth audit log, besides users with role "admin".
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+  .split(',')
+  .map((u) => u.trim().toLowerCase())
+  .filter(Boolean);
 
 let db;
 
+const {
+  ensureIndexes,
+  issueToken,
+  revokeToken,
+  revokeAllTokens,
+  issueResetToken,
+  consumeResetToken,
+  deleteUserTokens,
+  requireAuth,
+} = createAuth(() => db);
+
+const attachments = createAttachmentStore(() => db);
+const datasets = createAttachmentStore(() => db, { bucketName: 'datasets' });
+const DATASET_TYPES = ['text/csv', 'application/json'];
+const channelSnapshots = createChannelSnapshots(() => db);
+
 async function connect() {
   const client = await MongoClient.connect(URI);
   db = client.db(DB);
+  await ensureIndexes();
+  await channelSnapshots.ensureIndexes();
+  await db.collection('messages').createIndex({ session_id: 1, timestamp: -1, _id: -1 });
+  await db.collection('messages').createIndex({ username: 1 });
+  await db.collection('auth_events').createIndex({ username: 1, at: -1 });
+  await db.collection('auth_events').createIndex({ at: 1 }, { expireAfterSeconds: AUTH_EVENT_TTL_S });
   console.log('MongoDB connected');
 }
 
+// ── Login throttling + audit ────────────────────────────────────────────────
+// Username guessing is slowed per IP, password guessing per username. Both
+// back off exponentially once their free attempts are used.
+
+const ipThrottle = createLoginThrottle({ freeAttempts: 20 });
+const userThrottle = createLoginThrottle({ freeAttempts: 5 });
+
+const AUTH_EVENT_TTL_S = 90 * 24 * 60 * 60; // keep audit records 90 days
+const LOGIN_FAILED = 'Invalid username or password';
+
+// Best-effort: an audit write failing must not break login.
+const recordAuthEvent = (event) =>
+  db
+    .collection('auth_events')
+    .insertOne({ ...event, at: new Date() })
+    .catch((err) => console.error('auth_events insert failed:', err.message));
+
+// Compared against when the username doesn't exist so both failure paths
+// take the same bcrypt time.
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await db.collection('users').findOne({ username: req.user.username });
+    if (user?.role === 'admin' || ADMIN_USERNAMES.includes(req.user.username)) return next();
+    res.status(403).json({ error: 'Admin access required' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Loads a session only if it belongs to the logged-in user. Missing and
+// foreign sessions look the same to the caller (null → 404).
+const findOwnedSession = (req, id, options) => {
+  if (!id || !ObjectId.isValid(String(id))) return null;
+  return db
+    .collection('sessions')
+    .findOne({ _id: new ObjectId(String(id)), username: req.user.username }, options);
+};
+
+// Deletes a dataset once no session links it any more.
+const releaseDataset = async (dataset) => {
+  if (!dataset?.id) return;
+  const stillUsed = await db.collection('sessions').countDocuments({ 'dataset.id': dataset.id }, { limit: 1 });
+  if (!stillUsed) await datasets.remove([dataset.id]);
+};
+
 app.get('/', (req, res) => {
   res.send(`
     <html>
@@ -72,22 +160,214 @@ app.post('/api/users', async (req, res) => {
   }
 });
 
+const profileOf = (user) => ({
+  username: user.username,
+  firstName: user.firstName || '',
+  lastName: user.lastName || '',
+  email: user.email || '',
+});
+
+// Unknown user and wrong password get the same error so usernames can't be
+// enumerated; the audit log keeps the real reason.
 app.post('/api/users/login', async (req, res) => {
   try {
     const { username, password } = req.body;
     if (!username || !password)
       return res.status(400).json({ error: 'Username and password required' });
-    const name = username.trim().toLowerCase();
+    const name = String(username).trim().toLowerCase();
+    const ip = req.ip;
+    const ipKeys = [ip];
+    const userKeys = [name];
+
+    const wait = Math.max(ipThrottle.retryAfter(ipKeys), userThrottle.retryAfter(userKeys));
+    if (wait > 0) {
+      recordAuthEvent({ type: 'login_blocked', username: name, ip, reason: 'locked' });
+      const seconds = Math.ceil(wait / 1000);
+      res.set('Retry-After', String(seconds));
+      return res
+        .status(429)
+        .json({ error: `Too many login attempts. Try again in ${seconds} seconds.`, retryAfter: seconds });
+    }
+
     const user = await db.collection('users').findOne({ username: name });
-    if (!user) return res.status(401).json({ error: 'User not found' });
+    const ok = await bcrypt.compare(String(password), user ? user.password : DUMMY_HASH);
+    if (!user || !ok) {
+      const lockMs = Math.max(ipThrottle.fail(ipKeys), userThrottle.fail(userKeys));
+      recordAuthEvent({
+        type: 'login_failed',
+        username: name,
+        ip,
+        reason: user ? 'bad_password' : 'unknown_user',
+        ...(lockMs && { lockedForSeconds: Math.ceil(lockMs / 1000) }),
+      });
+      return res.status(401).json({ error: LOGIN_FAILED });
+    }
+
+    ipThrottle.succeed(ipKeys);
+    userThrottle.succeed(userKeys);
+    const token = await issueToken(name);
+    res.json({ ok: true, token, ...profileOf(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeToken(req.token);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Profile for the token's owner — lets the app restore a login on reload.
+app.get('/api/users/me', requireAuth, async (req, res) => {
+  try {
+    const user = await db.collection('users').findOne({ username: req.user.username });
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    res.json(profileOf(user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Only the fields present in the body change; an omitted email is kept, an
+// empty one clears it.
+app.patch('/api/users/me', requireAuth, async (req, res) => {
+  try {
+    const { firstName, lastName, email } = req.body;
+    const update = {};
+    if (firstName !== undefined) update.firstName = String(firstName).trim();
+    if (lastName !== undefined) update.lastName = String(lastName).trim();
+    if (email !== undefined) {
+      const clean = String(email).trim().toLowerCase();
+      if (clean && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean))
+        return res.status(400).json({ error: 'Invalid email address' });
+      update.email = clean || null;
+    }
+    // Mongo rejects an empty $set, and the client sends {} when nothing changed.
+    const users = db.collection('users');
+    const filter = { username: req.user.username };
+    const user = Object.keys(update).length
+      ? await users.findOneAndUpdate(filter, { $set: update }, { returnDocument: 'after' })
+      : await users.findOne(filter);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    res.json(profileOf(user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change password. Other logins are revoked; the caller's token stays valid.
+app.post('/api/users/me/password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword)
+      return res.status(400).json({ error: 'Current and new password required' });
+    const user = await db.collection('users').findOne({ username: req.user.username });
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    const ok = await bcrypt.compare(currentPassword, user.password);
+    if (!ok) return res.status(403).json({ error: 'Current password is incorrect' });
+    const hashed = await bcrypt.hash(newPassword, 10);
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { password: hashed } });
+    await revokeAllTokens(user.username, req.token);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete the account and everything it owns. Requires the password again.
+app.delete('/api/users/me', requireAuth, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (!password) return res.status(400).json({ error: 'Password required' });
+    const user = await db.collection('users').findOne({ username: req.user.username });
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
     const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: 'Invalid password' });
-    res.json({
-      ok: true,
-      username: name,
-      firstName: user.firstName || '',
-      lastName: user.lastName || '',
-    });
+    if (!ok) return res.status(403).json({ error: 'Password is incorrect' });
+    await db.collection('messages').deleteMany({ username: user.username });
+    await attachments.removeByOwner(user.username);
+    await datasets.removeByOwner(user.username);
+    await channelSnapshots.removeByOwner(user.username);
+    await db.collection('sessions').deleteMany({ username: user.username });
+    await deleteUserTokens(user.username);
+    await db.collection('users').deleteOne({ _id: user._id });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Request a reset by username or email. Always answers ok so the response
+// doesn't reveal which accounts exist; the one-time link goes to the outbox.
+app.post('/api/users/password-reset', async (req, res) => {
+  try {
+    const ident = String(req.body.identifier || '').trim().toLowerCase();
+    if (!ident) return res.status(400).json({ error: 'Username or email required' });
+    const user = await db
+      .collection('users')
+      .findOne({ $or: [{ username: ident }, { email: ident }] });
+    if (user) {
+      const token = await issueResetToken(user.username);
+      await sendMail({
+        to: user.email || user.username,
+        subject: 'Reset your Chat password',
+        text:
+          `Hi ${user.firstName || user.username},\n\n` +
+          `Open this link within the next hour to choose a new password:\n` +
+          `${APP_URL}/?reset=${token}\n\n` +
+          `Or paste this reset code into the app: ${token}\n\n` +
+          `If you didn't ask for this, you can ignore this message.`,
+      });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword)
+      return res.status(400).json({ error: 'Reset code and new password required' });
+    const username = await consumeResetToken(token);
+    if (!username) return res.status(400).json({ error: 'Reset code is invalid or has expired' });
+    const hashed = await bcrypt.hash(newPassword, 10);
+    await db.collection('users').updateOne({ username }, { $set: { password: hashed } });
+    await revokeAllTokens(username);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Admin ────────────────────────────────────────────────────────────────────
+
+// Auth audit log, newest first. Filters: username, ip, type, since (ISO date),
+// limit (default 100, max 500).
+app.get('/api/admin/auth-events', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { username, ip, type, since } = req.query;
+    const filter = {};
+    if (username) filter.username = String(username).trim().toLowerCase();
+    if (ip) filter.ip = String(ip);
+    if (type) filter.type = String(type);
+    if (since) {
+      const d = new Date(String(since));
+      if (Number.isNaN(+d)) return res.status(400).json({ error: 'since must be a date' });
+      filter.at = { $gte: d };
+    }
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const events = await db
+      .collection('auth_events')
+      .find(filter)
+      .sort({ at: -1 })
+      .limit(limit)
+      .toArray();
+    res.json(events.map(({ _id, ...e }) => ({ id: _id.toString(), ...e })));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -95,10 +375,13 @@ app.post('/api/users/login', async (req, res) => {
 
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
+// Every session and message route is scoped to req.user (set by requireAuth);
+// usernames or ids from the client are never trusted for ownership.
+app.use(['/api/sessions', '/api/messages'], requireAuth);
+
 app.get('/api/sessions', async (req, res) => {
   try {
-    const { username } = req.query;
-    if (!username) return res.status(400).json({ error: 'username required' });
+    const { username } = req.user;
     const sessions = await db
       .collection('sessions')
       .find({ username })
@@ -110,7 +393,8 @@ app.get('/api/sessions', async (req, res) => {
         agent: s.agent || null,
         title: s.title || null,
         createdAt: s.createdAt,
-        messageCount: (s.messages || []).length,
+        messageCount: s.messageCount ?? (s.messages || []).length,
+        dataset: s.dataset || null,
       }))
     );
   } catch (err) {
@@ -120,15 +404,14 @@ app.get('/api/sessions', async (req, res) => {
 
 app.post('/api/sessions', async (req, res) => {
   try {
-    const { username, agent } = req.body;
-    if (!username) return res.status(400).json({ error: 'username required' });
-    const { title } = req.body;
+    const { username } = req.user;
+    const { agent, title } = req.body;
     const result = await db.collection('sessions').insertOne({
       username,
       agent: agent || null,
       title: title || null,
       createdAt: new Date().toISOString(),
-      messages: [],
+      messageCount: 0,
     });
     res.json({ id: result.insertedId.toString() });
   } catch (err) {
@@ -138,7 +421,16 @@ app.post('/api/sessions', async (req, res) => {
 
 app.delete('/api/sessions/:id', async (req, res) => {
   try {
-    await db.collection('sessions').deleteOne({ _id: new ObjectId(req.params.id) });
+    const session = await findOwnedSession(req, req.params.id, { projection: { dataset: 1 } });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const withAttachments = await db
+      .collection('messages')
+      .find({ session_id: session._id, 'attachments.0': { $exists: true } }, { projection: { attachments: 1 } })
+      .toArray();
+    await attachments.remove(withAttachments.flatMap((m) => m.attachments.map((a) => a.id)));
+    await db.collection('messages').deleteMany({ session_id: session._id });
+    await db.collection('sessions').deleteOne({ _id: session._id });
+    await releaseDataset(session.dataset);
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -148,84 +440,203 @@ app.delete('/api/sessions/:id', async (req, res) => {
 app.patch('/api/sessions/:id/title', async (req, res) => {
   try {
     const { title } = req.body;
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(req.params.id) },
-      { $set: { title } }
-    );
+    const session = await findOwnedSession(req, req.params.id, { projection: { _id: 1 } });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    await db.collection('sessions').updateOne({ _id: session._id }, { $set: { title } });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// A session links at most one uploaded CSV/JSON dataset so its tools work again
+// when the chat is reopened. The file itself lives in the `datasets` store.
+app.put('/api/sessions/:id/dataset', async (req, res) => {
+  try {
+    const { datasetId } = req.body;
+    const session = await findOwnedSession(req, req.params.id, { projection: { dataset: 1 } });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    let dataset = null;
+    if (datasetId) {
+      const meta = await datasets.find(datasetId);
+      if (!meta || meta.username !== req.user.username)
+        return res.status(404).json({ error: 'Dataset not found' });
+      dataset = {
+        id: meta.id,
+        name: meta.name,
+        kind: meta.contentType === 'text/csv' ? 'csv' : 'json',
+        size: meta.size,
+      };
+    }
+    await db.collection('sessions').updateOne({ _id: session._id }, { $set: { dataset } });
+    if (session.dataset?.id !== dataset?.id) await releaseDataset(session.dataset);
+    res.json({ dataset });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
+// Messages live in their own collection (one document each) so long chats
+// with images never approach Mongo's 16MB document limit. Pages are read
+// newest-first with an opaque cursor and returned in chronological order.
+// Sessions created before this layout need `npm run migrate:messages` once.
+
+const MESSAGE_PAGE_SIZE = 50;
+const MESSAGE_PAGE_MAX = 200;
+
+// Cursor = "<timestamp>_<id>" of the oldest message on the previous page.
+const encodeCursor = (m) => Buffer.from(`${m.timestamp}_${m._id}`).toString('base64url');
+const decodeCursor = (cursor) => {
+  const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  if (!timestamp || !id || !ObjectId.isValid(id)) return null;
+  return { timestamp, _id: new ObjectId(id) };
+};
+
+// Images are returned as { attachmentId, mimeType, name } references; messages
+// saved before the attachment store carry inline base64 in `imageData`.
+const toClientMessage = (m) => {
+  const legacy = m.imageData
+    ? Array.isArray(m.imageData)
+      ? m.imageData
+      : [m.imageData]
+    : [];
+  const images = [
+    ...(m.attachments || []).map((a) => ({ attachmentId: a.id, mimeType: a.mimeType, name: a.name })),
+    ...legacy.map((img) => ({ data: img.data, mimeType: img.mimeType })),
+  ];
+  return {
+    id: m._id.toString(),
+    role: m.role,
+    content: m.content,
+    timestamp: m.timestamp,
+    images: images.length ? images : undefined,
+    charts: m.charts?.length ? m.charts : undefined,
+    toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
+    interrupted: m.interrupted || undefined,
+  };
+};
+
 app.post('/api/messages', async (req, res) => {
   try {
-    const { session_id, role, content, imageData, charts, toolCalls } = req.body;
+    const { session_id, role, content, attachments: attachmentIds, charts, toolCalls, interrupted } = req.body;
     if (!session_id || !role || content === undefined)
       return res.status(400).json({ error: 'session_id, role, content required' });
+    const session = await findOwnedSession(req, session_id, { projection: { _id: 1 } });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    // Only the uploader's own attachments can be referenced.
+    const refs = [];
+    for (const id of Array.isArray(attachmentIds) ? attachmentIds : []) {
+      const meta = await attachments.find(id);
+      if (!meta || meta.username !== req.user.username)
+        return res.status(400).json({ error: `Unknown attachment ${id}` });
+      refs.push({ id: meta.id, mimeType: meta.contentType, name: meta.name });
+    }
     const msg = {
+      session_id: session._id,
+      username: req.user.username,
       role,
       content,
       timestamp: new Date().toISOString(),
-      ...(imageData && {
-        imageData: Array.isArray(imageData) ? imageData : [imageData],
-      }),
+      ...(refs.length && { attachments: refs }),
       ...(charts?.length && { charts }),
       ...(toolCalls?.length && { toolCalls }),
+      ...(interrupted && { interrupted: true }),
     };
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(session_id) },
-      { $push: { messages: msg } }
-    );
-    res.json({ ok: true });
+    const result = await db.collection('messages').insertOne(msg);
+    await db.collection('sessions').updateOne({ _id: session._id }, { $inc: { messageCount: 1 } });
+    res.json({ ok: true, id: result.insertedId.toString() });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// GET /api/messages?session_id=…&before=<cursor>&limit=50
+//   → { messages: [...oldest → newest], nextCursor } (nextCursor null = start reached)
 app.get('/api/messages', async (req, res) => {
   try {
-    const { session_id } = req.query;
+    const { session_id, before } = req.query;
     if (!session_id) return res.status(400).json({ error: 'session_id required' });
-    const doc = await db
-      .collection('sessions')
-      .findOne({ _id: new ObjectId(session_id) });
-    const raw = doc?.messages || [];
-    const msgs = raw.map((m, i) => {
-      const arr = m.imageData
-        ? Array.isArray(m.imageData)
-          ? m.imageData
-          : [m.imageData]
-        : [];
-      return {
-        id: `${doc._id}-${i}`,
-        role: m.role,
-        content: m.content,
-        timestamp: m.timestamp,
-        images: arr.length
-          ? arr.map((img) => ({ data: img.data, mimeType: img.mimeType }))
-          : undefined,
-        charts: m.charts?.length ? m.charts : undefined,
-        toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
-      };
+    const session = await findOwnedSession(req, session_id, { projection: { _id: 1 } });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const limit = Math.min(MESSAGE_PAGE_MAX, Math.max(1, parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE));
+    const filter = { session_id: session._id };
+    if (before) {
+      const c = decodeCursor(before);
+      if (!c) return res.status(400).json({ error: 'Invalid cursor' });
+      filter.$or = [
+        { timestamp: { $lt: c.timestamp } },
+        { timestamp: c.timestamp, _id: { $lt: c._id } },
+      ];
+    }
+
+    // Fetch one extra row to know whether an older page exists.
+    const page = await db
+      .collection('messages')
+      .find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1)
+      .toArray();
+    const hasMore = page.length > limit;
+    const rows = page.slice(0, limit);
+
+    res.json({
+      messages: rows.reverse().map(toClientMessage),
+      nextCursor: hasMore ? encodeCursor(rows[0]) : null,
     });
-    res.json(msgs);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ── Attachments ──────────────────────────────────────────────────────────────
+
+// Images are uploaded once as raw bytes and referenced from messages by id.
+app.use('/api/attachments', requireAuth, createAttachmentRouter({ store: attachments }));
+
+// Raw CSV/JSON text, linked to sessions with PUT /api/sessions/:id/dataset.
+app.use(
+  '/api/datasets',
+  requireAuth,
+  createAttachmentRouter({ store: datasets, allowedTypes: DATASET_TYPES, maxBytes: 50 * 1024 * 1024 })
+);
+
+// ── Gemini proxy ─────────────────────────────────────────────────────────────
+
+// Logged-in users only, so the server's key isn't an open relay.
+app.use('/api/gemini', requireAuth, createGeminiRouter({ client: createGeminiClient() }));
+
+// ── YouTube Data API proxy ───────────────────────────────────────────────────
+
+// Every download is stored as a snapshot so view counts can be followed over time.
+app.use(
+  '/api/youtube',
+  requireAuth,
+  createYoutubeRouter({ client: createYoutubeClient(), snapshots: channelSnapshots })
+);
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 const PORT = process.env.PORT || 3001;
 
-connect()
-  .then(() => {
-    app.listen(PORT, () => console.log(`Server on http://localhost:${PORT}`));
-  })
-  .catch((err) => {
-    console.error('MongoDB connection failed:', err.message);
-    process.exit(1);
-  });
+// `npm run server` connects and listens; tests require the app and give it
+// their own db (see testing/fakeMongo.js).
+if (require.main === module) {
+  connect()
+    .then(() => {
+      app.listen(PORT, () => console.log(`Server on http://localhost:${PORT}`));
+    })
+    .catch((err) => {
+      console.error('MongoDB connection failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  app,
+  useDb: (database) => {
+    db = database;
+  },
+};
@@ -0,0 +1,63 @@
+// In-memory login throttle with exponential backoff. Failures are counted per
+// key (index.js keeps one throttle keyed by IP and one keyed by username); the
+// failure that uses up a key's free attempts locks it for `baseLockMs`, and
+// each further one doubles the lock, up to a cap.
+// A key is forgotten after `resetAfterMs` without failures or on success.
+// State lives in this process only, which is fine for the single Render dyno.
+
+function createLoginThrottle({
+  freeAttempts = 5,
+  baseLockMs = 30 * 1000,
+  maxLockMs = 60 * 60 * 1000,
+  resetAfterMs = 60 * 60 * 1000,
+} = {}) {
+  const entries = new Map(); // key → { failures, lockedUntil, lastFailure }
+
+  const live = (key, now) => {
+    const entry = entries.get(key);
+    if (entry && now - entry.lastFailure > resetAfterMs && entry.lockedUntil <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Milliseconds until every key is unlocked (0 = allowed now).
+  function retryAfter(keys, now = Date.now()) {
+    return keys.reduce((wait, key) => {
+      const entry = live(key, now);
+      return entry ? Math.max(wait, entry.lockedUntil - now) : wait;
+    }, 0);
+  }
+
+  // Records a failure for each key; returns the resulting lock in ms (0 = none).
+  function fail(keys, now = Date.now()) {
+    let lockMs = 0;
+    keys.forEach((key) => {
+      const entry = live(key, now) || { failures: 0, lockedUntil: 0, lastFailure: now };
+      entry.failures += 1;
+      entry.lastFailure = now;
+      const extra = entry.failures - freeAttempts;
+      if (extra >= 0) {
+        const ms = Math.min(maxLockMs, baseLockMs * 2 ** extra);
+        entry.lockedUntil = now + ms;
+        lockMs = Math.max(lockMs, ms);
+      }
+      entries.set(key, entry);
+    });
+    if (entries.size > 10000) prune(now);
+    return lockMs;
+  }
+
+  function succeed(keys) {
+    keys.forEach((key) => entries.delete(key));
+  }
+
+  function prune(now = Date.now()) {
+    [...entries.keys()].forEach((key) => live(key, now));
+  }
+
+  return { retryAfter, fail, succeed };
+}
+
+module.exports = { createLoginThrottle };
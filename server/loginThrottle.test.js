@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginThrottle } = require('./loginThrottle');
+
+// One proxy hop, so each test can log in from its own X-Forwarded-For address.
+process.env.TRUST_PROXY = '1';
+const { startApp } = require('./testing/startApp');
+
+const S = 1000;
+
+test('locks once the free attempts are used, doubling up to the cap', () => {
+  const throttle = createLoginThrottle({ freeAttempts: 3, baseLockMs: 30 * S, maxLockMs: 100 * S });
+  assert.deepEqual([0, 0].map(() => throttle.fail(['k'], 0)), [0, 0]);
+  assert.equal(throttle.retryAfter(['k'], 0), 0);
+  assert.equal(throttle.fail(['k'], 0), 30 * S);
+  assert.equal(throttle.retryAfter(['k'], 10 * S), 20 * S);
+  assert.equal(throttle.fail(['k'], 30 * S), 60 * S);
+  assert.equal(throttle.fail(['k'], 90 * S), 100 * S);
+  assert.equal(throttle.retryAfter(['other', 'k'], 90 * S), 100 * S);
+});
+
+test('success and a quiet hour both forget the key', () => {
+  const throttle = createLoginThrottle({ freeAttempts: 1, resetAfterMs: 3600 * S });
+  throttle.fail(['a', 'b'], 0);
+  throttle.succeed(['a']);
+  assert.equal(throttle.retryAfter(['a'], 0), 0);
+  assert.equal(throttle.retryAfter(['b'], 0), 30 * S);
+  assert.equal(throttle.fail(['b'], 3601 * S), 30 * S, 'counts from one again');
+});
+
+let app;
+let ipCount = 0;
+
+before(async () => {
+  app = await startApp();
+  await app.request('POST', '/api/users', { body: { username: 'alice', password: 'right-pass' } });
+});
+
+after(() => app.close());
+
+const login = (username, password, ip) =>
+  app.request('POST', '/api/users/login', {
+    body: { username, password },
+    headers: { 'X-Forwarded-For': ip },
+  });
+const newIp = () => `10.0.0.${++ipCount}`;
+
+test('unknown users and wrong passwords get the same error', async () => {
+  const unknown = await login('nobody', 'whatever', newIp());
+  const wrong = await login('alice', 'wrong-pass', newIp());
+  assert.deepEqual([unknown.status, wrong.status], [401, 401]);
+  assert.deepEqual(unknown.body, { error: 'Invalid username or password' });
+  assert.deepEqual(wrong.body, unknown.body);
+  assert.deepEqual(
+    app.db.collection('auth_events').docs.map((e) => [e.type, e.username, e.reason]),
+    [
+      ['login_failed', 'nobody', 'unknown_user'],
+      ['login_failed', 'alice', 'bad_password'],
+    ]
+  );
+  assert.equal((await login('alice', 'right-pass', newIp())).status, 200);
+});
+
+test('a username locks after its 5th failure, from any IP, with Retry-After', async () => {
+  await app.request('POST', '/api/users', { body: { username: 'bob', password: 'right-pass' } });
+  for (let i = 1; i <= 5; i++) assert.equal((await login('bob', 'wrong-pass', newIp())).status, 401, `attempt ${i}`);
+  const res = await login('bob', 'right-pass', newIp());
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get('retry-after'), '30');
+  assert.deepEqual(res.body, { error: 'Too many login attempts. Try again in 30 seconds.', retryAfter: 30 });
+  const events = app.db.collection('auth_events').docs.filter((e) => e.username === 'bob');
+  assert.equal(events[4].lockedForSeconds, 30);
+  assert.deepEqual([events[5].type, events[5].reason], ['login_blocked', 'locked']);
+  assert.equal((await login('alice', 'right-pass', newIp())).status, 200, 'other users are unaffected');
+});
+
+test('an IP locks after its 20th failure across usernames', async () => {
+  const ip = newIp();
+  for (let i = 1; i <= 20; i++) assert.equal((await login(`guess${i}`, 'x', ip)).status, 401, `attempt ${i}`);
+  const res = await login('alice', 'right-pass', ip);
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get('retry-after'), '30');
+  assert.equal((await login('alice', 'right-pass', newIp())).status, 200, 'other IPs are unaffected');
+});
+
+test('a successful login resets the counters', async () => {
+  await app.request('POST', '/api/users', { body: { username: 'carol', password: 'right-pass' } });
+  const ip = newIp();
+  for (let i = 0; i < 4; i++) await login('carol', 'wrong-pass', ip);
+  assert.equal((await login('carol', 'right-pass', ip)).status, 200);
+  for (let i = 0; i < 4; i++) assert.equal((await login('carol', 'wrong-pass', ip)).status, 401);
+  assert.equal((await login('carol', 'right-pass', ip)).status, 200);
+});
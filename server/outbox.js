@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stand-in for a mail service. Every message is printed to the server log;
+// when MAIL_OUTBOX_DIR is set it is also written there as a .txt file so it can
+// be opened locally.
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || '';
+
+async function sendMail({ to, subject, text }) {
+  const sentAt = new Date().toISOString();
+  const body = `To: ${to}\nSubject: ${subject}\nDate: ${sentAt}\n\n${text}\n`;
+  console.log(`[outbox] ───────────────────────────────\n${body}[outbox] ───────────────────────────────`);
+
+  if (!OUTBOX_DIR) return;
+  await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+  const file = `${sentAt.replace(/[:.]/g, '-')}-${String(to).replace(/[^\w.@-]/g, '_')}.txt`;
+  await fs.promises.writeFile(path.join(OUTBOX_DIR, file), body);
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,61 @@
+// One-off migration: moves messages embedded in sessions.messages into the
+// `messages` collection and replaces the array with a messageCount.
+//
+//   npm run migrate:messages            # migrate every session
+//   npm run migrate:messages -- --dry   # report what would move
+//
+// Safe to re-run: a session is only unset after its messages are inserted, and
+// copies left by an interrupted run (tagged legacy_index) are replaced rather
+// than duplicated. Messages the new server already wrote are left alone.
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+
+const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || process.env.REACT_APP_MONGO_URI;
+const DB = 'chatapp';
+const DRY_RUN = process.argv.includes('--dry');
+
+async function migrate() {
+  const client = await MongoClient.connect(URI);
+  const db = client.db(DB);
+  const sessions = db.collection('sessions');
+  const messages = db.collection('messages');
+  await messages.createIndex({ session_id: 1, timestamp: -1, _id: -1 });
+  await messages.createIndex({ username: 1 });
+
+  let sessionCount = 0;
+  let messageCount = 0;
+  const cursor = sessions.find({ messages: { $exists: true } });
+  for await (const session of cursor) {
+    const embedded = Array.isArray(session.messages) ? session.messages : [];
+    sessionCount += 1;
+    messageCount += embedded.length;
+    if (DRY_RUN) continue;
+
+    // Older messages without a timestamp fall back to the session's createdAt;
+    // insert order keeps their ObjectIds ascending so the cursor still sorts them.
+    const docs = embedded.map((m, i) => ({
+      ...m,
+      legacy_index: i,
+      session_id: session._id,
+      username: session.username,
+      timestamp: m.timestamp || session.createdAt || new Date(0).toISOString(),
+    }));
+    await messages.deleteMany({ session_id: session._id, legacy_index: { $exists: true } });
+    if (docs.length) await messages.insertMany(docs, { ordered: true });
+    const total = await messages.countDocuments({ session_id: session._id });
+    await sessions.updateOne(
+      { _id: session._id },
+      { $unset: { messages: '' }, $set: { messageCount: total } }
+    );
+  }
+
+  console.log(
+    `${DRY_RUN ? '[dry run] would migrate' : 'Migrated'} ${messageCount} message(s) from ${sessionCount} session(s)`
+  );
+  await client.close();
+}
+
+migrate().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
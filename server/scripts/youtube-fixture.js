@@ -0,0 +1,100 @@
+// Local stand-in for the YouTube Data API, serving the bundled sample channel.
+// Run it and point the server at it instead of googleapis.com:
+//
+//   npm run youtube:fixture                       # listens on :3002
+//   YOUTUBE_API_BASE_URL=http://localhost:3002 YOUTUBE_API_KEY=test npm run server
+//
+// Implements just what server/youtube.js calls: channels (id / forHandle /
+// forUsername), playlistItems (paged) and videos. FIXTURE_PAGE_SIZE forces
+// small pages so pagination can be exercised with the 10 sample videos.
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.PORT || 3002);
+const PAGE_SIZE = Number(process.env.FIXTURE_PAGE_SIZE || 50);
+const sample = require(path.join(__dirname, '../../public/veritasium_channel_sample.json'));
+
+const CHANNEL_ID = 'UCHnyfMqiRRG1u-2MsSQLbXA';
+const UPLOADS_ID = `UU${CHANNEL_ID.slice(2)}`;
+
+const toIsoDuration = (seconds) => {
+  const s = Number(seconds) || 0;
+  return `PT${Math.floor(s / 3600)}H${Math.floor((s % 3600) / 60)}M${s % 60}S`;
+};
+
+const channelResource = {
+  id: CHANNEL_ID,
+  snippet: {
+    title: sample.channel.title,
+    description: '',
+    customUrl: `@${sample.channel.handle}`,
+    thumbnails: {},
+  },
+  contentDetails: { relatedPlaylists: { uploads: UPLOADS_ID } },
+  statistics: {
+    subscriberCount: '0',
+    videoCount: String(sample.videos.length),
+    viewCount: String(sample.videos.reduce((n, v) => n + (v.view_count || 0), 0)),
+  },
+};
+
+const videoResource = (v) => ({
+  id: v.video_id,
+  snippet: {
+    title: v.title,
+    description: v.description || '',
+    publishedAt: v.published_at,
+    thumbnails: { high: { url: v.thumbnail_url } },
+  },
+  contentDetails: { duration: toIsoDuration(v.duration) },
+  statistics: {
+    viewCount: String(v.view_count ?? 0),
+    likeCount: String(v.like_count ?? 0),
+    commentCount: String(v.comment_count ?? 0),
+  },
+});
+
+const handlers = {
+  channels: (q) => {
+    const match =
+      q.get('id') === CHANNEL_ID ||
+      [q.get('forHandle'), q.get('forUsername')].some((h) => h && h.replace(/^@/, '').toLowerCase() === sample.channel.handle);
+    return { items: match ? [channelResource] : [] };
+  },
+  playlistItems: (q) => {
+    if (q.get('playlistId') !== UPLOADS_ID) return { status: 404, error: 'playlistNotFound' };
+    const size = Math.min(PAGE_SIZE, Number(q.get('maxResults') || 5));
+    const start = Number(q.get('pageToken') || 0);
+    const items = sample.videos.slice(start, start + size).map((v) => ({ contentDetails: { videoId: v.video_id } }));
+    const next = start + size < sample.videos.length ? String(start + size) : undefined;
+    return { items, nextPageToken: next, pageInfo: { totalResults: sample.videos.length } };
+  },
+  videos: (q) => {
+    const ids = new Set((q.get('id') || '').split(','));
+    return { items: sample.videos.filter((v) => ids.has(v.video_id)).map(videoResource) };
+  },
+};
+
+http
+  .createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const handler = handlers[url.pathname.replace(/^\/+/, '')];
+    let status = 200;
+    let body;
+    if (!url.searchParams.get('key')) {
+      status = 403;
+      body = { error: { code: 403, message: 'API key missing' } };
+    } else if (!handler) {
+      status = 404;
+      body = { error: { code: 404, message: `Unknown resource ${url.pathname}` } };
+    } else {
+      body = handler(url.searchParams);
+      if (body.error) {
+        status = body.status;
+        body = { error: { code: status, message: body.error } };
+      }
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  })
+  .listen(PORT, () => console.log(`YouTube API fixture on http://localhost:${PORT}`));
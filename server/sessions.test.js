@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp } = require('./testing/startApp');
+
+let app;
+let alice;
+let bob;
+let aliceSession;
+
+before(async () => {
+  app = await startApp();
+  alice = await app.signUp('alice');
+  bob = await app.signUp('bob');
+  aliceSession = (await app.request('POST', '/api/sessions', { token: alice, body: { title: 'Mine' } })).body.id;
+  await app.request('POST', '/api/messages', {
+    token: alice,
+    body: { session_id: aliceSession, role: 'user', content: 'hello' },
+  });
+});
+
+after(() => app.close());
+
+test("another user's session is 404 on every route", async () => {
+  const calls = [
+    ['GET', `/api/messages?session_id=${aliceSession}`],
+    ['POST', '/api/messages', { session_id: aliceSession, role: 'user', content: 'hi' }],
+    ['PATCH', `/api/sessions/${aliceSession}/title`, { title: 'Taken' }],
+    ['PUT', `/api/sessions/${aliceSession}/dataset`, { datasetId: null }],
+    ['DELETE', `/api/sessions/${aliceSession}`],
+  ];
+  for (const [method, path, body] of calls) {
+    const res = await app.request(method, path, { token: bob, body });
+    assert.equal(res.status, 404, `${method} ${path}`);
+    assert.deepEqual(res.body, { error: 'Session not found' });
+  }
+  assert.deepEqual((await app.request('GET', '/api/sessions', { token: bob })).body, []);
+
+  // Alice's session is untouched.
+  const [session] = (await app.request('GET', '/api/sessions', { token: alice })).body;
+  assert.equal(session.title, 'Mine');
+  assert.equal(session.messageCount, 1);
+  const page = await app.request('GET', `/api/messages?session_id=${aliceSession}`, { token: alice });
+  assert.deepEqual(page.body.messages.map((m) => m.content), ['hello']);
+});
+
+test('invalid session ids are 404 too', async () => {
+  const res = await app.request('GET', '/api/messages?session_id=not-an-id', { token: alice });
+  assert.equal(res.status, 404);
+});
+
+test('requests without a token are 401', async () => {
+  const res = await app.request('GET', '/api/sessions');
+  assert.equal(res.status, 401);
+  assert.deepEqual(res.body, { error: 'Authentication required' });
+});
+
+test('tokens are stored hashed', async () => {
+  const [doc] = app.db.collection('auth_tokens').docs.filter((d) => d.username === 'alice');
+  assert.equal(doc.tokenHash, crypto.createHash('sha256').update(alice).digest('hex'));
+  assert.ok(!JSON.stringify(app.db.collection('auth_tokens').docs).includes(alice));
+});
+
+test('a revoked token is 401', async () => {
+  const token = await app.signUp('carol');
+  assert.equal((await app.request('GET', '/api/sessions', { token })).status, 200);
+  assert.equal((await app.request('POST', '/api/users/logout', { token })).status, 200);
+  const res = await app.request('GET', '/api/sessions', { token });
+  assert.equal(res.status, 401);
+  assert.deepEqual(res.body, { error: 'Session expired, please log in again' });
+});
+
+test('an expired token is 401', async () => {
+  const token = await app.signUp('dave');
+  const doc = app.db.collection('auth_tokens').docs.find((d) => d.username === 'dave');
+  doc.expiresAt = new Date(Date.now() - 1000);
+  const res = await app.request('GET', '/api/users/me', { token });
+  assert.equal(res.status, 401);
+  assert.deepEqual(res.body, { error: 'Session expired, please log in again' });
+});
@@ -0,0 +1,211 @@
+const { ObjectId } = require('mongodb');
+
+// In-memory stand-in for the slice of the MongoDB driver the server uses, so
+// route tests run without a database: collection(name) with find/findOne,
+// insertOne, updateOne/findOneAndUpdate ($set, $inc, $push, $addToSet,
+// $setOnInsert, upsert), findOneAndDelete, deleteOne/deleteMany and
+// countDocuments. Filters support equality, dotted paths, $ne, $in, $exists,
+// $lt/$lte/$gt/$gte and $or. Not a general Mongo emulator.
+
+// A path through an array of subdocuments ('videos.video_id') collects the
+// values from every element, as Mongo does.
+const get = (doc, path) =>
+  path.split('.').reduce((v, key) => {
+    if (v === null || v === undefined) return undefined;
+    return Array.isArray(v) && !/^\d+$/.test(key) ? v.map((item) => item?.[key]) : v[key];
+  }, doc);
+
+const set = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((v, key) => (v[key] ??= {}), doc);
+  target[last] = value;
+};
+
+// Copies documents in and out like the driver would; structuredClone would turn
+// ObjectIds into plain objects.
+const clone = (v) => {
+  if (v instanceof ObjectId) return v;
+  if (v instanceof Date) return new Date(v);
+  if (Array.isArray(v)) return v.map(clone);
+  if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+};
+
+// ObjectIds and Dates compare by value; everything else by ===.
+const key = (v) => (v instanceof ObjectId ? v.toHexString() : v instanceof Date ? v.getTime() : v);
+const equal = (a, b) => key(a) === key(b);
+const compare = (a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0);
+
+const OPERATORS = {
+  $ne: (v, arg) => !equal(v, arg),
+  $in: (v, arg) => arg.some((a) => equal(v, a)),
+  $exists: (v, arg) => (v !== undefined) === arg,
+  $lt: (v, arg) => v !== undefined && compare(v, arg) < 0,
+  $lte: (v, arg) => v !== undefined && compare(v, arg) <= 0,
+  $gt: (v, arg) => v !== undefined && compare(v, arg) > 0,
+  $gte: (v, arg) => v !== undefined && compare(v, arg) >= 0,
+};
+
+const isOperatorObject = (cond) =>
+  cond && typeof cond === 'object' && !(cond instanceof ObjectId) && !(cond instanceof Date) &&
+  Object.keys(cond).every((k) => k.startsWith('$'));
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([path, cond]) => {
+    if (path === '$or') return cond.some((f) => matches(doc, f));
+    const value = get(doc, path);
+    if (isOperatorObject(cond)) return Object.entries(cond).every(([op, arg]) => OPERATORS[op](value, arg));
+    return Array.isArray(value) && !Array.isArray(cond) ? value.some((v) => equal(v, cond)) : equal(value, cond);
+  });
+}
+
+function project(doc, projection) {
+  if (!projection || !Object.keys(projection).length) return clone(doc);
+  const include = Object.entries(projection).filter(([, v]) => v);
+  if (!include.length) {
+    const out = clone(doc);
+    Object.keys(projection).forEach((k) => delete out[k]);
+    return out;
+  }
+  const out = projection._id === 0 ? {} : { _id: doc._id };
+  include.forEach(([k]) => {
+    if (get(doc, k) !== undefined) set(out, k, clone(get(doc, k)));
+  });
+  return out;
+}
+
+function applyUpdate(doc, update, inserting) {
+  Object.entries(update.$set || {}).forEach(([k, v]) => set(doc, k, v));
+  if (inserting) Object.entries(update.$setOnInsert || {}).forEach(([k, v]) => set(doc, k, v));
+  Object.entries(update.$inc || {}).forEach(([k, v]) => set(doc, k, (get(doc, k) || 0) + v));
+  Object.entries(update.$push || {}).forEach(([k, v]) => set(doc, k, [...(get(doc, k) || []), v]));
+  Object.entries(update.$addToSet || {}).forEach(([k, v]) => {
+    const list = [...(get(doc, k) || [])];
+    (v?.$each || [v]).forEach((item) => {
+      if (!list.some((x) => equal(x, item))) list.push(item);
+    });
+    set(doc, k, list);
+  });
+}
+
+function createCursor(docsPromise, projection) {
+  let sortSpec = null;
+  let skipN = 0;
+  let limitN = 0;
+  const cursor = {
+    sort(spec) {
+      sortSpec = spec;
+      return cursor;
+    },
+    skip(n) {
+      skipN = n;
+      return cursor;
+    },
+    limit(n) {
+      limitN = n;
+      return cursor;
+    },
+    async toArray() {
+      let docs = [...(await docsPromise)];
+      if (sortSpec) {
+        const keys = Object.entries(sortSpec);
+        docs.sort((a, b) => {
+          for (const [k, dir] of keys) {
+            const c = compare(get(a, k), get(b, k));
+            if (c) return c * dir;
+          }
+          return 0;
+        });
+      }
+      docs = docs.slice(skipN, limitN ? skipN + limitN : undefined);
+      return docs.map((d) => project(d, projection));
+    },
+    async next() {
+      return (await cursor.toArray())[0] || null;
+    },
+  };
+  return cursor;
+}
+
+function createCollection() {
+  const docs = [];
+  const first = (filter) => docs.find((d) => matches(d, filter)) || null;
+
+  async function updateOne(filter, update, { upsert = false } = {}) {
+    let doc = first(filter);
+    const inserting = !doc;
+    if (inserting) {
+      if (!upsert) return { matchedCount: 0, modifiedCount: 0 };
+      doc = { _id: new ObjectId() };
+      Object.entries(filter).forEach(([k, v]) => {
+        if (!k.startsWith('$') && !isOperatorObject(v)) set(doc, k, v);
+      });
+      docs.push(doc);
+    }
+    applyUpdate(doc, update, inserting);
+    return { matchedCount: inserting ? 0 : 1, modifiedCount: 1, upsertedId: inserting ? doc._id : null };
+  }
+
+  return {
+    docs,
+    async createIndex() {},
+    async insertOne(doc) {
+      const stored = { _id: new ObjectId(), ...clone(doc) };
+      docs.push(stored);
+      doc._id = stored._id;
+      return { insertedId: stored._id };
+    },
+    find(filter, { projection } = {}) {
+      return createCursor(Promise.resolve(docs.filter((d) => matches(d, filter))), projection);
+    },
+    async findOne(filter, { projection } = {}) {
+      const doc = first(filter);
+      return doc ? project(doc, projection) : null;
+    },
+    updateOne,
+    async updateMany(filter, update) {
+      const hit = docs.filter((d) => matches(d, filter));
+      hit.forEach((d) => applyUpdate(d, update, false));
+      return { matchedCount: hit.length, modifiedCount: hit.length };
+    },
+    async findOneAndUpdate(filter, update, { returnDocument = 'before', upsert = false } = {}) {
+      const before = first(filter);
+      const snapshot = before && clone(before);
+      await updateOne(filter, update, { upsert });
+      if (returnDocument === 'after') return first(filter) && clone(first(filter));
+      return snapshot;
+    },
+    async findOneAndDelete(filter) {
+      const i = docs.findIndex((d) => matches(d, filter));
+      return i === -1 ? null : docs.splice(i, 1)[0];
+    },
+    async deleteOne(filter) {
+      const i = docs.findIndex((d) => matches(d, filter));
+      if (i !== -1) docs.splice(i, 1);
+      return { deletedCount: i === -1 ? 0 : 1 };
+    },
+    async deleteMany(filter) {
+      const keep = docs.filter((d) => !matches(d, filter));
+      const deletedCount = docs.length - keep.length;
+      docs.splice(0, docs.length, ...keep);
+      return { deletedCount };
+    },
+    async countDocuments(filter, { limit } = {}) {
+      const n = docs.filter((d) => matches(d, filter)).length;
+      return limit ? Math.min(n, limit) : n;
+    },
+  };
+}
+
+function createFakeDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection());
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = { createFakeDb };
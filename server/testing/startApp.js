@@ -0,0 +1,38 @@
+const { createFakeDb } = require('./fakeMongo');
+
+// Starts index.js's app on a free port against a fresh fake db. Route tests
+// call this once per file; index.js keeps its login throttles in module state,
+// and node --test gives every file its own process.
+async function startApp() {
+  const { app, useDb } = require('../index');
+  const db = createFakeDb();
+  useDb(db);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+  };
+
+  // Registers a user and returns their login token.
+  const signUp = async (username, password = 'secret-pass', extra = {}) => {
+    await request('POST', '/api/users', { body: { username, password, ...extra } });
+    const login = await request('POST', '/api/users/login', { body: { username, password } });
+    return login.body.token;
+  };
+
+  return { db, base, request, signUp, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./testing/startApp');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app.close());
+
+test('login returns the profile including the email', async () => {
+  await app.request('POST', '/api/users', {
+    body: { username: 'Alice', password: 'secret-pass', email: 'Alice@Example.com', firstName: 'Alice' },
+  });
+  const res = await app.request('POST', '/api/users/login', { body: { username: 'alice', password: 'secret-pass' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    { ...res.body, token: typeof res.body.token },
+    { ok: true, token: 'string', username: 'alice', firstName: 'Alice', lastName: '', email: 'alice@example.com' }
+  );
+});
+
+test('PATCH /api/users/me without email keeps it', async () => {
+  const token = await app.signUp('bob', 'secret-pass', { email: 'bob@example.com' });
+  const res = await app.request('PATCH', '/api/users/me', { token, body: { firstName: 'Bob' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.firstName, 'Bob');
+  assert.equal(res.body.email, 'bob@example.com');
+  const me = await app.request('GET', '/api/users/me', { token });
+  assert.equal(me.body.email, 'bob@example.com');
+});
+
+test('PATCH /api/users/me with an empty email clears it and rejects a bad one', async () => {
+  const token = await app.signUp('carol', 'secret-pass', { email: 'carol@example.com' });
+  const bad = await app.request('PATCH', '/api/users/me', { token, body: { email: 'not-an-email' } });
+  assert.equal(bad.status, 400);
+  const cleared = await app.request('PATCH', '/api/users/me', { token, body: { email: '' } });
+  assert.equal(cleared.body.email, '');
+});
+
+test('PATCH /api/users/me with no fields changes nothing', async () => {
+  const token = await app.signUp('dave', 'secret-pass', { email: 'dave@example.com', firstName: 'Dave' });
+  const res = await app.request('PATCH', '/api/users/me', { token, body: {} });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { username: 'dave', firstName: 'Dave', lastName: '', email: 'dave@example.com' });
+});
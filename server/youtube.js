@@ -0,0 +1,270 @@
+const express = require('express');
+
+// YouTube Data API v3 adapter. The key stays on the server; the browser asks
+// for a channel and gets progress events plus the same { channel, videos }
+// JSON the Chat tab loads. All HTTP goes through `fetchImpl` against `baseUrl`,
+// so a local fixture server (YOUTUBE_API_BASE_URL) or a fake fetch can stand in
+// for googleapis.com.
+
+const API_KEY = process.env.YOUTUBE_API_KEY || '';
+const BASE_URL = process.env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com/youtube/v3';
+const PAGE_SIZE = 50; // API maximum for playlistItems.list and videos.list ids
+const MAX_VIDEOS = 500;
+
+// Accepts "@handle", "handle", a channel id (UC…) or any youtube.com channel
+// URL (/@handle, /channel/UC…, /user/name, /c/name, with or without a tab).
+function parseChannelInput(input) {
+  const raw = String(input || '').trim();
+  if (!raw) return null;
+  if (/^UC[\w-]{22}$/.test(raw)) return { id: raw };
+  if (/^@?[\w.-]{3,30}$/.test(raw)) return { handle: raw.replace(/^@/, '') };
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)youtube\.com$/i.test(url.hostname)) return null;
+  const [first, second] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (!first) return null;
+  if (first.startsWith('@')) return { handle: first.slice(1) };
+  if (first === 'channel' && /^UC[\w-]{22}$/.test(second || '')) return { id: second };
+  if (first === 'user' && second) return { username: second };
+  // Legacy custom URLs (/c/name) have no API lookup; most match the handle.
+  if (first === 'c' && second) return { handle: second };
+  return null;
+}
+
+// "PT1H2M3S" → 3723. Live streams and premieres report P0D.
+function parseIsoDuration(iso) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(iso || ''));
+  if (!m) return null;
+  const [, d = 0, h = 0, min = 0, s = 0] = m;
+  return Math.round(Number(d) * 86400 + Number(h) * 3600 + Number(min) * 60 + Number(s));
+}
+
+const bestThumbnail = (thumbnails = {}) =>
+  (thumbnails.maxres || thumbnails.standard || thumbnails.high || thumbnails.medium || thumbnails.default || {})
+    .url || null;
+
+const toVideo = (item) => ({
+  video_id: item.id,
+  title: item.snippet?.title || '',
+  description: item.snippet?.description || '',
+  transcript: null,
+  duration: parseIsoDuration(item.contentDetails?.duration),
+  published_at: item.snippet?.publishedAt || null,
+  view_count: Number(item.statistics?.viewCount ?? 0),
+  like_count: item.statistics?.likeCount === undefined ? null : Number(item.statistics.likeCount),
+  comment_count: item.statistics?.commentCount === undefined ? null : Number(item.statistics.commentCount),
+  thumbnail_url: bestThumbnail(item.snippet?.thumbnails),
+  video_url: `https://www.youtube.com/watch?v=${item.id}`,
+});
+
+function createYoutubeClient({ apiKey = API_KEY, baseUrl = BASE_URL, fetchImpl = fetch } = {}) {
+  if (!apiKey) return null;
+
+  async function get(resource, params, signal) {
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}/${resource}`);
+    Object.entries({ ...params, key: apiKey }).forEach(([k, v]) => {
+      if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+    });
+    const res = await fetchImpl(url, { signal, headers: { Accept: 'application/json' } });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(body?.error?.message || `YouTube API ${resource} failed (${res.status})`);
+      err.status = res.status;
+      throw err;
+    }
+    return body;
+  }
+
+  async function resolveChannel(input, { signal } = {}) {
+    const ref = parseChannelInput(input);
+    if (!ref) {
+      const err = new Error('Enter a channel URL, @handle or channel id (UC…)');
+      err.status = 400;
+      throw err;
+    }
+    const lookup = ref.id ? { id: ref.id } : ref.username ? { forUsername: ref.username } : { forHandle: ref.handle };
+    const body = await get('channels', { part: 'snippet,contentDetails,statistics', ...lookup }, signal);
+    const item = body.items?.[0];
+    if (!item) {
+      const err = new Error(`Channel not found: ${String(input).trim()}`);
+      err.status = 404;
+      throw err;
+    }
+    const handle = (item.snippet?.customUrl || '').replace(/^@/, '') || ref.handle || null;
+    return {
+      id: item.id,
+      handle,
+      url: handle ? `https://www.youtube.com/@${handle}` : `https://www.youtube.com/channel/${item.id}`,
+      title: item.snippet?.title || '',
+      description: item.snippet?.description || '',
+      thumbnail_url: bestThumbnail(item.snippet?.thumbnails),
+      subscriber_count: item.statistics?.hiddenSubscriberCount ? null : Number(item.statistics?.subscriberCount ?? 0),
+      video_count: Number(item.statistics?.videoCount ?? 0),
+      view_count: Number(item.statistics?.viewCount ?? 0),
+      uploads_playlist_id: item.contentDetails?.relatedPlaylists?.uploads || null,
+    };
+  }
+
+  // Newest uploads first, up to maxVideos. onProgress receives
+  // { stage: 'resolve' | 'playlist' | 'videos', done, total }.
+  async function fetchChannel(input, { maxVideos = 50, onProgress = () => {}, signal } = {}) {
+    const limit = Math.max(1, Math.min(MAX_VIDEOS, Number(maxVideos) || 50));
+    onProgress({ stage: 'resolve', done: 0, total: 1 });
+    const { uploads_playlist_id: uploads, ...channel } = await resolveChannel(input, { signal });
+    onProgress({ stage: 'resolve', done: 1, total: 1 });
+
+    const total = Math.min(limit, channel.video_count || limit);
+    const ids = [];
+    let pageToken;
+    while (uploads && ids.length < limit) {
+      const page = await get(
+        'playlistItems',
+        { part: 'contentDetails', playlistId: uploads, maxResults: PAGE_SIZE, pageToken },
+        signal
+      );
+      (page.items || []).forEach((it) => {
+        if (ids.length < limit && it.contentDetails?.videoId) ids.push(it.contentDetails.videoId);
+      });
+      onProgress({ stage: 'playlist', done: ids.length, total });
+      pageToken = page.nextPageToken;
+      if (!pageToken) break;
+    }
+
+    return {
+      channel: {
+        ...channel,
+        downloaded_at: new Date().toISOString(),
+        max_videos_requested: limit,
+      },
+      videos: await fetchVideos(ids, { onProgress, signal }),
+    };
+  }
+
+  // Current details for known video ids, in the given order. Deleted or
+  // private videos are simply missing from videos.list.
+  async function fetchVideos(ids, { onProgress = () => {}, signal } = {}) {
+    const byId = new Map();
+    for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+      const batch = ids.slice(i, i + PAGE_SIZE);
+      const body = await get('videos', { part: 'snippet,statistics,contentDetails', id: batch.join(',') }, signal);
+      (body.items || []).forEach((item) => byId.set(item.id, toVideo(item)));
+      onProgress({ stage: 'videos', done: Math.min(ids.length, i + batch.length), total: ids.length });
+    }
+    return ids.map((id) => byId.get(id)).filter(Boolean);
+  }
+
+  // Re-fetches channel and video stats for videos already downloaded, without
+  // paging the uploads playlist again.
+  async function refreshChannel(channelId, videoIds, { onProgress = () => {}, signal } = {}) {
+    onProgress({ stage: 'resolve', done: 0, total: 1 });
+    const { uploads_playlist_id: _uploads, ...channel } = await resolveChannel(channelId, { signal });
+    onProgress({ stage: 'resolve', done: 1, total: 1 });
+    return {
+      channel: { ...channel, downloaded_at: new Date().toISOString(), refreshed: true },
+      videos: await fetchVideos(videoIds, { onProgress, signal }),
+    };
+  }
+
+  return { resolveChannel, fetchChannel, fetchVideos, refreshChannel };
+}
+
+const writeEvent = (res, event) => res.write(`${JSON.stringify(event)}\n`);
+
+// Runs `work(onProgress, signal)` and streams NDJSON lines
+//   { type: 'progress', stage, done, total } …
+//   then { type: 'done', data } or { type: 'error', error, status }
+async function streamJob(res, work) {
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.flushHeaders?.();
+
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) upstream.abort();
+  });
+
+  try {
+    const data = await work((p) => writeEvent(res, { type: 'progress', ...p }), upstream.signal);
+    writeEvent(res, { type: 'done', data });
+  } catch (err) {
+    if (!upstream.signal.aborted) writeEvent(res, { type: 'error', error: err.message, status: err.status || 502 });
+  }
+  res.end();
+}
+
+// `snapshots` (see channelSnapshots.js) is optional; with it every download is
+// stored and the /channels routes are enabled.
+function createYoutubeRouter({ client, snapshots = null }) {
+  const router = express.Router();
+
+  const requireClient = (req, res, next) => {
+    if (!client) return res.status(503).json({ error: 'YouTube API key is not configured on the server' });
+    next();
+  };
+
+  const requireSnapshots = (req, res, next) => {
+    if (!snapshots) return res.status(404).json({ error: 'Channel history is not enabled' });
+    next();
+  };
+
+  router.get('/status', (req, res) => {
+    res.json({ configured: !!client });
+  });
+
+  // Body { channel, maxVideos } → streamed progress, then { channel, videos }
+  router.post('/channel', requireClient, async (req, res) => {
+    const { channel, maxVideos } = req.body;
+    if (!channel) return res.status(400).json({ error: 'channel required' });
+    await streamJob(res, async (onProgress, signal) => {
+      const data = await client.fetchChannel(channel, { maxVideos, onProgress, signal });
+      if (snapshots) await snapshots.record(req.user.username, data);
+      return data;
+    });
+  });
+
+  // Channels this user has downloaded, newest snapshot first.
+  router.get('/channels', requireSnapshots, async (req, res) => {
+    try {
+      res.json(await snapshots.list(req.user.username));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // New snapshot of every known video → streamed progress, then { channel, videos }
+  router.post('/channels/:channelId/refresh', requireClient, requireSnapshots, async (req, res) => {
+    try {
+      const known = await snapshots.find(req.user.username, req.params.channelId);
+      if (!known) return res.status(404).json({ error: 'Channel has not been downloaded yet' });
+      await streamJob(res, async (onProgress, signal) => {
+        const data = await client.refreshChannel(known.channel_id, known.video_ids || [], { onProgress, signal });
+        await snapshots.record(req.user.username, data);
+        return data;
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ?metric=view_count&video_id=… → { points: [{ taken_at, value, videos }] }
+  router.get('/channels/:channelId/history', requireSnapshots, async (req, res) => {
+    try {
+      const points = await snapshots.history(req.user.username, req.params.channelId, {
+        videoId: req.query.video_id || null,
+        metric: req.query.metric || 'view_count',
+      });
+      res.json({ points });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createYoutubeClient, createYoutubeRouter, parseChannelInput, parseIsoDuration };
@@ -0,0 +1,187 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createYoutubeClient, createYoutubeRouter, parseChannelInput, parseIsoDuration } = require('./youtube');
+const sample = require('../public/veritasium_channel_sample.json');
+
+// A fake fetchImpl serving the bundled sample channel the way the Data API
+// does (same shapes as scripts/youtube-fixture.js), with small playlist pages
+// so pagination is exercised. `requests` records every URL asked for.
+
+const CHANNEL_ID = 'UCHnyfMqiRRG1u-2MsSQLbXA';
+const UPLOADS_ID = `UU${CHANNEL_ID.slice(2)}`;
+
+const json = (status, body) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const channelItem = {
+  id: CHANNEL_ID,
+  snippet: { title: sample.channel.title, customUrl: `@${sample.channel.handle}`, thumbnails: {} },
+  contentDetails: { relatedPlaylists: { uploads: UPLOADS_ID } },
+  statistics: { subscriberCount: '100', videoCount: String(sample.videos.length), viewCount: '1000' },
+};
+
+const videoItem = (v) => ({
+  id: v.video_id,
+  snippet: { title: v.title, publishedAt: v.published_at, thumbnails: { high: { url: v.thumbnail_url } } },
+  contentDetails: { duration: 'PT1M5S' },
+  statistics: { viewCount: String(v.view_count), likeCount: String(v.like_count ?? 0) },
+});
+
+function fakeYoutube({ pageSize = 3, fail = {} } = {}) {
+  const requests = [];
+  const fetchImpl = async (url, { signal } = {}) => {
+    if (signal?.aborted) throw new DOMException('This operation was aborted', 'AbortError');
+    const resource = url.pathname.split('/').pop();
+    const q = url.searchParams;
+    requests.push({ resource, params: Object.fromEntries(q) });
+    if (fail[resource]) return fail[resource]();
+    if (resource === 'channels') {
+      const match = q.get('id') === CHANNEL_ID || q.get('forHandle') === sample.channel.handle;
+      return json(200, { items: match ? [channelItem] : [] });
+    }
+    if (resource === 'playlistItems') {
+      const start = Number(q.get('pageToken') || 0);
+      const items = sample.videos.slice(start, start + pageSize).map((v) => ({ contentDetails: { videoId: v.video_id } }));
+      const next = start + pageSize < sample.videos.length ? String(start + pageSize) : undefined;
+      return json(200, { items, nextPageToken: next });
+    }
+    const ids = new Set(q.get('id').split(','));
+    return json(200, { items: sample.videos.filter((v) => ids.has(v.video_id)).map(videoItem) });
+  };
+  return { requests, fetchImpl };
+}
+
+const clientFor = (fake) => createYoutubeClient({ apiKey: 'test-key', baseUrl: 'http://yt.test/v3/', fetchImpl: fake.fetchImpl });
+
+test('parses channel inputs and ISO durations', () => {
+  assert.deepEqual(parseChannelInput('@veritasium'), { handle: 'veritasium' });
+  assert.deepEqual(parseChannelInput(`https://www.youtube.com/channel/${CHANNEL_ID}/videos`), { id: CHANNEL_ID });
+  assert.deepEqual(parseChannelInput('youtube.com/user/someone'), { username: 'someone' });
+  assert.equal(parseChannelInput('https://vimeo.com/@x'), null);
+  assert.equal(parseIsoDuration('PT1H2M3S'), 3723);
+  assert.equal(parseIsoDuration('P0D'), 0);
+});
+
+test('no API key means no client', () => {
+  assert.equal(createYoutubeClient({ apiKey: '' }), null);
+});
+
+test('follows playlist pages until every upload is listed', async () => {
+  const fake = fakeYoutube({ pageSize: 3 });
+  const progress = [];
+  const { channel, videos } = await clientFor(fake).fetchChannel('@veritasium', {
+    maxVideos: 50,
+    onProgress: (p) => progress.push(p),
+  });
+
+  assert.equal(channel.id, CHANNEL_ID);
+  assert.equal(channel.handle, sample.channel.handle);
+  assert.equal(channel.uploads_playlist_id, undefined);
+  assert.deepEqual(
+    videos.map((v) => v.video_id),
+    sample.videos.map((v) => v.video_id)
+  );
+  assert.equal(videos[0].duration, 65);
+  assert.equal(videos[0].video_url, `https://www.youtube.com/watch?v=${sample.videos[0].video_id}`);
+
+  const pages = fake.requests.filter((r) => r.resource === 'playlistItems');
+  assert.deepEqual(
+    pages.map((r) => r.params.pageToken),
+    [undefined, '3', '6', '9']
+  );
+  assert.ok(fake.requests.every((r) => r.params.key === 'test-key'));
+  assert.deepEqual(
+    progress.filter((p) => p.stage === 'playlist').map((p) => p.done),
+    [3, 6, 9, 10]
+  );
+  assert.deepEqual(progress.at(-1), { stage: 'videos', done: 10, total: 10 });
+});
+
+test('stops paging once maxVideos uploads are listed', async () => {
+  const fake = fakeYoutube({ pageSize: 3 });
+  const { videos } = await clientFor(fake).fetchChannel(CHANNEL_ID, { maxVideos: 4 });
+  assert.equal(videos.length, 4);
+  assert.equal(fake.requests.filter((r) => r.resource === 'playlistItems').length, 2);
+});
+
+test('asks videos.list for at most 50 ids at a time', async () => {
+  const fake = fakeYoutube();
+  const ids = Array.from({ length: 120 }, (_, i) => sample.videos[i % sample.videos.length].video_id);
+  await clientFor(fake).fetchVideos(ids);
+  assert.deepEqual(
+    fake.requests.map((r) => r.params.id.split(',').length),
+    [50, 50, 20]
+  );
+});
+
+test('quota errors keep the API message and status', async () => {
+  const fake = fakeYoutube({
+    fail: {
+      playlistItems: () =>
+        json(403, { error: { code: 403, message: 'The request cannot be completed because you have exceeded your quota.' } }),
+    },
+  });
+  await assert.rejects(clientFor(fake).fetchChannel('@veritasium'), (err) => {
+    assert.equal(err.status, 403);
+    assert.match(err.message, /exceeded your quota/);
+    return true;
+  });
+});
+
+test('HTTP errors without a JSON body get a generic message', async () => {
+  const fake = fakeYoutube({ fail: { channels: () => new Response('Bad gateway', { status: 502 }) } });
+  await assert.rejects(clientFor(fake).resolveChannel('@veritasium'), {
+    status: 502,
+    message: 'YouTube API channels failed (502)',
+  });
+});
+
+test('unknown channels are 404 and unparseable input is 400 without a request', async () => {
+  const fake = fakeYoutube();
+  await assert.rejects(clientFor(fake).resolveChannel('@nobody-here'), { status: 404 });
+  await assert.rejects(clientFor(fake).resolveChannel('https://example.com/x'), { status: 400 });
+  assert.equal(fake.requests.length, 1);
+});
+
+test('aborting stops the download between pages', async () => {
+  const fake = fakeYoutube({ pageSize: 3 });
+  const controller = new AbortController();
+  const onProgress = (p) => {
+    if (p.stage === 'playlist' && p.done >= 3) controller.abort();
+  };
+  await assert.rejects(
+    clientFor(fake).fetchChannel('@veritasium', { onProgress, signal: controller.signal }),
+    { name: 'AbortError' }
+  );
+  assert.equal(fake.requests.filter((r) => r.resource === 'playlistItems').length, 1);
+  assert.equal(fake.requests.filter((r) => r.resource === 'videos').length, 0);
+});
+
+test('the router streams progress and then the API error', async () => {
+  const fake = fakeYoutube({
+    fail: { videos: () => json(403, { error: { code: 403, message: 'quotaExceeded' } }) },
+  });
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { username: 'alice' };
+    next();
+  });
+  app.use('/api/youtube', createYoutubeRouter({ client: clientFor(fake) }));
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/youtube/channel`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ channel: '@veritasium', maxVideos: 5 }),
+    });
+    const events = (await res.text()).trim().split('\n').map((l) => JSON.parse(l));
+    assert.equal(events[0].type, 'progress');
+    assert.deepEqual(events.at(-1), { type: 'error', error: 'quotaExceeded', status: 403 });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
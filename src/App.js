@@ -1,32 +1,59 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import Auth from './components/Auth';
 import Chat from './components/Chat';
 import YoutubeDownload from './components/YoutubeDownload';
+import Account from './components/Account';
+import {
+  getAuthToken,
+  clearAuthToken,
+  getCurrentUser,
+  logoutUser,
+  setUnauthorizedHandler,
+} from './services/mongoApi';
+import { clearAttachmentCache } from './services/attachmentsApi';
 import './App.css';
 
 function App() {
-  const [user, setUser] = useState(() => {
-    const raw = localStorage.getItem('chatapp_user');
-    if (!raw) return null;
-    try {
-      return JSON.parse(raw);
-    } catch {
-      // Backwards compatibility: older versions stored just the username string
-      return { username: raw, firstName: '', lastName: '' };
-    }
-  });
+  const [user, setUser] = useState(null);
+  // A stored token is only a claim; wait for /api/users/me before showing the app.
+  const [restoring, setRestoring] = useState(() => !!getAuthToken());
   const [tab, setTab] = useState('chat');
+  // Password reset links look like /?reset=<code>.
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('reset') || '');
+
+  useEffect(() => {
+    // Older versions kept the whole user object here with no token.
+    localStorage.removeItem('chatapp_user');
+    setUnauthorizedHandler(() => setUser(null));
+    if (!getAuthToken()) return;
+    getCurrentUser()
+      .then(setUser)
+      .catch(() => clearAuthToken())
+      .finally(() => setRestoring(false));
+  }, []);
+
+  // Covers logout, account deletion and expired tokens alike.
+  useEffect(() => {
+    if (!user) clearAttachmentCache();
+  }, [user]);
 
   const handleLogin = (u) => {
-    localStorage.setItem('chatapp_user', JSON.stringify(u));
     setUser(u);
   };
 
   const handleLogout = () => {
-    localStorage.removeItem('chatapp_user');
+    logoutUser().catch(() => {});
+    setUser(null);
+    setTab('chat');
+  };
+
+  const handleAccountDeleted = () => {
     setUser(null);
+    setTab('chat');
   };
 
+  if (restoring) return null;
+
   if (user) {
     return (
       <div className="app-shell">
@@ -47,6 +74,13 @@ function App() {
             >
               YouTube Channel Download
             </button>
+            <button
+              type="button"
+              className={`app-tab${tab === 'account' ? ' active' : ''}`}
+              onClick={() => setTab('account')}
+            >
+              Account
+            </button>
           </div>
           <button type="button" className="app-logout" onClick={handleLogout}>
             Log out
@@ -61,6 +95,12 @@ function App() {
               lastName={user.lastName}
               onLogout={handleLogout}
             />
+          ) : tab === 'account' ? (
+            <Account
+              user={user}
+              onUpdate={(profile) => setUser((u) => ({ ...u, ...profile }))}
+              onDeleted={handleAccountDeleted}
+            />
           ) : (
             <YoutubeDownload />
           )}
@@ -68,7 +108,7 @@ function App() {
       </div>
     );
   }
-  return <Auth onLogin={handleLogin} />;
+  return <Auth onLogin={handleLogin} resetToken={resetToken} />;
 }
 
 export default App;
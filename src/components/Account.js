@@ -0,0 +1,201 @@
+import { useState } from 'react';
+import { updateProfile, changePassword, deleteAccount } from '../services/mongoApi';
+import './Account.css';
+
+// Server errors arrive as the raw JSON body ({"error": "..."}).
+const errorText = (err) => {
+  try {
+    return JSON.parse(err.message).error || err.message;
+  } catch {
+    return err.message || 'Something went wrong';
+  }
+};
+
+function Status({ status }) {
+  if (!status) return null;
+  return <div className={`account-status ${status.ok ? 'ok' : 'err'}`}>{status.text}</div>;
+}
+
+export default function Account({ user, onUpdate, onDeleted }) {
+  const [firstName, setFirstName] = useState(user.firstName || '');
+  const [lastName, setLastName] = useState(user.lastName || '');
+  const [email, setEmail] = useState(user.email || '');
+  const [profileStatus, setProfileStatus] = useState(null);
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordStatus, setPasswordStatus] = useState(null);
+
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteStatus, setDeleteStatus] = useState(null);
+
+  const [busy, setBusy] = useState('');
+
+  const handleProfile = async (e) => {
+    e.preventDefault();
+    setBusy('profile');
+    setProfileStatus(null);
+    // Only edited fields are sent, so a field that was never loaded can't
+    // overwrite what the server has (an empty email would clear it).
+    const changes = {};
+    if (firstName !== (user.firstName || '')) changes.firstName = firstName;
+    if (lastName !== (user.lastName || '')) changes.lastName = lastName;
+    if (email !== (user.email || '')) changes.email = email;
+    try {
+      const updated = await updateProfile(changes);
+      onUpdate(updated);
+      setProfileStatus({ ok: true, text: 'Profile saved.' });
+    } catch (err) {
+      setProfileStatus({ ok: false, text: errorText(err) });
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handlePassword = async (e) => {
+    e.preventDefault();
+    setPasswordStatus(null);
+    if (newPassword !== confirmPassword) {
+      setPasswordStatus({ ok: false, text: 'New passwords do not match.' });
+      return;
+    }
+    setBusy('password');
+    try {
+      await changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setPasswordStatus({ ok: true, text: 'Password changed. Other devices have been logged out.' });
+    } catch (err) {
+      setPasswordStatus({ ok: false, text: errorText(err) });
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account and all of your chats? This cannot be undone.')) return;
+    setBusy('delete');
+    setDeleteStatus(null);
+    try {
+      await deleteAccount(deletePassword);
+      onDeleted();
+    } catch (err) {
+      setDeleteStatus({ ok: false, text: errorText(err) });
+      setBusy('');
+    }
+  };
+
+  return (
+    <div className="account-page">
+      <div className="account-card">
+        <div className="account-header">
+          <h1>Account</h1>
+          <p>Signed in as @{user.username}</p>
+        </div>
+
+        <form className="account-section" onSubmit={handleProfile}>
+          <h2>Profile</h2>
+          <div className="account-row">
+            <label className="account-label">
+              First name
+              <input
+                className="account-input"
+                value={firstName}
+                onChange={(e) => setFirstName(e.target.value)}
+                autoComplete="given-name"
+              />
+            </label>
+            <label className="account-label">
+              Last name
+              <input
+                className="account-input"
+                value={lastName}
+                onChange={(e) => setLastName(e.target.value)}
+                autoComplete="family-name"
+              />
+            </label>
+          </div>
+          <label className="account-label">
+            Email
+            <input
+              className="account-input"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="email"
+            />
+          </label>
+          <Status status={profileStatus} />
+          <button className="account-btn" type="submit" disabled={!!busy}>
+            {busy === 'profile' ? 'Saving…' : 'Save profile'}
+          </button>
+        </form>
+
+        <form className="account-section" onSubmit={handlePassword}>
+          <h2>Change password</h2>
+          <label className="account-label">
+            Current password
+            <input
+              className="account-input"
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              required
+              autoComplete="current-password"
+            />
+          </label>
+          <div className="account-row">
+            <label className="account-label">
+              New password
+              <input
+                className="account-input"
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                required
+                autoComplete="new-password"
+              />
+            </label>
+            <label className="account-label">
+              Confirm new password
+              <input
+                className="account-input"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                autoComplete="new-password"
+              />
+            </label>
+          </div>
+          <Status status={passwordStatus} />
+          <button className="account-btn" type="submit" disabled={!!busy}>
+            {busy === 'password' ? 'Updating…' : 'Change password'}
+          </button>
+        </form>
+
+        <form className="account-section danger" onSubmit={handleDelete}>
+          <h2>Delete account</h2>
+          <label className="account-label">
+            Password
+            <input
+              className="account-input"
+              type="password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              required
+              autoComplete="current-password"
+            />
+          </label>
+          <Status status={deleteStatus} />
+          <button className="account-btn danger" type="submit" disabled={!!busy}>
+            {busy === 'delete' ? 'Deleting…' : 'Delete account and chats'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
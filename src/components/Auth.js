@@ -1,20 +1,33 @@
 import { useState } from 'react';
-import { createUser, findUser } from '../services/mongoApi';
+import { createUser, findUser, requestPasswordReset, resetPassword } from '../services/mongoApi';
 import './Auth.css';
 
-export default function Auth({ onLogin }) {
-  const [mode, setMode] = useState('login');
+// Modes: 'login' | 'create' | 'forgot' (request a reset code) | 'reset' (use it).
+// `resetToken` comes from a ?reset=… link and opens the form in reset mode.
+export default function Auth({ onLogin, resetToken = '' }) {
+  const [mode, setMode] = useState(resetToken ? 'reset' : 'login');
   const [username, setUsername] = useState('');
   const [firstName, setFirstName] = useState('');
   const [lastName, setLastName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [identifier, setIdentifier] = useState('');
+  const [resetCode, setResetCode] = useState(resetToken);
   const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
   const [loading, setLoading] = useState(false);
 
+  const switchMode = (next) => {
+    setMode(next);
+    setError('');
+    setInfo('');
+    setPassword('');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setInfo('');
     setLoading(true);
     try {
       const name = username.trim().toLowerCase();
@@ -32,6 +45,17 @@ export default function Auth({ onLogin }) {
         setEmail('');
         setFirstName('');
         setLastName('');
+      } else if (mode === 'forgot') {
+        await requestPasswordReset(identifier.trim());
+        setMode('reset');
+        setInfo('If that account exists, a reset code has been sent. Paste it below.');
+      } else if (mode === 'reset') {
+        await resetPassword(resetCode.trim(), password);
+        setMode('login');
+        setPassword('');
+        setResetCode('');
+        setInfo('Password updated. Log in with your new password.');
+        if (resetToken) window.history.replaceState(null, '', window.location.pathname);
       } else {
         const user = await findUser(name, password);
         if (!user) throw new Error('User not found or invalid password');
@@ -49,6 +73,13 @@ export default function Auth({ onLogin }) {
     }
   };
 
+  const submitLabel = {
+    login: 'Log in',
+    create: 'Create account',
+    forgot: 'Send reset code',
+    reset: 'Set new password',
+  }[mode];
+
   return (
     <div className="auth">
       <div className="auth-card">
@@ -57,14 +88,16 @@ export default function Auth({ onLogin }) {
           <p className="auth-subtitle">Yale · Modern</p>
         </div>
         <form onSubmit={handleSubmit} className="auth-form">
-          <input
-            type="text"
-            placeholder="Username"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
-            required
-            autoComplete="username"
-          />
+          {(mode === 'login' || mode === 'create') && (
+            <input
+              type="text"
+              placeholder="Username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              required
+              autoComplete="username"
+            />
+          )}
           {mode === 'create' && (
             <>
               <input
@@ -93,14 +126,37 @@ export default function Auth({ onLogin }) {
               />
             </>
           )}
-          <input
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            required
-            autoComplete={mode === 'create' ? 'new-password' : 'current-password'}
-          />
+          {mode === 'forgot' && (
+            <input
+              type="text"
+              placeholder="Username or email"
+              value={identifier}
+              onChange={(e) => setIdentifier(e.target.value)}
+              required
+              autoComplete="username"
+            />
+          )}
+          {mode === 'reset' && (
+            <input
+              type="text"
+              placeholder="Reset code"
+              value={resetCode}
+              onChange={(e) => setResetCode(e.target.value)}
+              required
+              autoComplete="one-time-code"
+            />
+          )}
+          {mode !== 'forgot' && (
+            <input
+              type="password"
+              placeholder={mode === 'reset' ? 'New password' : 'Password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            />
+          )}
+          {info && <p className="auth-info">{info}</p>}
           {error && (
         <p className="auth-error">
           {error}
@@ -108,16 +164,23 @@ export default function Auth({ onLogin }) {
         </p>
       )}
           <button type="submit" disabled={loading}>
-            {loading ? '...' : mode === 'login' ? 'Log in' : 'Create account'}
+            {loading ? '...' : submitLabel}
           </button>
         </form>
+        {mode === 'login' && (
+          <button type="button" className="auth-switch" onClick={() => switchMode('forgot')}>
+            Forgot password?
+          </button>
+        )}
+        {mode === 'forgot' && (
+          <button type="button" className="auth-switch" onClick={() => switchMode('reset')}>
+            I already have a reset code
+          </button>
+        )}
         <button
           type="button"
           className="auth-switch"
-          onClick={() => {
-            setMode((m) => (m === 'login' ? 'create' : 'login'));
-            setError('');
-          }}
+          onClick={() => switchMode(mode === 'login' ? 'create' : 'login')}
         >
           {mode === 'login' ? 'Create an account' : 'Already have an account? Log in'}
         </button>
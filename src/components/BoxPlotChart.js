@@ -0,0 +1,124 @@
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ResponsiveContainer,
+} from 'recharts';
+
+// Box plots from the box_plot tool: data = [{ name, n, min, q1, median, q3,
+// max, whiskerLow, whiskerHigh, outliers }]. Each box is a range bar from
+// whiskerLow to whiskerHigh whose custom shape draws the whiskers, the Q1–Q3
+// box and the median inside that span.
+
+const formatNumber = (v) => (Math.abs(v) >= 1000 ? Math.round(v).toLocaleString() : +v.toPrecision(3));
+
+function BoxShape({ x, y, width, height, payload }) {
+  const { whiskerLow, whiskerHigh, q1, median, q3 } = payload;
+  const span = whiskerHigh - whiskerLow;
+  // Pixel y for a value; the bar's top is whiskerHigh and its bottom whiskerLow.
+  const py = (v) => (span ? y + ((whiskerHigh - v) / span) * height : y + height / 2);
+  const cx = x + width / 2;
+  const boxW = Math.min(width, 46);
+  const left = cx - boxW / 2;
+  return (
+    <g>
+      <line x1={cx} x2={cx} y1={py(whiskerHigh)} y2={py(q3)} stroke="#94a3b8" strokeWidth={1.5} />
+      <line x1={cx} x2={cx} y1={py(q1)} y2={py(whiskerLow)} stroke="#94a3b8" strokeWidth={1.5} />
+      <line x1={cx - boxW / 4} x2={cx + boxW / 4} y1={py(whiskerHigh)} y2={py(whiskerHigh)} stroke="#94a3b8" strokeWidth={1.5} />
+      <line x1={cx - boxW / 4} x2={cx + boxW / 4} y1={py(whiskerLow)} y2={py(whiskerLow)} stroke="#94a3b8" strokeWidth={1.5} />
+      <rect
+        x={left}
+        y={py(q3)}
+        width={boxW}
+        height={Math.max(1, py(q1) - py(q3))}
+        fill="rgba(56, 189, 248, 0.35)"
+        stroke="#38bdf8"
+        strokeWidth={1.5}
+        rx={3}
+      />
+      <line x1={left} x2={left + boxW} y1={py(median)} y2={py(median)} stroke="#f472b6" strokeWidth={2.2} />
+    </g>
+  );
+}
+
+function BoxTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const b = payload[0].payload;
+  return (
+    <div
+      style={{
+        background: 'rgba(15, 23, 42, 0.96)',
+        padding: '0.55rem 0.75rem',
+        borderRadius: 10,
+        border: '1px solid rgba(148, 163, 184, 0.4)',
+        fontSize: '0.8rem',
+        color: '#e5e7eb',
+        boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
+      }}
+    >
+      <div style={{ fontWeight: 700, marginBottom: 4 }}>
+        {b.name} <span style={{ opacity: 0.7, fontWeight: 400 }}>(n = {b.n})</span>
+      </div>
+      <div>max: {formatNumber(b.max)}</div>
+      <div>Q3: {formatNumber(b.q3)}</div>
+      <div>
+        median: <strong>{formatNumber(b.median)}</strong>
+      </div>
+      <div>Q1: {formatNumber(b.q1)}</div>
+      <div>min: {formatNumber(b.min)}</div>
+      {b.outliers > 0 && <div style={{ marginTop: 4, opacity: 0.8 }}>{b.outliers} outliers beyond 1.5 × IQR</div>}
+    </div>
+  );
+}
+
+export default function BoxPlotChart({ data, valueLabel, title }) {
+  if (!data?.length) return null;
+
+  return (
+    <div className="metric-chart-wrap">
+      <p className="metric-chart-label">{title || valueLabel || 'Box plot'}</p>
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={data} margin={{ top: 10, right: 14, left: 0, bottom: 32 }} barCategoryGap="30%">
+          <CartesianGrid
+            strokeDasharray="3 3"
+            stroke="rgba(255,255,255,0.08)"
+            vertical={false}
+          />
+          <XAxis
+            dataKey="name"
+            tick={{
+              fill: 'rgba(255,255,255,0.7)',
+              fontSize: 11,
+              fontFamily: 'Inter, sans-serif',
+            }}
+            axisLine={{ stroke: 'rgba(255,255,255,0.18)' }}
+            tickLine={false}
+            interval={0}
+          />
+          <YAxis
+            domain={['auto', 'auto']}
+            tickFormatter={formatNumber}
+            tick={{
+              fill: 'rgba(255,255,255,0.6)',
+              fontSize: 11,
+              fontFamily: 'Inter, sans-serif',
+            }}
+            axisLine={false}
+            tickLine={false}
+            width={70}
+          />
+          <Tooltip content={<BoxTooltip />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
+          <Bar
+            dataKey={(b) => [b.whiskerLow, b.whiskerHigh]}
+            name={valueLabel || 'value'}
+            shape={<BoxShape />}
+            isAnimationActive={false}
+          />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
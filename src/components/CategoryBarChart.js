@@ -0,0 +1,82 @@
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ResponsiveContainer,
+} from 'recharts';
+
+// One bar per named group: data = [{ name, value, count? }].
+
+// Ratios like engagement would round to 0, so small values keep 3 significant digits.
+const formatValue = (v) => (Math.abs(v) >= 100 ? Math.round(v).toLocaleString() : +v.toPrecision(3));
+
+function CategoryTooltip({ active, payload, label }) {
+  if (!active || !payload?.length) return null;
+  const p = payload[0];
+  return (
+    <div
+      style={{
+        background: 'rgba(15, 23, 42, 0.96)',
+        padding: '0.55rem 0.75rem',
+        borderRadius: 10,
+        border: '1px solid rgba(148, 163, 184, 0.4)',
+        fontSize: '0.8rem',
+        color: '#e5e7eb',
+        boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
+      }}
+    >
+      <div style={{ fontWeight: 700, marginBottom: 4 }}>{label}</div>
+      <div>
+        {p.name}: <strong>{formatValue(p.value)}</strong>
+      </div>
+      {p.payload.count !== undefined && (
+        <div style={{ marginTop: 4, opacity: 0.8 }}>n = {p.payload.count}</div>
+      )}
+    </div>
+  );
+}
+
+export default function CategoryBarChart({ data, valueLabel, title }) {
+  if (!data?.length) return null;
+
+  return (
+    <div className="metric-chart-wrap">
+      <p className="metric-chart-label">{title || valueLabel || 'Value by group'}</p>
+      <ResponsiveContainer width="100%" height={280}>
+        <BarChart data={data} margin={{ top: 6, right: 14, left: 0, bottom: 32 }} barCategoryGap="25%">
+          <CartesianGrid
+            strokeDasharray="3 3"
+            stroke="rgba(255,255,255,0.08)"
+            vertical={false}
+          />
+          <XAxis
+            dataKey="name"
+            tick={{
+              fill: 'rgba(255,255,255,0.7)',
+              fontSize: 11,
+              fontFamily: 'Inter, sans-serif',
+            }}
+            axisLine={{ stroke: 'rgba(255,255,255,0.18)' }}
+            tickLine={false}
+            interval={0}
+          />
+          <YAxis
+            tick={{
+              fill: 'rgba(255,255,255,0.6)',
+              fontSize: 11,
+              fontFamily: 'Inter, sans-serif',
+            }}
+            axisLine={false}
+            tickLine={false}
+            width={70}
+          />
+          <Tooltip content={<CategoryTooltip />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
+          <Bar dataKey="value" name={valueLabel || 'value'} fill="#38bdf8" radius={[6, 6, 0, 0]} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import { FORMAT_LABELS, groupIssues } from '../services/channelValidator';
+
+// Result of validateChannelJson for the pending JSON attachment: what was
+// recognised, how many videos are usable, and what was dropped or left blank.
+export default function ChannelReportCard({ report }) {
+  const { format, stats, issues, issueCounts, data } = report;
+  const groups = groupIssues(issues, issueCounts);
+  const status = !report.ok ? 'error' : stats.errors || stats.warnings ? 'warning' : 'ok';
+
+  return (
+    <div className={`json-report json-report-${status}`}>
+      <div className="json-report-head">
+        <span className="json-report-title">
+          {status === 'ok' ? '✓ Channel JSON looks good' : status === 'warning' ? '⚠ Channel JSON loaded with problems' : '✕ Channel JSON unusable'}
+        </span>
+        {format && <span className="json-report-format">{FORMAT_LABELS[format]}</span>}
+      </div>
+      <div className="json-report-stats">
+        {stats.kept} of {stats.total} videos ready
+        {stats.dropped > 0 && ` · ${stats.dropped} dropped`}
+        {stats.warnings > 0 && ` · ${stats.warnings} warning${stats.warnings === 1 ? '' : 's'}`}
+        {data?.channel?.title && ` · ${data.channel.title}`}
+      </div>
+      {groups.length > 0 && (
+        <details className="json-report-issues" open={status === 'error'}>
+          <summary>Details</summary>
+          <ul>
+            {groups.map((g) => (
+              <li key={`${g.level}-${g.field}-${g.examples[0]}`} className={`json-report-issue ${g.level}`}>
+                <span className="json-report-count">{g.count}×</span>
+                <span>
+                  {g.examples.join(' · ')}
+                  {g.count > g.examples.length && ' …'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -1,19 +1,46 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import html2canvas from 'html2canvas';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { streamChat, chatWithCsvTools, CODE_KEYWORDS } from '../services/gemini';
-import { parseCsvToRows, executeTool, computeDatasetSummary, enrichWithEngagement, buildSlimCsv } from '../services/csvTools';
-import { generateImageTool } from '../services/jsonTools';
+import { streamChat, chatWithCsvTools, chatWithJsonTools, isGeminiConfigured, CODE_KEYWORDS } from '../services/gemini';
+import { executeTool, computeDatasetSummary, prepareCsvDataset, buildSlimCsv } from '../services/csvTools';
+import {
+  generateImageTool,
+  executeJsonTool,
+  planJsonToolsLocally,
+  describeJsonToolResult,
+} from '../services/jsonTools';
 import {
   getSessions,
   createSession,
   deleteSession,
   saveMessage,
   loadMessages,
+  setSessionDataset,
 } from '../services/mongoApi';
 import EngagementChart from './EngagementChart';
 import MetricVsTimeChart from './MetricVsTimeChart';
+import CategoryBarChart from './CategoryBarChart';
+import HistogramChart from './HistogramChart';
+import ScatterTrendChart from './ScatterTrendChart';
+import CorrelationMatrixChart from './CorrelationMatrixChart';
+import BoxPlotChart from './BoxPlotChart';
+import RegressionChart from './RegressionChart';
+import ScheduleHeatmapChart from './ScheduleHeatmapChart';
+import TextFeaturesTable from './TextFeaturesTable';
+import VideoCard from './VideoCard';
+import ChannelReportCard from './ChannelReportCard';
+import ChatImage from './ChatImage';
+import {
+  uploadImages,
+  getAttachmentUrl,
+  uploadDataset,
+  fetchDatasetText,
+  imageFileProblem,
+  IMAGE_TYPES,
+} from '../services/attachmentsApi';
+import { parseCsvAsync, toCsvField } from '../services/csvParser';
+import { validateChannelJson, parseChannelText, groupIssues, FORMAT_LABELS } from '../services/channelValidator';
 import './Chat.css';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
@@ -31,14 +58,12 @@ const toBase64 = (str) => {
   return btoa(binary);
 };
 
-const parseCSV = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (!lines.length) return null;
-  const headers = lines[0].split(',').map((h) => h.trim().replace(/^"|"$/g, ''));
-  const rowCount = lines.length - 1;
-
+// Attachment metadata for a parsed CSV ({ headers, rows } from csvParser.js).
+const describeCsv = (text, { headers, rows }) => {
   // Short human-readable preview (header + first 5 rows) for context
-  const preview = lines.slice(0, 6).join('\n');
+  const preview = [headers, ...rows.slice(0, 5).map((r) => headers.map((h) => r[h]))]
+    .map((vals) => vals.map((v) => toCsvField(v)).join(','))
+    .join('\n');
 
   // Full CSV as base64 — avoids ALL string-escaping issues in Python code execution
   // (tweet text with quotes, apostrophes, emojis, etc. all break triple-quoted strings)
@@ -46,56 +71,44 @@ const parseCSV = (text) => {
   const base64 = toBase64(raw);
   const truncated = text.length > 500000;
 
-  return { headers, rowCount, preview, base64, truncated };
+  return { headers, rowCount: rows.length, preview, base64, truncated };
 };
 
-const summarizeChannelJson = (obj) => {
-  try {
-    const videos = Array.isArray(obj?.videos)
-      ? obj.videos
-      : Array.isArray(obj?.items)
-        ? obj.items
-        : [];
-    const count = videos.length;
-    const dates = videos
-      .map((v) => v?.published_at || v?.publishedAt || v?.snippet?.publishedAt)
-      .filter(Boolean)
-      .map((d) => new Date(d))
-      .filter((d) => !Number.isNaN(+d))
-      .sort((a, b) => +a - +b);
-    const start = dates.length ? dates[0].toISOString().slice(0, 10) : null;
-    const end = dates.length ? dates[dates.length - 1].toISOString().slice(0, 10) : null;
-    const example = videos
-      .slice(0, 3)
-      .map((v) => v?.title || v?.snippet?.title)
-      .filter(Boolean);
-    const keys = videos.length ? Object.keys(videos[0] || {}) : [];
-    const fields = keys.length
-      ? keys.slice(0, 12).join(', ') + (keys.length > 12 ? ', …' : '')
-      : '';
-    const channelTitle =
-      obj?.channel?.title ||
-      obj?.channelTitle ||
-      obj?.channel?.handle ||
-      obj?.channel?.url ||
-      '';
-    return [
-      `**YouTube channel JSON loaded**`,
-      `- Videos: ${count}`,
-      start && end ? `- Date range: ${start} → ${end}` : null,
-      fields ? `- Example fields: ${fields}` : null,
-      example.length
-        ? `- Example titles: ${example
-            .map((t) => `"${String(t).slice(0, 80)}"`)
-            .join(', ')}`
-        : null,
-      channelTitle ? `- Channel: ${channelTitle}` : null,
-    ]
-      .filter(Boolean)
-      .join('\n');
-  } catch {
-    return '';
-  }
+// Prompt summary of a validated channel ({ channel, videos } in canonical
+// shape, see channelValidator.js) plus any problems found while loading it.
+const summarizeChannelJson = ({ channel, videos }, report) => {
+  const dates = videos
+    .map((v) => v.published_at)
+    .filter(Boolean)
+    .sort();
+  const start = dates.length ? dates[0].slice(0, 10) : null;
+  const end = dates.length ? dates[dates.length - 1].slice(0, 10) : null;
+  const example = videos
+    .slice(0, 3)
+    .map((v) => v.title)
+    .filter(Boolean);
+  const shorts = videos.filter((v) => v.is_short).length;
+  const channelTitle = channel.title || channel.handle || channel.url || '';
+  const problems = groupIssues(report.issues, report.issueCounts)
+    .slice(0, 5)
+    .map((g) => `${g.count}× ${g.examples[0].replace(/^[^:]+: /, '')}`);
+  return [
+    `**YouTube channel JSON loaded** (${FORMAT_LABELS[report.format]})`,
+    `- Videos: ${videos.length}${shorts ? ` (${shorts} Shorts)` : ''}`,
+    start && end ? `- Date range: ${start} → ${end}` : null,
+    `- Fields: video_id, title, description, published_at, duration (seconds), view_count, like_count, comment_count`,
+    example.length
+      ? `- Example titles: ${example
+          .map((t) => `"${String(t).slice(0, 80)}"`)
+          .join(', ')}`
+      : null,
+    channelTitle ? `- Channel: ${channelTitle}` : null,
+    problems.length
+      ? `- Data problems (${report.stats.dropped} videos dropped, missing values are null): ${problems.join('; ')}`
+      : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
 };
 
 // Extract plain text from a message (for history only — never returns base64)
@@ -104,6 +117,39 @@ const messageText = (m) => {
   return m.content || '';
 };
 
+// Messages loaded from the server show their video cards closed: play_video's
+// `embed` opens the player only in the reply that asked for it, not every time
+// the chat is reopened.
+const withPlayersClosed = (page) =>
+  page.map((m) =>
+    m.charts
+      ? { ...m, charts: m.charts.map((c) => (c._chartType === 'video_card' ? { ...c, embed: false } : c)) }
+      : m
+  );
+
+// Runs pre-planned tool calls without the model (no API key) and collects the
+// results in the same { text, charts, toolCalls, images } shape the
+// function-calling loop returns.
+const runToolCallsLocally = async (calls, executeFn, describe) => {
+  const charts = [];
+  const toolCalls = [];
+  const images = [];
+  const lines = [];
+  for (const { name, args } of calls) {
+    let result;
+    try {
+      result = await executeFn(name, args);
+    } catch (err) {
+      result = { error: err.message || `Tool ${name} failed` };
+    }
+    toolCalls.push({ name, args, result: result?._image ? { prompt: result.prompt } : result });
+    if (result?._chartType) charts.push(result);
+    if (result?._image) images.push(result._image);
+    lines.push(describe(name, result));
+  }
+  return { text: lines.filter(Boolean).join('\n\n'), charts, toolCalls, images };
+};
+
 // ── Structured part renderer (code execution responses) ───────────────────────
 
 function StructuredParts({ parts }) {
@@ -160,6 +206,47 @@ function StructuredParts({ parts }) {
   );
 }
 
+// Charts that render inline with an "Expand & download" button and again in
+// the chart lightbox, keyed by the tool payload's _chartType.
+const EXPANDABLE_CHARTS = {
+  metric_vs_time: (c) => (
+    <MetricVsTimeChart data={c.data} metric={c.metric} title={c.title} series={c.series} logScale={c.logScale} />
+  ),
+  category_bar: (c) => <CategoryBarChart data={c.data} valueLabel={c.valueLabel} title={c.title} />,
+  histogram: (c) => <HistogramChart data={c.data} valueLabel={c.valueLabel} title={c.title} />,
+  scatter: (c) => (
+    <ScatterTrendChart
+      data={c.data}
+      line={c.line}
+      trend={c.trend}
+      xLabel={c.xLabel}
+      yLabel={c.yLabel}
+      title={c.title}
+    />
+  ),
+  correlation_matrix: (c) => <CorrelationMatrixChart columns={c.columns} matrix={c.matrix} title={c.title} />,
+  box_plot: (c) => <BoxPlotChart data={c.data} valueLabel={c.valueLabel} title={c.title} />,
+  regression: (c) => (
+    <RegressionChart data={c.data} title={c.title} kind={c.kind} r2={c.r2} pseudoR2={c.pseudo_r2} n={c.n} />
+  ),
+  schedule_heatmap: (c) => (
+    <ScheduleHeatmapChart data={c.data} metric={c.metric} timeZone={c.timeZone} title={c.title} />
+  ),
+};
+
+// One line telling the model an earlier dataset can be overlaid, or ''.
+const describePreviousDataset = (prev) => {
+  if (!prev) return '';
+  const what =
+    prev.kind === 'channel'
+      ? `channel "${prev.channelJson.channel?.title || 'untitled'}" (${prev.channelJson.videos.length} videos)`
+      : `a CSV with ${prev.rows.length} rows`;
+  return `Earlier dataset in this chat: ${what}. plot_metric_vs_time with compare_previous: true overlays it.`;
+};
+
+// "metric_vs_time" → "metric-vs-time.png"
+const chartFilename = (chart) => `${chart._chartType.replace(/_/g, '-')}.png`;
+
 // ── Main component ────────────────────────────────────────────────────────────
 
 export default function Chat({ username, firstName = '', lastName = '', onLogout }) {
@@ -168,34 +255,50 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [images, setImages] = useState([]);
+  const [imageError, setImageError] = useState(''); // why dropped/pasted images were skipped
   const [csvContext, setCsvContext] = useState(null);     // pending attachment chip
   const [jsonContext, setJsonContext] = useState(null);   // pending attachment chip
   const [channelJson, setChannelJson] = useState(null);   // parsed JSON object for tools
   const [channelJsonSummary, setChannelJsonSummary] = useState(''); // compact summary for prompts
   const [jsonError, setJsonError] = useState('');
+  const [jsonReport, setJsonReport] = useState(null);     // validation result shown before sending
   const [sessionCsvRows, setSessionCsvRows] = useState(null);    // parsed rows for JS tools
   const [sessionCsvHeaders, setSessionCsvHeaders] = useState(null); // headers for tool routing
+  const [sessionCsvSchema, setSessionCsvSchema] = useState(null);   // inferred column types (csvSchema.js)
   const [csvDataSummary, setCsvDataSummary] = useState(null);    // auto-computed column stats summary
   const [sessionSlimCsv, setSessionSlimCsv] = useState(null);   // key-columns CSV string sent directly to Gemini
+  const [csvParsing, setCsvParsing] = useState(null);   // { name, done, total } while a CSV is being parsed
+  const [previousDataset, setPreviousDataset] = useState(null); // dataset replaced in this chat, for time overlays
   const [streaming, setStreaming] = useState(false);
   const [dragOver, setDragOver] = useState(false);
   const [openMenuId, setOpenMenuId] = useState(null);
-  const [lightbox, setLightbox] = useState(null); // { data, mimeType, name? }
+  const [lightbox, setLightbox] = useState(null); // { data | attachmentId, mimeType, name? }
   const [chartLightbox, setChartLightbox] = useState(null); // { chart }
+  const [olderCursor, setOlderCursor] = useState(null); // cursor for the next older page, null = none
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [messagesError, setMessagesError] = useState(''); // a page of messages failed to load
 
   const bottomRef = useRef(null);
+  const messagesRef = useRef(null);
+  // Scroll height captured before older messages are prepended, so the view
+  // can stay on the same message instead of jumping.
+  const scrollRestoreRef = useRef(null);
+  const lastScrollTopRef = useRef(0);
   const inputRef = useRef(null);
-  const abortRef = useRef(false);
+  const abortRef = useRef(null); // AbortController for the in-flight send
+  const csvParseRef = useRef(null); // AbortController for the in-flight CSV parse
   const fileInputRef = useRef(null);
   const chartRef = useRef(null);
   // Set to true immediately before setActiveSessionId() is called during a send
   // so the messages useEffect knows to skip the reload (streaming is in progress).
   const justCreatedSessionRef = useRef(false);
+  // Lets async page loads notice the user switched chats while they were in flight.
+  const activeSessionIdRef = useRef(null);
 
   // On login: load sessions from DB; 'new' means an unsaved pending chat
   useEffect(() => {
     const init = async () => {
-      const list = await getSessions(username);
+      const list = await getSessions();
       setSessions(list);
       setActiveSessionId('new'); // always start with a fresh empty chat on login
     };
@@ -203,8 +306,11 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
   }, [username]);
 
   useEffect(() => {
+    activeSessionIdRef.current = activeSessionId;
     if (!activeSessionId || activeSessionId === 'new') {
       setMessages([]);
+      setOlderCursor(null);
+      setMessagesError('');
       return;
     }
     // If a session was just created during an active send, messages are already
@@ -214,13 +320,65 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
       return;
     }
     setMessages([]);
-    loadMessages(activeSessionId).then(setMessages);
+    setOlderCursor(null);
+    setMessagesError('');
+    let cancelled = false;
+    loadMessages(activeSessionId)
+      .then(({ messages: page, nextCursor }) => {
+        if (cancelled) return;
+        setMessages(withPlayersClosed(page));
+        setOlderCursor(nextCursor);
+      })
+      .catch((err) => {
+        console.error('Failed to load messages:', err);
+        if (!cancelled) setMessagesError(`Couldn't load this chat: ${err.message || 'request failed'}`);
+      });
+    return () => {
+      cancelled = true;
+    };
   }, [activeSessionId]);
 
-  useEffect(() => {
+  useLayoutEffect(() => {
+    const el = messagesRef.current;
+    if (scrollRestoreRef.current !== null && el) {
+      el.scrollTop = el.scrollHeight - scrollRestoreRef.current;
+      scrollRestoreRef.current = null;
+      return;
+    }
     bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  const loadOlderMessages = async () => {
+    if (!olderCursor || loadingOlder || !activeSessionId || activeSessionId === 'new') return;
+    const sessionId = activeSessionId;
+    setLoadingOlder(true);
+    try {
+      const { messages: page, nextCursor } = await loadMessages(sessionId, { before: olderCursor });
+      if (activeSessionIdRef.current !== sessionId) return;
+      const el = messagesRef.current;
+      scrollRestoreRef.current = el ? el.scrollHeight - el.scrollTop : null;
+      setMessages((prev) => [...withPlayersClosed(page), ...prev]);
+      setOlderCursor(nextCursor);
+      setMessagesError('');
+    } catch (err) {
+      console.error('Failed to load older messages:', err);
+      if (activeSessionIdRef.current === sessionId) {
+        setMessagesError(`Couldn't load earlier messages: ${err.message || 'request failed'}`);
+      }
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Only upward scrolling near the top pages in, so the smooth scroll to the
+  // bottom after a session loads doesn't trigger it on the way down.
+  const handleMessagesScroll = (e) => {
+    const { scrollTop } = e.currentTarget;
+    const movingUp = scrollTop < lastScrollTopRef.current;
+    lastScrollTopRef.current = scrollTop;
+    if (movingUp && scrollTop < 120) loadOlderMessages();
+  };
+
   useEffect(() => {
     if (!openMenuId) return;
     const handler = () => setOpenMenuId(null);
@@ -235,13 +393,9 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     setMessages([]);
     setInput('');
     setImages([]);
-    setCsvContext(null);
-    setJsonContext(null);
-    setChannelJson(null);
-    setChannelJsonSummary('');
-    setJsonError('');
-    setSessionCsvRows(null);
-    setSessionCsvHeaders(null);
+    setImageError('');
+    clearDataset();
+    setPreviousDataset(null);
   };
 
   const handleSelectSession = (sessionId) => {
@@ -249,13 +403,11 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     setActiveSessionId(sessionId);
     setInput('');
     setImages([]);
-    setCsvContext(null);
-    setJsonContext(null);
-    setChannelJson(null);
-    setChannelJsonSummary('');
-    setJsonError('');
-    setSessionCsvRows(null);
-    setSessionCsvHeaders(null);
+    setImageError('');
+    clearDataset();
+    setPreviousDataset(null);
+    const dataset = sessions.find((s) => s.id === sessionId)?.dataset;
+    if (dataset) restoreDataset(sessionId, dataset);
   };
 
   const handleDeleteSession = async (sessionId, e) => {
@@ -265,8 +417,131 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     const remaining = sessions.filter((s) => s.id !== sessionId);
     setSessions(remaining);
     if (activeSessionId === sessionId) {
-      setActiveSessionId(remaining.length > 0 ? remaining[0].id : 'new');
-      setMessages([]);
+      if (remaining.length > 0) handleSelectSession(remaining[0].id);
+      else handleNewChat();
+    }
+  };
+
+  // ── Datasets ────────────────────────────────────────────────────────────────
+  // One CSV or JSON file per chat. A newly loaded file shows as a chip and goes
+  // out with the next message, which also stores it server-side and links it to
+  // the session; reopening the chat re-parses the stored copy.
+
+  const clearDataset = () => {
+    csvParseRef.current?.abort();
+    setCsvContext(null);
+    setJsonContext(null);
+    setChannelJson(null);
+    setChannelJsonSummary('');
+    setJsonError('');
+    setJsonReport(null);
+    setSessionCsvRows(null);
+    setSessionCsvHeaders(null);
+    setSessionCsvSchema(null);
+    setCsvDataSummary(null);
+    setSessionSlimCsv(null);
+  };
+
+  // Loading a second file keeps the first one around so plot_metric_vs_time
+  // can overlay it; switching chats forgets it.
+  const stashDataset = () => {
+    if (channelJson) setPreviousDataset({ kind: 'channel', channelJson });
+    else if (sessionCsvRows && sessionCsvSchema) {
+      setPreviousDataset({ kind: 'csv', name: 'CSV', rows: sessionCsvRows, schema: sessionCsvSchema });
+    }
+  };
+
+  // Type the parsed rows, add computed engagement col, build summary + slim CSV
+  const applyCsvRows = (parsed) => {
+    const { rows, headers, schema } = prepareCsvDataset(parsed);
+    setSessionCsvHeaders(headers);
+    setSessionCsvRows(rows);
+    setSessionCsvSchema(schema);
+    setCsvDataSummary(computeDatasetSummary(schema));
+    setSessionSlimCsv(buildSlimCsv(rows, headers));
+  };
+
+  // Validates and converts to the canonical shape; only that copy reaches the
+  // tools and prompts.
+  const applyChannelJson = (obj) => {
+    const report = validateChannelJson(obj);
+    setJsonReport(report);
+    if (!report.ok) {
+      setChannelJson(null);
+      setChannelJsonSummary('');
+      setJsonError(report.issues.find((i) => i.level === 'error')?.message || 'Not a usable channel JSON');
+      return;
+    }
+    setChannelJson(report.data);
+    setChannelJsonSummary(summarizeChannelJson(report.data, report));
+    setJsonError('');
+  };
+
+  // JSON and CSV are mutually exclusive in context to keep prompts small.
+  // Large files are parsed in a worker; loading another file cancels the parse.
+  const loadCsvText = async (name, text) => {
+    csvParseRef.current?.abort();
+    const controller = new AbortController();
+    csvParseRef.current = controller;
+    setCsvParsing({ name, done: 0, total: text.length });
+    let parsed;
+    try {
+      parsed = await parseCsvAsync(text, {
+        signal: controller.signal,
+        onProgress: (p) => setCsvParsing({ name, ...p }),
+      });
+    } catch (err) {
+      if (err?.name !== 'AbortError') console.error('Failed to parse CSV:', err);
+      return;
+    } finally {
+      if (csvParseRef.current === controller) {
+        csvParseRef.current = null;
+        setCsvParsing(null);
+      }
+    }
+    if (!parsed.headers.length) return;
+    stashDataset();
+    clearDataset();
+    setCsvContext({ name, text, ...describeCsv(text, parsed) });
+    applyCsvRows(parsed);
+  };
+
+  const loadJsonText = (name, text) => {
+    stashDataset();
+    clearDataset();
+    setJsonContext({ name, text, bytes: text.length });
+    try {
+      applyChannelJson(parseChannelText(text));
+    } catch (err) {
+      setJsonError(`Invalid JSON: ${err?.message || 'parse failed'}`);
+    }
+  };
+
+  const linkDataset = async (sessionId, file) => {
+    try {
+      const { id } = await uploadDataset(file);
+      const { dataset } = await setSessionDataset(sessionId, id);
+      setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, dataset, datasetError: null } : s)));
+    } catch (err) {
+      console.error('Failed to save dataset:', err);
+      // The chat still works from memory, but the file won't come back when
+      // the chat is reopened; say so on the session instead of failing silently.
+      const datasetError = `${file.name} was not saved with this chat: ${err?.message || 'upload failed'}`;
+      setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, datasetError } : s)));
+    }
+  };
+
+  const restoreDataset = async (sessionId, dataset) => {
+    try {
+      const text = await fetchDatasetText(dataset.id);
+      if (activeSessionIdRef.current !== sessionId) return;
+      if (dataset.kind === 'csv') {
+        const parsed = await parseCsvAsync(text);
+        if (activeSessionIdRef.current !== sessionId) return;
+        applyCsvRows(parsed);
+      } else applyChannelJson(parseChannelText(text));
+    } catch (err) {
+      console.error('Failed to restore dataset:', err);
     }
   };
 
@@ -288,6 +563,21 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
       r.readAsText(file);
     });
 
+  // Adds image files to the pending list, skipping (and naming) any the server
+  // would refuse.
+  const addImageFiles = async (files, name) => {
+    setImageError(files.map(imageFileProblem).filter(Boolean).join(' '));
+    const accepted = files.filter((f) => !imageFileProblem(f));
+    const newImages = await Promise.all(
+      accepted.map(async (f) => ({
+        data: await fileToBase64(f),
+        mimeType: f.type,
+        name: name || f.name,
+      }))
+    );
+    if (newImages.length) setImages((prev) => [...prev, ...newImages]);
+  };
+
   const handleDrop = async (e) => {
     e.preventDefault();
     setDragOver(false);
@@ -297,60 +587,10 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     const jsonFiles = files.filter((f) => f.name.endsWith('.json') || f.type === 'application/json');
     const imageFiles = files.filter((f) => f.type.startsWith('image/'));
 
-    if (csvFiles.length > 0) {
-      const file = csvFiles[0];
-      const text = await fileToText(file);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: file.name, ...parsed });
-        setJsonContext(null);
-        setChannelJson(null);
-        setChannelJsonSummary('');
-        setJsonError('');
-        // Parse rows, add computed engagement col, build summary + slim CSV
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
-    }
-
-    if (jsonFiles.length > 0) {
-      const file = jsonFiles[0];
-      const text = await fileToText(file);
-      try {
-        const obj = JSON.parse(text);
-        setJsonContext({ name: file.name, bytes: text.length });
-        setChannelJson(obj);
-        setChannelJsonSummary(summarizeChannelJson(obj));
-        setJsonError('');
-
-        // JSON and CSV are mutually exclusive in context to keep prompts small.
-        setCsvContext(null);
-        setSessionCsvRows(null);
-        setSessionCsvHeaders(null);
-        setCsvDataSummary(null);
-        setSessionSlimCsv(null);
-      } catch (err) {
-        setJsonContext({ name: file.name, bytes: text.length });
-        setChannelJson(null);
-        setChannelJsonSummary('');
-        setJsonError(`Invalid JSON: ${err?.message || 'parse failed'}`);
-      }
-    }
+    if (csvFiles.length > 0) loadCsvText(csvFiles[0].name, await fileToText(csvFiles[0]));
+    if (jsonFiles.length > 0) loadJsonText(jsonFiles[0].name, await fileToText(jsonFiles[0]));
 
-    if (imageFiles.length > 0) {
-      const newImages = await Promise.all(
-        imageFiles.map(async (f) => ({
-          data: await fileToBase64(f),
-          mimeType: f.type,
-          name: f.name,
-        }))
-      );
-      setImages((prev) => [...prev, ...newImages]);
-    }
+    if (imageFiles.length > 0) await addImageFiles(imageFiles);
   };
 
   const handleFileSelect = async (e) => {
@@ -361,56 +601,10 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     const jsonFiles = files.filter((f) => f.name.endsWith('.json') || f.type === 'application/json');
     const imageFiles = files.filter((f) => f.type.startsWith('image/'));
 
-    if (csvFiles.length > 0) {
-      const text = await fileToText(csvFiles[0]);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: csvFiles[0].name, ...parsed });
-        setJsonContext(null);
-        setChannelJson(null);
-        setChannelJsonSummary('');
-        setJsonError('');
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
-    }
+    if (csvFiles.length > 0) loadCsvText(csvFiles[0].name, await fileToText(csvFiles[0]));
+    if (jsonFiles.length > 0) loadJsonText(jsonFiles[0].name, await fileToText(jsonFiles[0]));
 
-    if (jsonFiles.length > 0) {
-      const text = await fileToText(jsonFiles[0]);
-      try {
-        const obj = JSON.parse(text);
-        setJsonContext({ name: jsonFiles[0].name, bytes: text.length });
-        setChannelJson(obj);
-        setChannelJsonSummary(summarizeChannelJson(obj));
-        setJsonError('');
-
-        setCsvContext(null);
-        setSessionCsvRows(null);
-        setSessionCsvHeaders(null);
-        setCsvDataSummary(null);
-        setSessionSlimCsv(null);
-      } catch (err) {
-        setJsonContext({ name: jsonFiles[0].name, bytes: text.length });
-        setChannelJson(null);
-        setChannelJsonSummary('');
-        setJsonError(`Invalid JSON: ${err?.message || 'parse failed'}`);
-      }
-    }
-
-    if (imageFiles.length > 0) {
-      const newImages = await Promise.all(
-        imageFiles.map(async (f) => ({
-          data: await fileToBase64(f),
-          mimeType: f.type,
-          name: f.name,
-        }))
-      );
-      setImages((prev) => [...prev, ...newImages]);
-    }
+    if (imageFiles.length > 0) await addImageFiles(imageFiles);
   };
 
   // ── Stop generation ─────────────────────────────────────────────────────────
@@ -420,29 +614,18 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     const imageItems = items.filter((item) => item.type.startsWith('image/'));
     if (!imageItems.length) return;
     e.preventDefault();
-    const newImages = await Promise.all(
-      imageItems.map(
-        (item) =>
-          new Promise((resolve) => {
-            const file = item.getAsFile();
-            if (!file) return resolve(null);
-            const reader = new FileReader();
-            reader.onload = () =>
-              resolve({ data: reader.result.split(',')[1], mimeType: file.type, name: 'pasted-image' });
-            reader.readAsDataURL(file);
-          })
-      )
-    );
-    setImages((prev) => [...prev, ...newImages.filter(Boolean)]);
+    await addImageFiles(imageItems.map((item) => item.getAsFile()).filter(Boolean), 'pasted-image');
   };
 
   const handleStop = () => {
-    abortRef.current = true;
+    abortRef.current?.abort();
   };
 
-  const downloadImage = (img, filename = 'image.png') => {
+  const downloadImage = async (img, filename = 'image.png') => {
     const a = document.createElement('a');
-    a.href = `data:${img.mimeType};base64,${img.data}`;
+    a.href = img.data
+      ? `data:${img.mimeType};base64,${img.data}`
+      : await getAttachmentUrl(img.attachmentId);
     a.download = filename;
     document.body.appendChild(a);
     a.click();
@@ -479,7 +662,7 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     let sessionId = activeSessionId;
     if (sessionId === 'new') {
       const title = chatTitle();
-      const { id } = await createSession(username, 'lisa', title);
+      const { id } = await createSession('lisa', title);
       sessionId = id;
       justCreatedSessionRef.current = true; // tell useEffect to skip the reload
       setActiveSessionId(id);
@@ -491,34 +674,27 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
       /^\s*generateimage\s*:/i.test(text) ||
       /\b(generate an image|make an image|create an image|image generation)\b/i.test(text);
 
-    const wantsMetricPlot =
-      /\bplot_metric_vs_time\b/i.test(text) ||
-      /\b(plot|graph)\b.*\b(views?|likes?|comments?)\b.*\b(time)\b/i.test(text);
-
-    const wantsStatsJson =
-      /\bcompute_stats_json\b/i.test(text) ||
-      /\b(stats?|statistics?|average|mean|median|distribution)\b.*\b(views?|likes?|comments?|duration)\b/i.test(
-        text
-      );
-
-    const wantsPlayVideo =
-      /\bplay_video\b/i.test(text) ||
-      /\b(play|open)\b.*\b(video)\b/i.test(text);
-
     // ── Routing intent (computed first so we know whether Python/base64 is needed) ──
+    // LOCAL_STATS = analyses the CSV stats tools run in the browser (histogram,
+    // scatter_plot, correlation_matrix, box_plot, regression, posting_schedule,
+    // analyze_text_features, find_outliers);
+    // without a CSV loaded they still go to Python.
     // PYTHON_ONLY = things the client tools genuinely cannot produce
-    const PYTHON_ONLY_KEYWORDS = /\b(regression|scatter|histogram|seaborn|matplotlib|numpy|time.?series|heatmap|box.?plot|violin|distribut|linear.?model|logistic|forecast|trend.?line)\b/i;
-    const wantPythonOnly = PYTHON_ONLY_KEYWORDS.test(text);
+    const LOCAL_STATS_KEYWORDS = /\b(regression|scatter|histogram|box.?plot|distribut|correlat|linear.?model|logistic|trend.?line|heatmap|best (day|time|hour)s?|posting (time|schedule)|text features?|(words?|phrases?|wording) (that )?(perform|predict|work)|outliers?|breakouts?|flops?)\b/i;
+    const PYTHON_ONLY_KEYWORDS = /\b(seaborn|matplotlib|numpy|time.?series|violin|forecast)\b/i;
+    const wantLocalStats = !!sessionCsvRows && LOCAL_STATS_KEYWORDS.test(text) && !PYTHON_ONLY_KEYWORDS.test(text);
+    const wantPythonOnly = !wantLocalStats && (PYTHON_ONLY_KEYWORDS.test(text) || LOCAL_STATS_KEYWORDS.test(text));
     const wantCode = CODE_KEYWORDS.test(text) && !sessionCsvRows;
     const capturedCsv = csvContext;
     const capturedJson = jsonContext;
     // Base64 is only worth sending when Gemini will actually run Python
     const needsBase64 = !!capturedCsv && wantPythonOnly;
     // Mode selection:
-    //   useTools        — CSV loaded + no Python needed → client-side JS tools (free, fast)
-    //   useCodeExecution — Python explicitly needed (regression, histogram, etc.)
+    //   useTools        — CSV loaded + no Python needed → client-side JS tools (free, fast),
+    //                     also on the message that attaches the CSV when it asks for stats
+    //   useCodeExecution — Python explicitly needed (forecast, seaborn, etc.)
     //   else            — Google Search streaming (also used for "tell me about this file")
-    const useTools = !!sessionCsvRows && !wantPythonOnly && !wantCode && !capturedCsv;
+    const useTools = !!sessionCsvRows && !wantPythonOnly && !wantCode && (!capturedCsv || wantLocalStats);
     const useCodeExecution = wantPythonOnly || wantCode;
 
     // ── Build prompt ─────────────────────────────────────────────────────────
@@ -560,13 +736,7 @@ ${sessionSummary}${slimCsvBlock}
 
     const jsonPrefix =
       capturedJson && channelJson
-        ? `[YouTube Channel JSON: "${capturedJson.name}" | ${
-            Array.isArray(channelJson?.videos)
-              ? channelJson.videos.length
-              : Array.isArray(channelJson?.items)
-                ? channelJson.items.length
-                : 'unknown'
-          } videos]\n\n${channelJsonSummary}\n\n---\n\n`
+        ? `[YouTube Channel JSON: "${capturedJson.name}" | ${channelJson.videos.length} videos]\n\n${channelJsonSummary}\n\n---\n\n`
         : capturedJson && jsonError
           ? `[YouTube Channel JSON: "${capturedJson.name}"]\n\n${jsonError}\n\n---\n\n`
           : '';
@@ -599,15 +769,43 @@ ${sessionSummary}${slimCsvBlock}
     setInput('');
     const capturedImages = [...images];
     setImages([]);
+    setImageError('');
     setCsvContext(null);
     setJsonContext(null);
     setStreaming(true);
 
-    // Store display text only — base64 is never persisted
-    await saveMessage(sessionId, 'user', userContent, capturedImages.length ? capturedImages : null);
+    // One controller per send: handleStop aborts it, which cancels whichever
+    // request below is in flight (and the server's upstream Gemini call).
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+
+    if (capturedCsv) linkDataset(sessionId, { kind: 'csv', name: capturedCsv.name, text: capturedCsv.text });
+    else if (capturedJson && channelJson) linkDataset(sessionId, { kind: 'json', name: capturedJson.name, text: capturedJson.text });
+
+    // Store display text only — base64 is never persisted. If the images or
+    // the message can't be stored, say so and don't ask the model.
+    try {
+      await saveMessage(
+        sessionId,
+        'user',
+        userContent,
+        capturedImages.length ? await uploadImages(capturedImages) : null
+      );
+    } catch (err) {
+      const errText = `Error: your message could not be saved (${err.message || 'upload failed'}).`;
+      setMessages((m) => [
+        ...m,
+        { id: `a-${Date.now()}`, role: 'model', content: errText, timestamp: new Date().toISOString() },
+      ]);
+      setStreaming(false);
+      inputRef.current?.focus();
+      return;
+    }
 
-    // ── generateImage tool path (client-side) ────────────────────────────────
-    if (wantsGenerateImage) {
+    // ── generateImage tool path (client-side, no channel loaded) ─────────────
+    // With a channel loaded, generateImage is offered to the model below instead.
+    if (wantsGenerateImage && !channelJson) {
       const assistantId = `a-${Date.now()}`;
       setMessages((m) => [
         ...m,
@@ -617,10 +815,13 @@ ${sessionSummary}${slimCsvBlock}
       try {
         const prompt = text.replace(/^\s*generateimage\s*:/i, '').trim() || 'Generate an image.';
         const anchor = capturedImages.length ? capturedImages[0] : null;
-        const out = await generateImageTool({
-          prompt,
-          anchorImage: anchor ? { data: anchor.data, mimeType: anchor.mimeType } : null,
-        });
+        const out = await generateImageTool(
+          {
+            prompt,
+            anchorImage: anchor ? { data: anchor.data, mimeType: anchor.mimeType } : null,
+          },
+          { signal }
+        );
 
         const modelImages = [{ data: out.data, mimeType: out.mimeType, name: 'generated-image' }];
 
@@ -636,8 +837,13 @@ ${sessionSummary}${slimCsvBlock}
           )
         );
 
-        await saveMessage(sessionId, 'model', prompt ? `Generated image for: "${prompt}"` : 'Generated image.', modelImages);
+        await saveMessage(sessionId, 'model', prompt ? `Generated image for: "${prompt}"` : 'Generated image.', await uploadImages(modelImages));
       } catch (err) {
+        if (signal.aborted) {
+          setMessages((m) => m.map((msg) => (msg.id === assistantId ? { ...msg, interrupted: true } : msg)));
+          await saveMessage(sessionId, 'model', '', null, null, null, true);
+          return;
+        }
         const errText = `Error: ${err.message || 'Image generation failed'}`;
         setMessages((m) => m.map((msg) => (msg.id === assistantId ? { ...msg, content: errText } : msg)));
         await saveMessage(sessionId, 'model', errText, null);
@@ -649,83 +855,58 @@ ${sessionSummary}${slimCsvBlock}
       return;
     }
 
-    // ── JSON tools on channelJson (metric plot, stats, play video) ──────────
-    if (channelJson && (wantsMetricPlot || wantsStatsJson || wantsPlayVideo)) {
+    // History: plain display text only — session summary handles CSV context on every message
+    const history = messages
+      .filter((m) => m.role === 'user' || m.role === 'model')
+      .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
+
+    // Ensure the model knows who the user is (for grading + personalization).
+    const fullName = `${String(firstName || '').trim()} ${String(lastName || '').trim()}`.trim();
+    const userHeader = fullName ? `User: ${fullName} (@${username})` : `User: @${username}`;
+    const historyWithUserHeader = [{ role: 'user', content: userHeader }, ...history];
+
+    // ── JSON tools on channelJson (model-driven function calling) ──────────
+    // Gemini chooses among JSON_TOOL_DECLARATIONS and may chain several tools.
+    // Without an API key, planJsonToolsLocally picks tools by keyword instead.
+    const hasGeminiKey = channelJson ? await isGeminiConfigured() : false;
+    const localJsonCalls = channelJson && !hasGeminiKey ? planJsonToolsLocally(text) : [];
+    const useJsonTools =
+      !!channelJson &&
+      (!capturedImages.length || wantsGenerateImage) &&
+      (hasGeminiKey || localJsonCalls.length > 0);
+
+    if (useJsonTools) {
       const assistantId = `a-${Date.now()}`;
       setMessages((m) => [
         ...m,
         { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString() },
       ]);
 
+      const anchor = capturedImages.length ? capturedImages[0] : null;
+      const executeFn = (name, args) =>
+        executeJsonTool(name, args, channelJson, {
+          anchorImage: anchor ? { data: anchor.data, mimeType: anchor.mimeType } : null,
+          compare: previousDataset,
+          signal,
+        });
+
       try {
-        let charts = [];
-        let toolCalls = [];
-        let contentText = '';
-
-        if (wantsMetricPlot) {
-          const metricMatch =
-            text.match(/plot_metric_vs_time\s*:\s*([a-zA-Z_]+)/i) ||
-            text.match(/\b(views?|likes?|comments?)\b/i);
-          const metricRaw = metricMatch ? metricMatch[1] || metricMatch[0] : 'view_count';
-          const metricKey = /like/i.test(metricRaw)
-            ? 'like_count'
-            : /comment/i.test(metricRaw)
-              ? 'comment_count'
-              : 'view_count';
-
-          const chart = require('../services/jsonTools').plotMetricVsTimeTool(channelJson, {
-            metric: metricKey,
-          });
-          toolCalls.push({ name: 'plot_metric_vs_time', args: { metric: metricKey }, result: chart });
-          if (!chart.error && chart._chartType === 'metric_vs_time') {
-            charts.push(chart);
-            contentText = `Plotted ${metricKey} vs time for ${chart.data.length} videos.`;
-          } else {
-            contentText = chart.error || 'Could not plot metric vs time.';
-          }
-        } else if (wantsStatsJson) {
-          const fieldMatch =
-            text.match(/compute_stats_json\s*:\s*([a-zA-Z_]+)/i) ||
-            text.match(/\b(views?|likes?|comments?|duration)\b/i);
-          const raw = fieldMatch ? fieldMatch[1] || fieldMatch[0] : 'view_count';
-          const fieldKey = /like/i.test(raw)
-            ? 'like_count'
-            : /comment/i.test(raw)
-              ? 'comment_count'
-              : /duration/i.test(raw)
-                ? 'duration'
-                : 'view_count';
-
-          const stats = require('../services/jsonTools').computeStatsJsonTool(channelJson, {
-            field: fieldKey,
-          });
-          toolCalls.push({ name: 'compute_stats_json', args: { field: fieldKey }, result: stats });
-          if (!stats.error) {
-            contentText = `Stats for ${fieldKey} (n=${stats.count}): mean=${stats.mean.toFixed(
-              2
-            )}, median=${stats.median.toFixed(2)}, std=${stats.std.toFixed(
-              2
-            )}, min=${stats.min}, max=${stats.max}.`;
-          } else {
-            contentText = stats.error;
-          }
-        } else if (wantsPlayVideo) {
-          const whichMatch = text.match(/play_video\s*:\s*(.+)$/i);
-          const which = whichMatch ? whichMatch[1].trim() : text;
-          const info = require('../services/jsonTools').playVideoTool(channelJson, { which });
-          toolCalls.push({ name: 'play_video', args: { which }, result: info });
-          if (!info.error) {
-            contentText = `Opening video: ${info.title}`;
-            charts.push({
-              _chartType: 'video_card',
-              title: info.title,
-              thumbnailUrl: info.thumbnailUrl,
-              url: info.url,
-            });
-          } else {
-            contentText = info.error;
-          }
-        }
+        const out = hasGeminiKey
+          ? await chatWithJsonTools(
+              historyWithUserHeader,
+              promptForGemini,
+              [capturedJson ? '' : channelJsonSummary, describePreviousDataset(previousDataset)]
+                .filter(Boolean)
+                .join('\n\n'),
+              executeFn,
+              { signal }
+            )
+          : await runToolCallsLocally(localJsonCalls, executeFn, describeJsonToolResult);
+
+        const charts = out.charts || [];
+        const toolCalls = out.toolCalls || [];
+        const modelImages = (out.images || []).map((img) => ({ ...img, name: 'generated-image' }));
+        const contentText = out.text || (toolCalls.length ? 'Done.' : '');
 
         setMessages((m) =>
           m.map((msg) =>
@@ -733,6 +914,7 @@ ${sessionSummary}${slimCsvBlock}
               ? {
                   ...msg,
                   content: contentText,
+                  images: modelImages.length ? modelImages : undefined,
                   charts: charts.length ? charts : undefined,
                   toolCalls: toolCalls.length ? toolCalls : undefined,
                 }
@@ -744,11 +926,18 @@ ${sessionSummary}${slimCsvBlock}
           sessionId,
           'model',
           contentText,
-          null,
+          modelImages.length ? await uploadImages(modelImages) : null,
           charts.length ? charts : null,
           toolCalls.length ? toolCalls : null
         );
       } catch (err) {
+        if (signal.aborted) {
+          setMessages((m) =>
+            m.map((msg) => (msg.id === assistantId ? { ...msg, interrupted: true } : msg))
+          );
+          await saveMessage(sessionId, 'model', '', null, null, null, true);
+          return;
+        }
         const errText = `Error: ${err.message || 'Tool failed'}`;
         setMessages((m) =>
           m.map((msg) => (msg.id === assistantId ? { ...msg, content: errText } : msg))
@@ -764,24 +953,12 @@ ${sessionSummary}${slimCsvBlock}
 
     const imageParts = capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data }));
 
-    // History: plain display text only — session summary handles CSV context on every message
-    const history = messages
-      .filter((m) => m.role === 'user' || m.role === 'model')
-      .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
-
-    // Ensure the model knows who the user is (for grading + personalization).
-    const fullName = `${String(firstName || '').trim()} ${String(lastName || '').trim()}`.trim();
-    const userHeader = fullName ? `User: ${fullName} (@${username})` : `User: @${username}`;
-    const historyWithUserHeader = [{ role: 'user', content: userHeader }, ...history];
-
     const assistantId = `a-${Date.now()}`;
     setMessages((m) => [
       ...m,
       { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString() },
     ]);
 
-    abortRef.current = false;
-
     let fullContent = '';
     let groundingData = null;
     let structuredParts = null;
@@ -796,7 +973,8 @@ ${sessionSummary}${slimCsvBlock}
           historyWithUserHeader,
           promptForGemini,
           sessionCsvHeaders,
-          (toolName, args) => executeTool(toolName, args, sessionCsvRows)
+          (toolName, args) => executeTool(toolName, args, sessionCsvRows, sessionCsvSchema),
+          { signal }
         );
         fullContent = answer;
         toolCharts = returnedCharts || [];
@@ -817,8 +995,10 @@ ${sessionSummary}${slimCsvBlock}
         );
       } else {
         // ── Streaming path: code execution or search ─────────────────────────
-        for await (const chunk of streamChat(historyWithUserHeader, promptForGemini, imageParts, useCodeExecution)) {
-          if (abortRef.current) break;
+        const stream = streamChat(historyWithUserHeader, promptForGemini, imageParts, useCodeExecution, {
+          signal,
+        });
+        for await (const chunk of stream) {
           if (chunk.type === 'text') {
             fullContent += chunk.text;
             // eslint-disable-next-line no-loop-func
@@ -839,11 +1019,21 @@ ${sessionSummary}${slimCsvBlock}
         }
       }
     } catch (err) {
-      const errText = `Error: ${err.message}`;
+      if (!signal.aborted) {
+        const errText = `Error: ${err.message}`;
+        setMessages((m) =>
+          m.map((msg) => (msg.id === assistantId ? { ...msg, content: errText } : msg))
+        );
+        fullContent = errText;
+      }
+    }
+
+    // Stopped mid-response: keep the partial text and flag it as interrupted.
+    const interrupted = signal.aborted;
+    if (interrupted) {
       setMessages((m) =>
-        m.map((msg) => (msg.id === assistantId ? { ...msg, content: errText } : msg))
+        m.map((msg) => (msg.id === assistantId ? { ...msg, interrupted: true } : msg))
       );
-      fullContent = errText;
     }
 
     if (groundingData) {
@@ -856,21 +1046,25 @@ ${sessionSummary}${slimCsvBlock}
     const savedContent = structuredParts
       ? structuredParts.filter((p) => p.type === 'text').map((p) => p.text).join('\n')
       : fullContent;
-    await saveMessage(
-      sessionId,
-      'model',
-      savedContent,
-      null,
-      toolCharts.length ? toolCharts : null,
-      toolCalls.length ? toolCalls : null
-    );
-
-    setSessions((prev) =>
-      prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
-    );
-
-    setStreaming(false);
-    inputRef.current?.focus();
+    try {
+      await saveMessage(
+        sessionId,
+        'model',
+        savedContent,
+        null,
+        toolCharts.length ? toolCharts : null,
+        toolCalls.length ? toolCalls : null,
+        interrupted
+      );
+      setSessions((prev) =>
+        prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
+      );
+    } catch (err) {
+      console.error('Failed to save reply:', err);
+    } finally {
+      setStreaming(false);
+      inputRef.current?.focus();
+    }
   };
 
   const removeImage = (i) => setImages((prev) => prev.filter((_, idx) => idx !== i));
@@ -893,11 +1087,7 @@ ${sessionSummary}${slimCsvBlock}
       {lightbox && (
         <div className="lightbox" onClick={() => setLightbox(null)} role="dialog" aria-modal="true">
           <div className="lightbox-inner" onClick={(e) => e.stopPropagation()}>
-            <img
-              src={`data:${lightbox.mimeType};base64,${lightbox.data}`}
-              alt="Enlarged"
-              className="lightbox-img"
-            />
+            <ChatImage image={lightbox} alt="Enlarged" className="lightbox-img" />
             <div className="lightbox-actions">
               <button
                 type="button"
@@ -917,16 +1107,13 @@ ${sessionSummary}${slimCsvBlock}
         <div className="lightbox" onClick={() => setChartLightbox(null)} role="dialog" aria-modal="true">
           <div className="lightbox-inner" onClick={(e) => e.stopPropagation()}>
             <div className="chart-lightbox-body" ref={chartRef}>
-              <MetricVsTimeChart
-                data={chartLightbox.chart.data}
-                metric={chartLightbox.chart.metric}
-              />
+              {EXPANDABLE_CHARTS[chartLightbox.chart._chartType]?.(chartLightbox.chart)}
             </div>
             <div className="lightbox-actions">
               <button
                 type="button"
                 className="lightbox-btn"
-                onClick={() => downloadChartAsPng('metric-vs-time.png')}
+                onClick={() => downloadChartAsPng(chartFilename(chartLightbox.chart))}
               >
                 Download PNG
               </button>
@@ -960,6 +1147,16 @@ ${sessionSummary}${slimCsvBlock}
               <div className="sidebar-session-info">
                 <span className="sidebar-session-title">{session.title}</span>
                 <span className="sidebar-session-date">{formatDate(session.createdAt)}</span>
+                {session.dataset && (
+                  <span className="sidebar-session-dataset" title={session.dataset.name}>
+                    {session.dataset.kind === 'csv' ? '📄' : '🧾'} {session.dataset.name}
+                  </span>
+                )}
+                {session.datasetError && (
+                  <span className="sidebar-session-dataset error" title={session.datasetError}>
+                    ⚠ Dataset not saved
+                  </span>
+                )}
               </div>
               <div
                 className="sidebar-session-menu"
@@ -999,14 +1196,23 @@ ${sessionSummary}${slimCsvBlock}
         <>
         <header className="chat-header">
           <h2 className="chat-header-title">{activeSession?.title ?? 'New Chat'}</h2>
+          {activeSession?.datasetError && (
+            <p className="chat-header-warning" role="alert">
+              {activeSession.datasetError}
+            </p>
+          )}
         </header>
 
         <div
+          ref={messagesRef}
           className={`chat-messages${dragOver ? ' drag-over' : ''}`}
+          onScroll={handleMessagesScroll}
           onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
           onDragLeave={() => setDragOver(false)}
           onDrop={handleDrop}
         >
+          {loadingOlder && <div className="chat-loading-older">Loading earlier messages…</div>}
+          {messagesError && <div className="chat-loading-older error">{messagesError}</div>}
           {messages.map((m) => (
             <div key={m.id} className={`chat-msg ${m.role}`}>
               <div className="chat-msg-meta">
@@ -1027,16 +1233,15 @@ ${sessionSummary}${slimCsvBlock}
               {m.images?.length > 0 && (
                 <div className="chat-msg-images">
                   {m.images.map((img, i) => (
-                    <img
+                    <ChatImage
                       key={i}
-                      src={`data:${img.mimeType};base64,${img.data}`}
-                      alt=""
+                      image={img}
                       className="chat-msg-thumb"
-                      onClick={() => setLightbox({ data: img.data, mimeType: img.mimeType, name: img.name })}
+                      onClick={() => setLightbox(img)}
                       title="Click to enlarge"
                       role="button"
                       tabIndex={0}
-                      onKeyDown={(e) => e.key === 'Enter' && setLightbox({ data: img.data, mimeType: img.mimeType, name: img.name })}
+                      onKeyDown={(e) => e.key === 'Enter' && setLightbox(img)}
                     />
                   ))}
                 </div>
@@ -1049,7 +1254,7 @@ ${sessionSummary}${slimCsvBlock}
                     <StructuredParts parts={m.parts} />
                   ) : m.content ? (
                     <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
-                  ) : (
+                  ) : m.interrupted ? null : (
                     <span className="thinking-dots">
                       <span /><span /><span />
                     </span>
@@ -1059,6 +1264,10 @@ ${sessionSummary}${slimCsvBlock}
                 )}
               </div>
 
+              {m.interrupted && (
+                <div className="msg-interrupted-badge">⏹ Interrupted</div>
+              )}
+
               {/* Tool calls log */}
               {m.toolCalls?.length > 0 && (
                 <details className="tool-calls-details">
@@ -1096,13 +1305,23 @@ ${sessionSummary}${slimCsvBlock}
                     />
                   );
                 }
-                if (chart._chartType === 'metric_vs_time') {
+                if (chart._chartType === 'text_features') {
+                  return (
+                    <TextFeaturesTable
+                      key={ci}
+                      features={chart.features}
+                      phrasesUp={chart.phrases_up}
+                      phrasesDown={chart.phrases_down}
+                      metric={chart.metric}
+                      title={chart.title}
+                      n={chart.n}
+                    />
+                  );
+                }
+                if (EXPANDABLE_CHARTS[chart._chartType]) {
                   return (
                     <div key={ci} className="metric-chart-block">
-                      <MetricVsTimeChart
-                        data={chart.data}
-                        metric={chart.metric}
-                      />
+                      {EXPANDABLE_CHARTS[chart._chartType](chart)}
                       <div className="metric-chart-actions">
                         <button
                           type="button"
@@ -1116,27 +1335,25 @@ ${sessionSummary}${slimCsvBlock}
                   );
                 }
                 if (chart._chartType === 'video_card') {
+                  return <VideoCard key={ci} {...chart} />;
+                }
+                if (chart._chartType === 'outliers') {
                   return (
-                    <div key={ci} className="video-card">
-                      {chart.thumbnailUrl && (
-                        <img
-                          src={chart.thumbnailUrl}
-                          alt={chart.title || 'Video thumbnail'}
-                          className="video-card-thumb"
-                        />
-                      )}
-                      <div className="video-card-body">
-                        <div className="video-card-title">{chart.title}</div>
-                        {chart.url && (
-                          <button
-                            type="button"
-                            className="video-card-btn"
-                            onClick={() => window.open(chart.url, '_blank', 'noopener')}
-                          >
-                            Open on YouTube
-                          </button>
-                        )}
-                      </div>
+                    <div key={ci} className="outlier-block">
+                      <p className="metric-chart-label">{chart.title}</p>
+                      {[
+                        ['Breakouts', chart.breakouts],
+                        ['Flops', chart.flops],
+                      ].map(([heading, cards]) => (
+                        <div key={heading} className="outlier-group">
+                          <div className="outlier-heading">
+                            {heading} · {cards.length ? cards.length : 'none'}
+                          </div>
+                          {cards.map((card, k) => (
+                            <VideoCard key={card.videoId || card.url || k} {...card} />
+                          ))}
+                        </div>
+                      ))}
                     </div>
                   );
                 }
@@ -1173,6 +1390,16 @@ ${sessionSummary}${slimCsvBlock}
         {/* ── Input area ── */}
         <div className="chat-input-area">
           {/* CSV chip */}
+          {csvParsing && (
+            <div className="csv-chip">
+              <span className="csv-chip-icon">📄</span>
+              <span className="csv-chip-name">{csvParsing.name}</span>
+              <span className="csv-chip-meta">
+                parsing… {Math.round((csvParsing.done / (csvParsing.total || 1)) * 100)}%
+              </span>
+              <button className="csv-chip-remove" onClick={() => csvParseRef.current?.abort()} aria-label="Cancel CSV parsing">×</button>
+            </div>
+          )}
           {csvContext && (
             <div className="csv-chip">
               <span className="csv-chip-icon">📄</span>
@@ -1191,7 +1418,7 @@ ${sessionSummary}${slimCsvBlock}
               <span className="json-chip-name">{jsonContext.name}</span>
               <span className="json-chip-meta">
                 {channelJson
-                  ? `${Array.isArray(channelJson?.videos) ? channelJson.videos.length : '—'} videos`
+                  ? `${channelJson.videos.length} videos`
                   : jsonError
                     ? 'invalid'
                     : 'loaded'}
@@ -1203,6 +1430,7 @@ ${sessionSummary}${slimCsvBlock}
                   setChannelJson(null);
                   setChannelJsonSummary('');
                   setJsonError('');
+                  setJsonReport(null);
                 }}
                 aria-label="Remove JSON"
               >
@@ -1215,6 +1443,12 @@ ${sessionSummary}${slimCsvBlock}
             <div className="json-chip-error">{jsonError}</div>
           )}
 
+          {jsonContext && jsonReport && (jsonReport.ok || jsonReport.stats.total > 0) && (
+            <ChannelReportCard report={jsonReport} />
+          )}
+
+          {imageError && <div className="chat-image-error">{imageError}</div>}
+
           {/* Image previews */}
           {images.length > 0 && (
             <div className="chat-image-previews">
@@ -1231,7 +1465,7 @@ ${sessionSummary}${slimCsvBlock}
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*,.csv,text/csv,.json,application/json"
+            accept={[...IMAGE_TYPES, '.csv', 'text/csv', '.json', 'application/json'].join(',')}
             multiple
             style={{ display: 'none' }}
             onChange={handleFileSelect}
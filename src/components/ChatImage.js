@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+import { getAttachmentUrl } from '../services/attachmentsApi';
+
+// Chat images are either inline ({ data, mimeType }) — freshly pasted or
+// generated, or saved before the attachment store — or stored references
+// ({ attachmentId, mimeType }) that have to be fetched with the auth header.
+export function useImageSrc(image) {
+  const inline = image?.data ? `data:${image.mimeType};base64,${image.data}` : null;
+  const attachmentId = inline ? null : image?.attachmentId;
+  const [loaded, setLoaded] = useState(null); // { id, url }
+
+  useEffect(() => {
+    if (!attachmentId) return;
+    let live = true;
+    getAttachmentUrl(attachmentId)
+      .then((url) => live && setLoaded({ id: attachmentId, url }))
+      .catch((err) => console.error('Failed to load attachment:', err));
+    return () => {
+      live = false;
+    };
+  }, [attachmentId]);
+
+  if (inline) return inline;
+  return loaded?.id === attachmentId ? loaded.url : null;
+}
+
+export default function ChatImage({ image, alt = '', className = '', ...props }) {
+  const src = useImageSrc(image);
+  if (!src) return <span className={`${className} chat-img-placeholder`} aria-label="Loading image" />;
+  return <img src={src} alt={alt} className={className} {...props} />;
+}
@@ -0,0 +1,48 @@
+// Correlation matrix from the correlation_matrix tool: columns = names,
+// matrix[i][j] = r in [-1, 1] or null. Recharts has no heatmap, so this is a
+// CSS grid; cells go blue for positive and red for negative correlation.
+
+const cellColor = (r) => {
+  if (r === null || r === undefined) return 'rgba(255,255,255,0.04)';
+  const alpha = 0.12 + Math.abs(r) * 0.78;
+  return r >= 0 ? `rgba(56, 189, 248, ${alpha})` : `rgba(248, 113, 113, ${alpha})`;
+};
+
+export default function CorrelationMatrixChart({ columns, matrix, title }) {
+  if (!columns?.length || !matrix?.length) return null;
+
+  return (
+    <div className="metric-chart-wrap">
+      <p className="metric-chart-label">{title || 'Correlation matrix'}</p>
+      <div
+        className="corr-grid"
+        style={{ gridTemplateColumns: `minmax(90px, auto) repeat(${columns.length}, minmax(44px, 1fr))` }}
+      >
+        <div />
+        {columns.map((c) => (
+          <div key={`h-${c}`} className="corr-head" title={c}>
+            {c}
+          </div>
+        ))}
+        {columns.map((row, i) => [
+          <div key={`r-${row}`} className="corr-row-head" title={row}>
+            {row}
+          </div>,
+          ...columns.map((col, j) => {
+            const r = matrix[i][j];
+            return (
+              <div
+                key={`${row}-${col}`}
+                className="corr-cell"
+                style={{ background: cellColor(r) }}
+                title={`${row} × ${col}: ${r === null ? 'n/a' : r}`}
+              >
+                {r === null ? '–' : r.toFixed(2)}
+              </div>
+            );
+          }),
+        ])}
+      </div>
+    </div>
+  );
+}
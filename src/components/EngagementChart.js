@@ -12,6 +12,10 @@ import {
 const WITH_COLOR = '#818cf8';    // indigo-400
 const WITHOUT_COLOR = '#34d399'; // emerald-400
 
+// Engagement ratios are tiny, so small values keep 3 significant digits.
+const formatValue = (v) => (Math.abs(v) >= 100 ? Math.round(v).toLocaleString() : +v.toPrecision(3));
+const formatP = (p) => (p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`);
+
 function CustomTooltip({ active, payload, label }) {
   if (!active || !payload?.length) return null;
   return (
@@ -28,7 +32,7 @@ function CustomTooltip({ active, payload, label }) {
       <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#fff' }}>{label}</p>
       {payload.map((p) => (
         <p key={p.dataKey} style={{ margin: '0.15rem 0', color: p.fill }}>
-          {p.name}: <strong>{p.value.toLocaleString()}</strong>
+          {p.name}: <strong>{formatValue(p.value)}</strong>
           {p.payload[p.dataKey === 'withKeyword' ? 'withCount' : 'withoutCount'] !== undefined && (
             <span style={{ opacity: 0.55, marginLeft: 6 }}>
               (n={p.payload[p.dataKey === 'withKeyword' ? 'withCount' : 'withoutCount']})
@@ -36,6 +40,13 @@ function CustomTooltip({ active, payload, label }) {
           )}
         </p>
       ))}
+      {typeof payload[0].payload.pValue === 'number' && (
+        <p style={{ margin: '0.4rem 0 0', opacity: 0.75 }}>
+          p {formatP(payload[0].payload.pValue)}
+          {payload[0].payload.test ? ` · ${payload[0].payload.test}` : ''}
+          {payload[0].payload.pValue < 0.05 ? ' · significant' : ''}
+        </p>
+      )}
     </div>
   );
 }
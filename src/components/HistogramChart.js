@@ -0,0 +1,86 @@
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ResponsiveContainer,
+} from 'recharts';
+
+// Histogram from the histogram tool: data = [{ name, from, to, count }].
+
+function HistogramTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const bin = payload[0].payload;
+  return (
+    <div
+      style={{
+        background: 'rgba(15, 23, 42, 0.96)',
+        padding: '0.55rem 0.75rem',
+        borderRadius: 10,
+        border: '1px solid rgba(148, 163, 184, 0.4)',
+        fontSize: '0.8rem',
+        color: '#e5e7eb',
+        boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
+      }}
+    >
+      <div style={{ fontWeight: 700, marginBottom: 4 }}>
+        {bin.from.toLocaleString()} – {bin.to.toLocaleString()}
+      </div>
+      <div>
+        rows: <strong>{bin.count.toLocaleString()}</strong>
+      </div>
+    </div>
+  );
+}
+
+export default function HistogramChart({ data, valueLabel, title }) {
+  if (!data?.length) return null;
+
+  return (
+    <div className="metric-chart-wrap">
+      <p className="metric-chart-label">{title || `Distribution of ${valueLabel || 'value'}`}</p>
+      <ResponsiveContainer width="100%" height={280}>
+        <BarChart data={data} margin={{ top: 6, right: 14, left: 0, bottom: 32 }} barCategoryGap={1}>
+          <CartesianGrid
+            strokeDasharray="3 3"
+            stroke="rgba(255,255,255,0.08)"
+            vertical={false}
+          />
+          <XAxis
+            dataKey="from"
+            tickFormatter={(v) => (Math.abs(v) >= 1000 ? Math.round(v).toLocaleString() : +v.toPrecision(3))}
+            tick={{
+              fill: 'rgba(255,255,255,0.7)',
+              fontSize: 11,
+              fontFamily: 'Inter, sans-serif',
+            }}
+            axisLine={{ stroke: 'rgba(255,255,255,0.18)' }}
+            tickLine={false}
+            label={{
+              value: valueLabel,
+              position: 'insideBottom',
+              offset: -18,
+              fill: 'rgba(255,255,255,0.55)',
+              fontSize: 11,
+            }}
+          />
+          <YAxis
+            allowDecimals={false}
+            tick={{
+              fill: 'rgba(255,255,255,0.6)',
+              fontSize: 11,
+              fontFamily: 'Inter, sans-serif',
+            }}
+            axisLine={false}
+            tickLine={false}
+            width={50}
+          />
+          <Tooltip content={<HistogramTooltip />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
+          <Bar dataKey="count" name="rows" fill="#38bdf8" radius={[3, 3, 0, 0]} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
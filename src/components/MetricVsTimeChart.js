@@ -4,13 +4,32 @@ import {
   XAxis,
   YAxis,
   Tooltip,
+  Legend,
   CartesianGrid,
   ResponsiveContainer,
 } from 'recharts';
 
-function MetricTooltip({ active, payload, label }) {
+// One line per entry of `series` ({ key, name, axis, labelKey, rolling? },
+// built by timeSeries.js); rolling averages are dashed in their series'
+// colour. Payloads without `series` (plot_metric_growth, older messages) are
+// a single `value` line with the per-point `label`.
+
+const COLORS = ['#38bdf8', '#f472b6', '#a3e635', '#fbbf24', '#c084fc', '#fb923c'];
+
+const AXIS_TICK = {
+  fill: 'rgba(255,255,255,0.6)',
+  fontSize: 11,
+  fontFamily: 'Inter, sans-serif',
+};
+
+const formatValue = (v) => (Math.abs(v) >= 100 ? Math.round(v).toLocaleString() : String(+v.toPrecision(3)));
+
+// Compact ticks (1.2M, 35k) keep both value axes narrow.
+const formatTick = (v) =>
+  Math.abs(v) >= 1e6 ? `${+(v / 1e6).toFixed(1)}M` : Math.abs(v) >= 1e3 ? `${+(v / 1e3).toFixed(1)}k` : formatValue(v);
+
+function MetricTooltip({ active, payload, label, labelKeys }) {
   if (!active || !payload?.length) return null;
-  const p = payload[0];
   return (
     <div
       style={{
@@ -21,28 +40,55 @@ function MetricTooltip({ active, payload, label }) {
         fontSize: '0.8rem',
         color: '#e5e7eb',
         boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
+        maxWidth: 320,
       }}
     >
       <div style={{ fontWeight: 700, marginBottom: 4 }}>{label}</div>
-      <div>
-        {p.name}: <strong>{p.value.toLocaleString()}</strong>
-      </div>
-      {p.payload.label && (
-        <div style={{ marginTop: 4, opacity: 0.8 }}>{p.payload.label}</div>
-      )}
+      {payload.map((p, i) => {
+        // Metrics of the same video share a label; show it once, after the last.
+        const pointLabel = p.payload[labelKeys[p.dataKey]];
+        const nextLabel = payload[i + 1] && payload[i + 1].payload[labelKeys[payload[i + 1].dataKey]];
+        return (
+          <div key={p.dataKey} style={{ marginTop: 2 }}>
+            <span style={{ color: p.color }}>{p.name}</span>: <strong>{formatValue(p.value)}</strong>
+            {pointLabel && pointLabel !== nextLabel && <div style={{ opacity: 0.8 }}>{pointLabel}</div>}
+          </div>
+        );
+      })}
     </div>
   );
 }
 
-export default function MetricVsTimeChart({ data, metric }) {
+export default function MetricVsTimeChart({ data, metric, title, series, logScale = false }) {
   if (!data?.length) return null;
 
+  const lines = series?.length
+    ? series
+    : [{ key: 'value', name: metric || 'value', axis: 'left', labelKey: 'label' }];
+  const labelKeys = Object.fromEntries(lines.map((s) => [s.key, s.labelKey]));
+  // A rolling line takes the colour of the series it smooths.
+  const colorOf = (s) => {
+    const base = s.rolling ? s.key.replace(/_avg$/, '') : s.key;
+    return COLORS[lines.filter((l) => !l.rolling).findIndex((l) => l.key === base) % COLORS.length];
+  };
+  const hasRight = lines.some((s) => s.axis === 'right');
+  const multi = lines.length > 1;
+  const yAxisProps = {
+    tick: AXIS_TICK,
+    axisLine: false,
+    tickLine: false,
+    width: 56,
+    tickFormatter: formatTick,
+    ...(logScale ? { scale: 'log', domain: ['auto', 'auto'], allowDataOverflow: true } : {}),
+  };
+
   return (
     <div className="metric-chart-wrap">
       <p className="metric-chart-label">
-        {metric || 'Metric'} vs time
+        {title || `${metric || 'Metric'} vs time`}
+        {logScale && ' · log scale'}
       </p>
-      <ResponsiveContainer width="100%" height={280}>
+      <ResponsiveContainer width="100%" height={multi ? 310 : 280}>
         <LineChart
           data={data}
           margin={{ top: 6, right: 14, left: 0, bottom: 32 }}
@@ -54,37 +100,40 @@ export default function MetricVsTimeChart({ data, metric }) {
           />
           <XAxis
             dataKey="date"
-            tick={{
-              fill: 'rgba(255,255,255,0.7)',
-              fontSize: 11,
-              fontFamily: 'Inter, sans-serif',
-            }}
+            tick={{ ...AXIS_TICK, fill: 'rgba(255,255,255,0.7)' }}
             axisLine={{ stroke: 'rgba(255,255,255,0.18)' }}
             tickLine={false}
           />
-          <YAxis
-            tick={{
-              fill: 'rgba(255,255,255,0.6)',
-              fontSize: 11,
-              fontFamily: 'Inter, sans-serif',
-            }}
-            axisLine={false}
-            tickLine={false}
-            width={70}
-          />
-          <Tooltip content={<MetricTooltip />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
-          <Line
-            type="monotone"
-            dataKey="value"
-            name={metric || 'value'}
-            stroke="#38bdf8"
-            strokeWidth={2.3}
-            dot={{ r: 2.2, strokeWidth: 0 }}
-            activeDot={{ r: 4 }}
-          />
+          <YAxis yAxisId="left" {...yAxisProps} />
+          {hasRight && <YAxis yAxisId="right" orientation="right" {...yAxisProps} />}
+          <Tooltip content={<MetricTooltip labelKeys={labelKeys} />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
+          {multi && (
+            <Legend
+              wrapperStyle={{
+                paddingTop: 8,
+                fontSize: 12,
+                fontFamily: 'Inter,sans-serif',
+                color: 'rgba(255,255,255,0.65)',
+              }}
+            />
+          )}
+          {lines.map((s) => (
+            <Line
+              key={s.key}
+              yAxisId={s.axis === 'right' ? 'right' : 'left'}
+              type="monotone"
+              dataKey={s.key}
+              name={s.name}
+              stroke={colorOf(s)}
+              strokeWidth={s.rolling ? 1.8 : 2.3}
+              strokeDasharray={s.rolling ? '6 4' : undefined}
+              dot={s.rolling ? false : { r: 2.2, strokeWidth: 0 }}
+              activeDot={{ r: 4 }}
+              connectNulls
+            />
+          ))}
         </LineChart>
       </ResponsiveContainer>
     </div>
   );
 }
-
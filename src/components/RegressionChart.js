@@ -0,0 +1,96 @@
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+
+// Coefficients from the regression tool, one horizontal bar per term:
+// data = [{ name, value, stdError, pValue }]. Bars with p < 0.05 are solid.
+
+const formatP = (p) => (p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`);
+
+function CoefficientTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const c = payload[0].payload;
+  return (
+    <div
+      style={{
+        background: 'rgba(15, 23, 42, 0.96)',
+        padding: '0.55rem 0.75rem',
+        borderRadius: 10,
+        border: '1px solid rgba(148, 163, 184, 0.4)',
+        fontSize: '0.8rem',
+        color: '#e5e7eb',
+        boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
+      }}
+    >
+      <div style={{ fontWeight: 700, marginBottom: 4 }}>{c.name}</div>
+      <div>
+        coefficient: <strong>{c.value}</strong>
+      </div>
+      <div>std. error: {c.stdError}</div>
+      {typeof c.pValue === 'number' && <div>p {formatP(c.pValue)}</div>}
+    </div>
+  );
+}
+
+export default function RegressionChart({ data, title, kind, r2, pseudoR2, n }) {
+  if (!data?.length) return null;
+  const fit = kind === 'logistic' ? `pseudo-R² = ${pseudoR2}` : `R² = ${r2}`;
+
+  return (
+    <div className="metric-chart-wrap">
+      <p className="metric-chart-label">
+        {title || 'Regression coefficients'} · {fit} · n = {n}
+      </p>
+      <ResponsiveContainer width="100%" height={Math.max(160, 48 + data.length * 34)}>
+        <BarChart data={data} layout="vertical" margin={{ top: 6, right: 20, left: 10, bottom: 6 }}>
+          <CartesianGrid
+            strokeDasharray="3 3"
+            stroke="rgba(255,255,255,0.08)"
+            horizontal={false}
+          />
+          <XAxis
+            type="number"
+            tick={{
+              fill: 'rgba(255,255,255,0.6)',
+              fontSize: 11,
+              fontFamily: 'Inter, sans-serif',
+            }}
+            axisLine={{ stroke: 'rgba(255,255,255,0.18)' }}
+            tickLine={false}
+          />
+          <YAxis
+            type="category"
+            dataKey="name"
+            tick={{
+              fill: 'rgba(255,255,255,0.7)',
+              fontSize: 11,
+              fontFamily: 'Inter, sans-serif',
+            }}
+            axisLine={false}
+            tickLine={false}
+            width={120}
+          />
+          <ReferenceLine x={0} stroke="rgba(255,255,255,0.35)" />
+          <Tooltip content={<CoefficientTooltip />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
+          <Bar dataKey="value" name="coefficient" radius={3}>
+            {data.map((c) => (
+              <Cell
+                key={c.name}
+                fill={c.value >= 0 ? '#38bdf8' : '#f87171'}
+                fillOpacity={typeof c.pValue === 'number' && c.pValue < 0.05 ? 0.95 : 0.35}
+              />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
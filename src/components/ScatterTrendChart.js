@@ -0,0 +1,99 @@
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+
+// Scatter from the scatter_plot tool: data = [{ x, y, label? }], line = the
+// two end points of the OLS trend line, trend = { slope, intercept, r2 }.
+
+const formatNumber = (v) => (Math.abs(v) >= 1000 ? Math.round(v).toLocaleString() : +v.toPrecision(3));
+
+const axisTick = {
+  fill: 'rgba(255,255,255,0.6)',
+  fontSize: 11,
+  fontFamily: 'Inter, sans-serif',
+};
+
+function PointTooltip({ active, payload, xLabel, yLabel }) {
+  if (!active || !payload?.length) return null;
+  const p = payload[0].payload;
+  return (
+    <div
+      style={{
+        background: 'rgba(15, 23, 42, 0.96)',
+        padding: '0.55rem 0.75rem',
+        borderRadius: 10,
+        border: '1px solid rgba(148, 163, 184, 0.4)',
+        fontSize: '0.8rem',
+        color: '#e5e7eb',
+        boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
+        maxWidth: 260,
+      }}
+    >
+      <div>
+        {xLabel}: <strong>{formatNumber(p.x)}</strong>
+      </div>
+      <div>
+        {yLabel}: <strong>{formatNumber(p.y)}</strong>
+      </div>
+      {p.label && <div style={{ marginTop: 4, opacity: 0.8 }}>{p.label}</div>}
+    </div>
+  );
+}
+
+export default function ScatterTrendChart({ data, line, trend, xLabel, yLabel, title }) {
+  if (!data?.length) return null;
+
+  return (
+    <div className="metric-chart-wrap">
+      <p className="metric-chart-label">
+        {title || `${yLabel} vs ${xLabel}`}
+        {trend &&
+          ` · y = ${trend.slope}x ${trend.intercept < 0 ? '−' : '+'} ${Math.abs(trend.intercept)} · R² = ${trend.r2}`}
+      </p>
+      <ResponsiveContainer width="100%" height={300}>
+        <ScatterChart margin={{ top: 6, right: 14, left: 0, bottom: 32 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+          <XAxis
+            type="number"
+            dataKey="x"
+            name={xLabel}
+            domain={['auto', 'auto']}
+            tickFormatter={formatNumber}
+            tick={axisTick}
+            axisLine={{ stroke: 'rgba(255,255,255,0.18)' }}
+            tickLine={false}
+            label={{ value: xLabel, position: 'insideBottom', offset: -18, fill: 'rgba(255,255,255,0.55)', fontSize: 11 }}
+          />
+          <YAxis
+            type="number"
+            dataKey="y"
+            name={yLabel}
+            domain={['auto', 'auto']}
+            tickFormatter={formatNumber}
+            tick={axisTick}
+            axisLine={false}
+            tickLine={false}
+            width={70}
+          />
+          <Tooltip content={<PointTooltip xLabel={xLabel} yLabel={yLabel} />} cursor={{ strokeDasharray: '3 3' }} />
+          <Scatter data={data} fill="#38bdf8" fillOpacity={0.7} />
+          {line && (
+            <ReferenceLine
+              segment={line}
+              stroke="#f472b6"
+              strokeWidth={2}
+              ifOverflow="extendDomain"
+            />
+          )}
+        </ScatterChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
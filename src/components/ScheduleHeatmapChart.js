@@ -0,0 +1,59 @@
+// Weekday × hour heatmap from the posting_schedule tools: data = [{ day,
+// hour, median, count }] for all 7 × 24 slots. Like CorrelationMatrixChart it
+// is a CSS grid, since Recharts has no heatmap; darker cells have a higher
+// median, empty slots stay blank.
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+const formatNumber = (v) => (Math.abs(v) >= 1000 ? Math.round(v).toLocaleString() : +v.toPrecision(3));
+
+export default function ScheduleHeatmapChart({ data, metric, timeZone, title }) {
+  if (!data?.length) return null;
+  const byKey = new Map(data.map((c) => [`${c.day}-${c.hour}`, c]));
+  const medians = data.filter((c) => c.count && c.median !== null).map((c) => c.median);
+  const lo = Math.min(...medians);
+  const hi = Math.max(...medians);
+  const shade = (v) => {
+    const t = hi > lo ? (v - lo) / (hi - lo) : 1;
+    return `rgba(56, 189, 248, ${0.15 + t * 0.8})`;
+  };
+
+  return (
+    <div className="metric-chart-wrap">
+      <p className="metric-chart-label">
+        {title || `Median ${metric} by posting day and hour`}
+        {timeZone && ` · ${timeZone}`}
+      </p>
+      <div className="schedule-grid">
+        <div />
+        {HOURS.map((h) => (
+          <div key={`h-${h}`} className="schedule-hour">
+            {h % 3 === 0 ? h : ''}
+          </div>
+        ))}
+        {DAYS.map((day) => [
+          <div key={`d-${day}`} className="schedule-day">
+            {day}
+          </div>,
+          ...HOURS.map((h) => {
+            const c = byKey.get(`${day}-${h}`);
+            const filled = c?.count > 0 && c.median !== null;
+            return (
+              <div
+                key={`${day}-${h}`}
+                className="schedule-cell"
+                style={{ background: filled ? shade(c.median) : 'rgba(255,255,255,0.04)' }}
+                title={
+                  filled
+                    ? `${day} ${String(h).padStart(2, '0')}:00 · median ${metric} ${formatNumber(c.median)} · ${c.count} posts`
+                    : `${day} ${String(h).padStart(2, '0')}:00 · no posts`
+                }
+              />
+            );
+          }),
+        ])}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+
+// Sortable tables for the analyze_title_features / analyze_text_features
+// tools: one row per text feature, then the words and phrases that go with
+// higher and lower values of the metric. Clicking a header sorts by it;
+// clicking again flips the direction.
+
+const formatNumber = (v) => {
+  if (v === null || v === undefined) return '—';
+  return Math.abs(v) >= 1000 ? Math.round(v).toLocaleString() : String(+v.toPrecision(3));
+};
+const formatShare = (v) => (v === null ? '—' : `${Math.round(v * 100)}%`);
+const formatP = (p) => (p === null ? '—' : p < 0.001 ? '< 0.001' : p.toFixed(3));
+const formatLift = (v) => (v === null ? '—' : `${v.toFixed(2)}×`);
+
+const FEATURE_COLUMNS = [
+  { key: 'feature', label: 'Feature' },
+  { key: 'share', label: 'Has it', format: formatShare },
+  { key: 'mean', label: 'Avg count', format: formatNumber },
+  { key: 'spearman_r', label: 'Spearman r', format: formatNumber },
+  { key: 'p_value', label: 'p', format: formatP },
+  { key: 'median_with', label: 'Median with', format: formatNumber },
+  { key: 'median_without', label: 'Median without', format: formatNumber },
+  { key: 'lift', label: 'Lift', format: formatLift },
+];
+
+const PHRASE_COLUMNS = [
+  { key: 'phrase', label: 'Word / phrase' },
+  { key: 'docs', label: 'Uses', format: formatNumber },
+  { key: 'median_with', label: 'Median with', format: formatNumber },
+  { key: 'median_without', label: 'Median without', format: formatNumber },
+  { key: 'lift', label: 'Lift', format: formatLift },
+  { key: 'z', label: 'z', format: formatNumber },
+  { key: 'p_value', label: 'p', format: formatP },
+];
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return typeof a === 'string' ? a.localeCompare(b) : a - b;
+};
+
+function SortableTable({ caption, columns, rows }) {
+  const [sort, setSort] = useState(null); // { key, dir: 1 | -1 }
+
+  if (!rows?.length) return null;
+  const sorted = sort
+    ? [...rows].sort((a, b) => {
+        const c = compare(a[sort.key], b[sort.key]);
+        // Blanks stay at the bottom in both directions.
+        return a[sort.key] === null || b[sort.key] === null ? c : c * sort.dir;
+      })
+    : rows;
+  const toggle = (key) =>
+    setSort((s) => (s?.key === key ? { key, dir: -s.dir } : { key, dir: typeof rows[0][key] === 'string' ? 1 : -1 }));
+
+  return (
+    <div className="feature-table-scroll">
+      <table className="feature-table">
+        {caption && <caption>{caption}</caption>}
+        <thead>
+          <tr>
+            {columns.map((col) => (
+              <th
+                key={col.key}
+                aria-sort={sort?.key === col.key ? (sort.dir === 1 ? 'ascending' : 'descending') : 'none'}
+              >
+                <button type="button" onClick={() => toggle(col.key)}>
+                  {col.label}
+                  {sort?.key === col.key && (sort.dir === 1 ? ' ▲' : ' ▼')}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((row, i) => (
+            <tr key={row.key || row.phrase || i}>
+              {columns.map((col) => (
+                <td key={col.key} className={col.format ? 'num' : undefined}>
+                  {col.format ? col.format(row[col.key]) : row[col.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function TextFeaturesTable({ features, phrasesUp, phrasesDown, metric, title, n }) {
+  if (!features?.length) return null;
+  return (
+    <div className="metric-chart-wrap">
+      <p className="metric-chart-label">
+        {title || `Text features vs ${metric}`}
+        {n ? ` · ${n} posts` : ''}
+      </p>
+      <SortableTable caption={`Features · Spearman r with ${metric}`} columns={FEATURE_COLUMNS} rows={features} />
+      <SortableTable caption={`Words & phrases with higher ${metric}`} columns={PHRASE_COLUMNS} rows={phrasesUp} />
+      <SortableTable caption={`Words & phrases with lower ${metric}`} columns={PHRASE_COLUMNS} rows={phrasesDown} />
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { useState } from 'react';
+
+// One video (or tweet) from a tool result: thumbnail, title, optional detail
+// line and a button that opens `url` in a new tab. Used for play_video's
+// video_card payload and for each entry of find_outliers. YouTube videos also
+// get a "Play here" toggle that swaps the thumbnail for an embedded player
+// (open from the start when the payload has `embed: true`; Chat.js clears that
+// for restored history).
+
+const YOUTUBE_URL = /^https?:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)\//i;
+
+export default function VideoCard({ videoId, title, thumbnailUrl, url, detail, embed = false, linkLabel = 'Open on YouTube' }) {
+  const canEmbed = !!videoId && (!url || YOUTUBE_URL.test(url));
+  const [playing, setPlaying] = useState(canEmbed && embed);
+
+  return (
+    <div className={`video-card${playing ? ' playing' : ''}`}>
+      {playing ? (
+        <div className="video-card-player">
+          <iframe
+            src={`https://www.youtube-nocookie.com/embed/${encodeURIComponent(videoId)}?autoplay=1&rel=0`}
+            title={title || 'YouTube video'}
+            allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+            allowFullScreen
+          />
+        </div>
+      ) : (
+        thumbnailUrl && <img src={thumbnailUrl} alt={title || 'Video thumbnail'} className="video-card-thumb" />
+      )}
+      <div className="video-card-body">
+        <div className="video-card-title">{title}</div>
+        {detail && <div className="video-card-detail">{detail}</div>}
+        <div className="video-card-actions">
+          {canEmbed && (
+            <button type="button" className="video-card-btn" onClick={() => setPlaying((p) => !p)}>
+              {playing ? 'Close player' : 'Play here'}
+            </button>
+          )}
+          {url && (
+            <button
+              type="button"
+              className="video-card-btn secondary"
+              onClick={() => window.open(url, '_blank', 'noopener')}
+            >
+              {linkLabel}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,35 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  fetchYoutubeChannel,
+  getYoutubeStatus,
+  listSavedChannels,
+  refreshYoutubeChannel,
+} from '../services/youtubeApi';
 import './YoutubeDownload.css';
 
 const SAMPLE_URL = '/veritasium_channel_sample.json';
+const MAX_VIDEOS = 500;
+
+// Progress bar share of each server stage: resolving the channel, paging the
+// uploads playlist, then fetching video details in batches of 50.
+const STAGES = {
+  resolve: { from: 0, to: 5, label: 'Finding channel…' },
+  playlist: { from: 5, to: 40, label: 'Listing uploads' },
+  videos: { from: 40, to: 100, label: 'Fetching video details' },
+};
+
+function progressPercent({ stage, done, total }) {
+  const s = STAGES[stage];
+  if (!s) return 0;
+  const frac = total > 0 ? Math.min(1, done / total) : 0;
+  return Math.round(s.from + (s.to - s.from) * frac);
+}
+
+function progressLabel({ stage, done, total }) {
+  const s = STAGES[stage];
+  if (!s) return '';
+  return stage === 'resolve' ? s.label : `${s.label} · ${done}/${total}`;
+}
 
 function clampInt(v, min, max) {
   const n = Number.parseInt(String(v || ''), 10);
@@ -51,68 +79,80 @@ export default function YoutubeDownload() {
   const [maxVideos, setMaxVideos] = useState(10);
   const [downloading, setDownloading] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [stageText, setStageText] = useState('');
   const [error, setError] = useState('');
   const [data, setData] = useState(null);
+  const [configured, setConfigured] = useState(true);
+  const [saved, setSaved] = useState([]); // channels with stored snapshots
+
+  const abortRef = useRef(null);
 
-  const timerRef = useRef(null);
+  const loadSaved = () =>
+    listSavedChannels()
+      .then(setSaved)
+      .catch(() => setSaved([]));
 
   useEffect(() => {
-    return () => {
-      if (timerRef.current) window.clearInterval(timerRef.current);
-    };
+    getYoutubeStatus().then((s) => setConfigured(!!s.configured));
+    loadSaved();
+    return () => abortRef.current?.abort();
   }, []);
 
   const summary = useMemo(() => summarize(data), [data]);
 
-  const handleDownload = async () => {
+  // Shared by download and refresh: both stream progress and end with
+  // { channel, videos }, which the server also stores as a snapshot.
+  const runJob = async (job, doneText) => {
     setError('');
     setData(null);
     setProgress(0);
+    setStageText('');
     setDownloading(true);
 
-    const targetMax = clampInt(maxVideos, 1, 100);
-    setMaxVideos(targetMax);
-
-    // Smooth progress ramp while we fetch.
-    if (timerRef.current) window.clearInterval(timerRef.current);
-    timerRef.current = window.setInterval(() => {
-      setProgress((p) => (p < 85 ? p + Math.max(1, Math.round((85 - p) / 8)) : p));
-    }, 180);
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
-      const isVeritasium = /youtube\.com\/@veritasium\b/i.test(url.trim());
-      if (!isVeritasium) {
-        throw new Error('This demo is wired for https://www.youtube.com/@veritasium (sample download).');
-      }
-
-      const res = await fetch(SAMPLE_URL, { cache: 'no-store' });
-      if (!res.ok) throw new Error(`Failed to load sample channel JSON (${res.status})`);
-      const raw = await res.json();
-
-      const videos = Array.isArray(raw.videos) ? raw.videos.slice(0, targetMax) : [];
-      const payload = {
-        channel: {
-          handle: 'veritasium',
-          url: 'https://www.youtube.com/@veritasium',
-          title: raw?.channel?.title || 'Veritasium',
-          downloaded_at: new Date().toISOString(),
-          max_videos_requested: targetMax,
+      const payload = await job({
+        signal: controller.signal,
+        onProgress: (p) => {
+          setProgress(progressPercent(p));
+          setStageText(progressLabel(p));
         },
-        videos,
-      };
-
+      });
       setData(payload);
       setProgress(100);
+      setStageText(doneText(payload));
+      loadSaved();
     } catch (e) {
-      setError(e?.message || 'Download failed');
+      setError(controller.signal.aborted ? 'Download cancelled.' : e?.message || 'Download failed');
       setProgress(0);
+      setStageText('');
     } finally {
-      if (timerRef.current) window.clearInterval(timerRef.current);
-      timerRef.current = null;
+      abortRef.current = null;
       setDownloading(false);
     }
   };
 
+  const handleDownload = () => {
+    const targetMax = clampInt(maxVideos, 1, MAX_VIDEOS);
+    setMaxVideos(targetMax);
+    runJob(
+      (opts) => fetchYoutubeChannel(url.trim(), targetMax, opts),
+      (payload) => `Downloaded ${payload.videos.length} videos`
+    );
+  };
+
+  const handleRefresh = (channel) =>
+    runJob(
+      (opts) => refreshYoutubeChannel(channel.channel_id, opts),
+      (payload) => `Refreshed stats for ${payload.videos.length} videos · snapshot ${channel.snapshot_count + 1}`
+    );
+
+  const handleCancel = () => abortRef.current?.abort();
+
+  const fileName = `${data?.channel?.handle || data?.channel?.id || 'channel'}_channel_data.json`;
+
   return (
     <div className="yt-page">
       <div className="yt-card">
@@ -123,40 +163,92 @@ export default function YoutubeDownload() {
 
         <div className="yt-form">
           <label className="yt-label">
-            Channel URL
+            Channel URL, @handle or id
             <input
               className="yt-input"
               value={url}
               onChange={(e) => setUrl(e.target.value)}
-              placeholder="https://www.youtube.com/@veritasium"
+              placeholder="https://www.youtube.com/@handle, @handle or UC… channel id"
               disabled={downloading}
             />
           </label>
 
           <label className="yt-label">
-            Max videos (1–100)
+            Max videos (1–{MAX_VIDEOS})
             <input
               className="yt-input"
               value={maxVideos}
               onChange={(e) => setMaxVideos(e.target.value)}
               type="number"
               min={1}
-              max={100}
+              max={MAX_VIDEOS}
               disabled={downloading}
             />
           </label>
 
-          <button className="yt-btn" type="button" onClick={handleDownload} disabled={downloading}>
-            {downloading ? 'Downloading…' : 'Download Channel Data'}
-          </button>
+          {downloading ? (
+            <button className="yt-btn secondary" type="button" onClick={handleCancel}>
+              Cancel
+            </button>
+          ) : (
+            <button className="yt-btn" type="button" onClick={handleDownload} disabled={!configured}>
+              Download Channel Data
+            </button>
+          )}
 
-          <div className="yt-progress-wrap" aria-label="Download progress">
+          <div
+            className="yt-progress-wrap"
+            role="progressbar"
+            aria-label="Download progress"
+            aria-valuenow={progress}
+            aria-valuemin={0}
+            aria-valuemax={100}
+          >
             <div className="yt-progress-bar" style={{ width: `${progress}%` }} />
           </div>
+          {stageText && <div className="yt-progress-text">{stageText}</div>}
+
+          {!configured && (
+            <div className="yt-error">
+              The server has no YOUTUBE_API_KEY, so channels can't be downloaded.{' '}
+              <a className="yt-link" href={SAMPLE_URL} target="_blank" rel="noreferrer">
+                The bundled sample JSON
+              </a>{' '}
+              still works in the Chat tab.
+            </div>
+          )}
 
           {error && <div className="yt-error">{error}</div>}
         </div>
 
+        {saved.length > 0 && (
+          <div className="yt-saved">
+            <h2>Saved channels</h2>
+            <p>Refresh re-fetches stats for the videos already downloaded so growth can be plotted in chat.</p>
+            <ul>
+              {saved.map((c) => (
+                <li key={c.channel_id} className="yt-saved-item">
+                  <div className="yt-saved-info">
+                    <span className="yt-saved-title">{c.title || c.handle || c.channel_id}</span>
+                    <span className="yt-saved-meta">
+                      {c.tracked_videos} videos · {c.snapshot_count} snapshot{c.snapshot_count === 1 ? '' : 's'} · last{' '}
+                      {new Date(c.last_snapshot_at).toLocaleString()}
+                    </span>
+                  </div>
+                  <button
+                    className="yt-btn secondary"
+                    type="button"
+                    onClick={() => handleRefresh(c)}
+                    disabled={downloading || !configured}
+                  >
+                    Refresh
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {data && (
           <div className="yt-results">
             <div className="yt-summary">
@@ -186,7 +278,7 @@ export default function YoutubeDownload() {
               <button
                 className="yt-btn secondary"
                 type="button"
-                onClick={() => downloadJson('veritasium_channel_data.json', data)}
+                onClick={() => downloadJson(fileName, data)}
               >
                 Download JSON
               </button>
@@ -0,0 +1,108 @@
+import { authHeaders, handleUnauthorized } from './mongoApi';
+
+const API = process.env.REACT_APP_API_URL || '';
+
+// Parse an error body like {"error":"..."} into a readable message.
+const errorMessage = (text, fallback) => {
+  try {
+    return JSON.parse(text).error || fallback;
+  } catch {
+    return text || fallback;
+  }
+};
+
+const request = async (path, options = {}) => {
+  const res = await fetch(`${API}${path}`, {
+    ...options,
+    headers: { ...authHeaders(), ...options.headers },
+  });
+  if (res.status === 401) handleUnauthorized();
+  if (!res.ok) throw new Error(errorMessage(await res.text(), res.statusText));
+  return res;
+};
+
+const base64ToBlob = (data, mimeType) => {
+  const bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+  return new Blob([bytes], { type: mimeType });
+};
+
+// ── Upload ───────────────────────────────────────────────────────────────────
+
+// Same limits as server/attachments.js, checked before a file is read so the
+// user hears about a 415/413 at attach time rather than on send.
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+export const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Why an image file can't be attached, or null if it can.
+export const imageFileProblem = (file) => {
+  const name = file.name || 'Pasted image';
+  if (!IMAGE_TYPES.includes(file.type)) return `${name} is not a PNG, JPEG, GIF or WebP image.`;
+  if (file.size > MAX_IMAGE_BYTES) return `${name} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`;
+  return null;
+};
+
+// Uploads one { data (base64), mimeType, name? } image → { id, contentType, size }
+export const uploadAttachment = async ({ data, mimeType, name }) => {
+  const query = name ? `?name=${encodeURIComponent(name)}` : '';
+  const res = await request(`/api/attachments${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': mimeType },
+    body: base64ToBlob(data, mimeType),
+  });
+  return res.json();
+};
+
+// Uploads any images that aren't stored yet and returns their attachment ids.
+export const uploadImages = async (images = []) => {
+  const ids = [];
+  for (const img of images) {
+    ids.push(img.attachmentId || (await uploadAttachment(img)).id);
+  }
+  return ids;
+};
+
+// ── Datasets ─────────────────────────────────────────────────────────────────
+// A loaded CSV/JSON file is stored once as raw text and linked to its session
+// (mongoApi.setSessionDataset) so the chat's tools can be restored later.
+
+// { name, kind: 'csv' | 'json', text } → { id, contentType, size }
+export const uploadDataset = async ({ name, kind, text }) => {
+  const res = await request(`/api/datasets?name=${encodeURIComponent(name)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': kind === 'csv' ? 'text/csv' : 'application/json' },
+    body: text,
+  });
+  return res.json();
+};
+
+export const fetchDatasetText = async (id) => {
+  const res = await request(`/api/datasets/${encodeURIComponent(id)}`);
+  return res.text();
+};
+
+// ── Download ─────────────────────────────────────────────────────────────────
+// <img> can't send the Bearer header, so attachments are fetched with it and
+// shown through object URLs. Attachments are immutable, so each id is fetched
+// once per page load (the browser cache covers reloads).
+
+const urlCache = new Map(); // id → Promise<objectURL>
+
+export const getAttachmentUrl = (id) => {
+  if (!urlCache.has(id)) {
+    const promise = request(`/api/attachments/${encodeURIComponent(id)}`)
+      .then((res) => res.blob())
+      .then((blob) => URL.createObjectURL(blob))
+      .catch((err) => {
+        urlCache.delete(id);
+        throw err;
+      });
+    urlCache.set(id, promise);
+  }
+  return urlCache.get(id);
+};
+
+// Called on logout so another user in the same tab can't reuse cached images.
+export const clearAttachmentCache = () => {
+  urlCache.forEach((promise) => promise.then((url) => URL.revokeObjectURL(url)).catch(() => {}));
+  urlCache.clear();
+};
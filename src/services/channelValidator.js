@@ -0,0 +1,217 @@
+import { normalizeVideo, rawVideoFields } from './videoNormalizer';
+
+// Checks an uploaded channel JSON and converts it to the canonical
+// { channel, videos } shape the tools and prompts use. Understands:
+//   - our YouTube tab download ({ channel, videos })
+//   - raw YouTube Data API responses ({ items: [video resources] })
+//   - yt-dlp info.json: one video, a channel/playlist with nested `entries`,
+//     or `yt-dlp -j` output (one JSON object per line)
+//   - a bare array of any of the above video shapes
+//
+// Videos without an id and repeated video_ids are dropped (errors); missing
+// or unreadable fields are kept as null and reported (warnings).
+
+const COUNT_FIELDS = ['view_count', 'like_count', 'comment_count'];
+const MAX_ISSUES = 200;
+
+export const FORMAT_LABELS = {
+  download: 'YouTube tab download',
+  api: 'YouTube Data API response',
+  'yt-dlp': 'yt-dlp info.json',
+  list: 'Video list',
+};
+
+const isYtDlp = (o) => !!o && typeof o === 'object' && (o._type !== undefined || 'extractor' in o || 'webpage_url' in o);
+
+// yt-dlp channels nest one playlist per tab (Videos, Shorts, Live).
+const flattenEntries = (entries = []) =>
+  entries.flatMap((e) => (e && e._type === 'playlist' ? flattenEntries(e.entries) : e ? [e] : []));
+
+const stripAt = (h) => (h ? String(h).replace(/^@/, '') : null);
+
+const ytDlpChannel = (o) => {
+  const handle = stripAt(o.uploader_id?.startsWith?.('@') ? o.uploader_id : null);
+  return {
+    id: o.channel_id || null,
+    handle,
+    title: o.channel || o.uploader || (o._type === 'playlist' ? o.title : '') || '',
+    url: o.channel_url || o.uploader_url || null,
+    subscriber_count: o.channel_follower_count ?? null,
+  };
+};
+
+// Picks the source format and returns the raw video list plus channel info.
+function unwrap(input) {
+  if (Array.isArray(input)) {
+    const format = input.some(isYtDlp) ? 'yt-dlp' : input.some((v) => v?.snippet || v?.statistics) ? 'api' : 'list';
+    const first = input.find(Boolean) || {};
+    const channel =
+      format === 'yt-dlp'
+        ? ytDlpChannel(first)
+        : { id: first.snippet?.channelId || null, title: first.snippet?.channelTitle || '' };
+    return { format, channel, raw: format === 'yt-dlp' ? flattenEntries(input) : input };
+  }
+  if (!input || typeof input !== 'object') return null;
+  if (Array.isArray(input.videos)) {
+    return { format: 'download', channel: { ...(input.channel || {}) }, raw: input.videos };
+  }
+  if (Array.isArray(input.items)) {
+    const first = input.items.find(Boolean) || {};
+    return {
+      format: 'api',
+      channel: { id: first.snippet?.channelId || null, title: first.snippet?.channelTitle || '' },
+      raw: input.items,
+    };
+  }
+  if (Array.isArray(input.entries)) {
+    return { format: 'yt-dlp', channel: ytDlpChannel(input), raw: flattenEntries(input.entries) };
+  }
+  if (isYtDlp(input) && input.id) {
+    return { format: 'yt-dlp', channel: ytDlpChannel(input), raw: [input] };
+  }
+  return null;
+}
+
+// JSON.parse, falling back to one object per line (yt-dlp -j / NDJSON).
+export function parseChannelText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const lines = String(text).split(/\r?\n/).filter((l) => l.trim());
+    if (lines.length < 2) throw err;
+    try {
+      return lines.map((l) => JSON.parse(l));
+    } catch {
+      throw err;
+    }
+  }
+}
+
+const present = (v) => v !== null && v !== undefined && v !== '';
+
+const groupKey = (level, code, field) => `${level}|${code}|${field}`;
+
+export function validateChannelJson(input) {
+  const issues = [];
+  // Every issue is counted per group, but only the first MAX_ISSUES (plus the
+  // first of each group, so every group and the final 'empty' error show up)
+  // are kept.
+  const issueCounts = {};
+  // `code` groups similar issues: invalid, missing_id, duplicate_id, missing,
+  // unreadable, not_number, negative, empty.
+  const report = (level, code, index, videoId, field, message) => {
+    const key = groupKey(level, code, field);
+    issueCounts[key] = (issueCounts[key] || 0) + 1;
+    if (issues.length < MAX_ISSUES || issueCounts[key] === 1) {
+      issues.push({ level, code, index, video_id: videoId, field, message });
+    }
+  };
+
+  const source = unwrap(input);
+  if (!source) {
+    return {
+      ok: false,
+      format: null,
+      data: null,
+      issues: [
+        {
+          level: 'error',
+          code: 'invalid',
+          index: null,
+          video_id: null,
+          field: null,
+          message:
+            'Not a channel export: expected { channel, videos }, a YouTube API { items } response, a yt-dlp info.json or an array of videos.',
+        },
+      ],
+      issueCounts: { [groupKey('error', 'invalid', null)]: 1 },
+      stats: { total: 0, kept: 0, dropped: 0, errors: 1, warnings: 0 },
+    };
+  }
+
+  const seen = new Set();
+  const videos = [];
+  let dropped = 0;
+  let errors = 0;
+  let warnings = 0;
+  const error = (...args) => {
+    errors += 1;
+    report('error', ...args);
+  };
+  const warn = (...args) => {
+    warnings += 1;
+    report('warning', ...args);
+  };
+
+  source.raw.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      dropped += 1;
+      error('invalid', index, null, null, 'Entry is not an object');
+      return;
+    }
+    const raw = rawVideoFields(item);
+    const video = normalizeVideo(item);
+    const id = video.video_id;
+
+    if (!id) {
+      dropped += 1;
+      error('missing_id', index, null, 'video_id', 'Missing video id');
+      return;
+    }
+    if (seen.has(id)) {
+      dropped += 1;
+      error('duplicate_id', index, id, 'video_id', `Duplicate video_id ${id}; kept the first occurrence`);
+      return;
+    }
+    seen.add(id);
+
+    if (!video.title) warn('missing', index, id, 'title', 'Missing title');
+    if (!present(raw.published_at)) warn('missing', index, id, 'published_at', 'Missing publish date');
+    else if (!video.published_at) warn('unreadable', index, id, 'published_at', `Unreadable date "${raw.published_at}"`);
+    if (present(raw.duration) && video.duration === null) {
+      warn('unreadable', index, id, 'duration', `Unreadable duration "${raw.duration}"`);
+    }
+    COUNT_FIELDS.forEach((field) => {
+      if (!present(raw[field])) return;
+      if (video[field] === null) {
+        warn('not_number', index, id, field, `${field} "${raw[field]}" is not a number`);
+      } else if (video[field] < 0) {
+        warn('negative', index, id, field, `${field} is negative (${video[field]})`);
+        video[field] = null;
+      }
+    });
+    if (!present(raw.view_count)) warn('missing', index, id, 'view_count', 'Missing view_count');
+
+    videos.push(video);
+  });
+
+  if (!videos.length) {
+    errors += 1;
+    report('error', 'empty', null, null, null, source.raw.length ? 'No usable videos after validation' : 'The file contains no videos');
+  }
+
+  return {
+    ok: videos.length > 0,
+    format: source.format,
+    data: videos.length ? { channel: source.channel, videos } : null,
+    issues,
+    issueCounts,
+    stats: { total: source.raw.length, kept: videos.length, dropped, errors, warnings },
+  };
+}
+
+// Issues grouped by code and field, for the report card and prompt:
+// [{ level, field, count, examples: [message, …] }], errors first. Pass the
+// report's issueCounts so groups past the MAX_ISSUES cap are counted in full.
+export function groupIssues(issues, issueCounts = null) {
+  const groups = new Map();
+  issues.forEach((i) => {
+    const key = groupKey(i.level, i.code, i.field);
+    if (!groups.has(key)) groups.set(key, { level: i.level, field: i.field, count: 0, examples: [] });
+    const g = groups.get(key);
+    g.count += 1;
+    if (g.examples.length < 3) g.examples.push(i.video_id ? `${i.video_id}: ${i.message}` : i.message);
+  });
+  if (issueCounts) groups.forEach((g, key) => (g.count = issueCounts[key] ?? g.count));
+  return [...groups.values()].sort((a, b) => (a.level === b.level ? b.count - a.count : a.level === 'error' ? -1 : 1));
+}
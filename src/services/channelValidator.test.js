@@ -0,0 +1,80 @@
+import { validateChannelJson, groupIssues, parseChannelText } from './channelValidator';
+
+const video = (video_id, extra = {}) => ({
+  video_id,
+  title: `Video ${video_id}`,
+  published_at: '2024-01-01T00:00:00Z',
+  view_count: 10,
+  ...extra,
+});
+
+describe('validateChannelJson', () => {
+  test('keeps good videos and reports dropped and blank ones', () => {
+    const report = validateChannelJson({
+      channel: { title: 'Chan' },
+      videos: [video('a'), video('a'), { title: 'no id' }, video('b', { view_count: 'lots', published_at: 'soon' })],
+    });
+    expect(report.ok).toBe(true);
+    expect(report.format).toBe('download');
+    expect(report.data.videos.map((v) => v.video_id)).toEqual(['a', 'b']);
+    expect(report.stats).toEqual({ total: 4, kept: 2, dropped: 2, errors: 2, warnings: 2 });
+    expect(report.issues.map((i) => [i.level, i.code, i.field])).toEqual([
+      ['error', 'duplicate_id', 'video_id'],
+      ['error', 'missing_id', 'video_id'],
+      ['warning', 'unreadable', 'published_at'],
+      ['warning', 'not_number', 'view_count'],
+    ]);
+  });
+
+  test('groups count every issue even past the cap', () => {
+    // 250 entries without ids fill the 200 kept issues before the bad dates.
+    const items = [
+      ...Array.from({ length: 250 }, () => ({ title: 'no id' })),
+      ...Array.from({ length: 5 }, (_, i) => video(`v${i}`, { published_at: 'soon' })),
+    ];
+    const report = validateChannelJson(items);
+    expect(report.stats.errors).toBe(250);
+    expect(report.issues).toHaveLength(201);
+    expect(groupIssues(report.issues, report.issueCounts).map((g) => [g.level, g.field, g.count])).toEqual([
+      ['error', 'video_id', 250],
+      ['warning', 'published_at', 5],
+    ]);
+  });
+
+  test('always reports that no usable videos are left', () => {
+    const report = validateChannelJson(Array.from({ length: 300 }, () => ({ title: 'no id' })));
+    expect(report.ok).toBe(false);
+    expect(report.data).toBeNull();
+    expect(report.issues[report.issues.length - 1]).toMatchObject({ code: 'empty', message: 'No usable videos after validation' });
+    expect(groupIssues(report.issues, report.issueCounts).map((g) => g.count)).toEqual([300, 1]);
+    expect(validateChannelJson({ videos: [] }).issues[0].message).toBe('The file contains no videos');
+  });
+
+  test('unknown shapes are invalid', () => {
+    const report = validateChannelJson({ hello: 'world' });
+    expect(report.ok).toBe(false);
+    expect(groupIssues(report.issues, report.issueCounts)).toMatchObject([{ level: 'error', count: 1 }]);
+  });
+});
+
+describe('groupIssues', () => {
+  test('keeps three examples per group and puts errors first', () => {
+    const issues = ['a', 'b', 'c', 'd'].map((id) => ({
+      level: 'warning',
+      code: 'missing',
+      field: 'title',
+      video_id: id,
+      message: 'Missing title',
+    }));
+    issues.push({ level: 'error', code: 'empty', field: null, video_id: null, message: 'No videos' });
+    expect(groupIssues(issues)).toEqual([
+      { level: 'error', field: null, count: 1, examples: ['No videos'] },
+      { level: 'warning', field: 'title', count: 4, examples: ['a: Missing title', 'b: Missing title', 'c: Missing title'] },
+    ]);
+  });
+});
+
+test('parseChannelText reads one JSON object per line', () => {
+  expect(parseChannelText('{"id":"a"}\n{"id":"b"}\n')).toEqual([{ id: 'a' }, { id: 'b' }]);
+  expect(() => parseChannelText('{oops')).toThrow();
+});
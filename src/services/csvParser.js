@@ -0,0 +1,231 @@
+// ── RFC 4180 CSV parsing ──────────────────────────────────────────────────────
+// Quoted fields may contain delimiters, CR/LF line breaks and "" escaped
+// quotes; records end at LF, CRLF or a lone CR. A leading UTF-8 BOM is
+// dropped. Blank lines are skipped. Unquoted fields are kept verbatim (no
+// trimming), except header names.
+
+// Incremental parser: push(chunk) returns the records completed so far, end()
+// returns the last one. Kept free of outside references (and of syntax Babel
+// would rewrite with helpers) because its source is also run in a Web Worker.
+export function createCsvParser(options) {
+  var delimiter = (options && options.delimiter) || ',';
+  var field = '';
+  var record = [];
+  var records = [];
+  var inQuotes = false;
+  var afterQuote = false; // just closed a quoted section; a second " is an escaped quote
+  var skipLF = false; // previous record ended with CR, so a following LF belongs to it
+  var started = false;
+
+  function endField() {
+    record.push(field);
+    field = '';
+  }
+
+  function endRecord() {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+  }
+
+  function drain() {
+    var out = records;
+    records = [];
+    return out;
+  }
+
+  function push(chunk) {
+    var i = 0;
+    var n = chunk.length;
+    if (!started && n) {
+      started = true;
+      if (chunk.charCodeAt(0) === 0xfeff) i = 1;
+    }
+    while (i < n) {
+      if (inQuotes) {
+        var q = chunk.indexOf('"', i);
+        if (q === -1) {
+          field += chunk.slice(i);
+          break;
+        }
+        field += chunk.slice(i, q);
+        inQuotes = false;
+        afterQuote = true;
+        i = q + 1;
+        continue;
+      }
+      var ch = chunk[i];
+      if (afterQuote) {
+        afterQuote = false;
+        if (ch === '"') {
+          field += '"';
+          inQuotes = true;
+          i++;
+          continue;
+        }
+      }
+      if (skipLF) {
+        skipLF = false;
+        if (ch === '\n') {
+          i++;
+          continue;
+        }
+      }
+      if (ch === delimiter) {
+        endField();
+        i++;
+      } else if (ch === '\n' || ch === '\r') {
+        endRecord();
+        skipLF = ch === '\r';
+        i++;
+      } else if (ch === '"' && field === '') {
+        inQuotes = true;
+        i++;
+      } else {
+        // Run of ordinary characters; a " inside an unquoted field is literal.
+        var j = i + 1;
+        while (j < n) {
+          var c = chunk[j];
+          if (c === delimiter || c === '\n' || c === '\r') break;
+          j++;
+        }
+        field += chunk.slice(i, j);
+        i = j;
+      }
+    }
+    return drain();
+  }
+
+  function end() {
+    if (field !== '' || record.length) endRecord();
+    inQuotes = false;
+    return drain();
+  }
+
+  return { push: push, end: end };
+}
+
+// ── Delimiter sniffing ───────────────────────────────────────────────────────
+
+const DELIMITERS = [',', ';', '\t'];
+const SNIFF_BYTES = 64 * 1024;
+
+// Picks the delimiter that splits the first records of `text` into the same
+// number (> 1) of fields most consistently. Falls back to comma.
+export const sniffDelimiter = (text) => {
+  const sample = text.slice(0, SNIFF_BYTES);
+  let best = { delimiter: ',', score: 0 };
+  DELIMITERS.forEach((delimiter) => {
+    const records = createCsvParser({ delimiter }).push(sample).slice(0, 20);
+    const width = records[0]?.length || 0;
+    if (width < 2) return;
+    const consistent = records.filter((r) => r.length === width).length / records.length;
+    const score = width * consistent;
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+};
+
+// ── Records → row objects ────────────────────────────────────────────────────
+
+export const recordsToRows = (records) => {
+  if (!records.length) return { headers: [], rows: [] };
+  const headers = records[0].map((h, i) => h.trim() || `Column ${i + 1}`);
+  const rows = records.slice(1).map((vals) => {
+    const obj = {};
+    headers.forEach((h, i) => {
+      obj[h] = vals[i] ?? '';
+    });
+    return obj;
+  });
+  return { headers, rows };
+};
+
+// Synchronous parse: { headers, rows, delimiter }.
+export const parseCsv = (text, { delimiter = sniffDelimiter(text) } = {}) => {
+  const parser = createCsvParser({ delimiter });
+  const records = parser.push(text).concat(parser.end());
+  return { ...recordsToRows(records), delimiter };
+};
+
+// Quotes a value when it contains the delimiter, a quote or a line break.
+export const toCsvField = (value, delimiter = ',') => {
+  const s = String(value ?? '');
+  return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// ── Worker parsing for large files ───────────────────────────────────────────
+// Files above WORKER_THRESHOLD are parsed off the main thread in CHUNK_SIZE
+// pieces, reporting progress. The worker is built from a Blob so it needs no
+// separate bundle entry; where Worker is unavailable (tests, old browsers) the
+// synchronous parser is used instead.
+
+const WORKER_THRESHOLD = 1024 * 1024;
+const CHUNK_SIZE = 512 * 1024;
+
+/* eslint-disable no-restricted-globals -- runs as the worker's global scope */
+function workerMain(createParser) {
+  self.onmessage = function (e) {
+    var text = e.data.text;
+    var chunkSize = e.data.chunkSize;
+    var parser = createParser({ delimiter: e.data.delimiter });
+    var records = [];
+    // Appended in place: concat per chunk would copy every earlier record again.
+    function collect(done) {
+      for (var j = 0; j < done.length; j++) records.push(done[j]);
+    }
+    for (var i = 0; i < text.length; i += chunkSize) {
+      collect(parser.push(text.slice(i, i + chunkSize)));
+      self.postMessage({ type: 'progress', done: Math.min(text.length, i + chunkSize), total: text.length });
+    }
+    collect(parser.end());
+    self.postMessage({ type: 'done', records: records });
+  };
+}
+/* eslint-enable no-restricted-globals */
+
+let workerUrl = null;
+const getWorkerUrl = () => {
+  if (!workerUrl) {
+    const source = `(${workerMain.toString()})(${createCsvParser.toString()});`;
+    workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  }
+  return workerUrl;
+};
+
+// Resolves to { headers, rows, delimiter }. onProgress receives { done, total }
+// in characters; aborting `signal` terminates the worker and rejects.
+export const parseCsvAsync = (text, { delimiter = sniffDelimiter(text), onProgress, signal } = {}) => {
+  if (text.length < WORKER_THRESHOLD || typeof Worker === 'undefined') {
+    return Promise.resolve(parseCsv(text, { delimiter }));
+  }
+  return new Promise((resolve, reject) => {
+    let worker;
+    try {
+      worker = new Worker(getWorkerUrl());
+    } catch {
+      resolve(parseCsv(text, { delimiter })); // e.g. CSP forbids blob: workers
+      return;
+    }
+    const stop = () => {
+      worker.terminate();
+      reject(new DOMException('CSV parsing cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', stop, { once: true });
+    worker.onmessage = (e) => {
+      if (e.data.type === 'progress') {
+        onProgress?.({ done: e.data.done, total: e.data.total });
+        return;
+      }
+      signal?.removeEventListener('abort', stop);
+      worker.terminate();
+      resolve({ ...recordsToRows(e.data.records), delimiter });
+    };
+    worker.onerror = (e) => {
+      signal?.removeEventListener('abort', stop);
+      worker.terminate();
+      reject(new Error(e.message || 'CSV parsing failed'));
+    };
+    worker.postMessage({ text, delimiter, chunkSize: CHUNK_SIZE });
+  });
+};
@@ -0,0 +1,78 @@
+import { createCsvParser, sniffDelimiter, parseCsv, parseCsvAsync, toCsvField } from './csvParser';
+
+// Feeds `text` to one parser in pieces of `size` characters.
+const parseInChunks = (text, size, delimiter = ',') => {
+  const parser = createCsvParser({ delimiter });
+  const records = [];
+  for (let i = 0; i < text.length; i += size) records.push(...parser.push(text.slice(i, i + size)));
+  return records.concat(parser.end());
+};
+
+test('quoted fields keep embedded newlines, delimiters and doubled quotes', () => {
+  const text = 'Tweet,Likes\r\n"Line one\r\nline ""two"", still quoted",12\r\n"a,b",3\r\n';
+  const { headers, rows } = parseCsv(text);
+  expect(headers).toEqual(['Tweet', 'Likes']);
+  expect(rows).toEqual([
+    { Tweet: 'Line one\r\nline "two", still quoted', Likes: '12' },
+    { Tweet: 'a,b', Likes: '3' },
+  ]);
+});
+
+test('CRLF, LF and lone CR all end records; blank lines are skipped', () => {
+  const { rows } = parseCsv('a,b\r\n1,2\n\n3,4\r5,6\r\n');
+  expect(rows).toEqual([
+    { a: '1', b: '2' },
+    { a: '3', b: '4' },
+    { a: '5', b: '6' },
+  ]);
+});
+
+test('a missing final newline, empty fields and a BOM are handled', () => {
+  const { headers, rows } = parseCsv('\uFEFFname, count \nx,\n,"" ');
+  expect(headers).toEqual(['name', 'count']);
+  expect(rows).toEqual([
+    { name: 'x', count: '' },
+    { name: '', count: ' ' },
+  ]);
+});
+
+test('a quote inside an unquoted field is literal', () => {
+  expect(parseCsv('h,w\n5" screen,ok\n').rows).toEqual([{ h: '5" screen', w: 'ok' }]);
+});
+
+test('chunk boundaries anywhere give the same records', () => {
+  const text = 'id,text\r\n1,"say ""hi""\r\nthen leave"\r\n2,plain\r\n3,"x,y"';
+  const whole = parseInChunks(text, text.length);
+  expect(whole).toEqual([
+    ['id', 'text'],
+    ['1', 'say "hi"\r\nthen leave'],
+    ['2', 'plain'],
+    ['3', 'x,y'],
+  ]);
+  for (let size = 1; size < 12; size++) expect(parseInChunks(text, size)).toEqual(whole);
+});
+
+test('sniffs semicolon and tab delimiters', () => {
+  expect(sniffDelimiter('a;b;c\n1;2;3\n4;5;6')).toBe(';');
+  expect(sniffDelimiter('a\tb\n1\t2')).toBe('\t');
+  expect(sniffDelimiter('just one column\nvalue')).toBe(',');
+  expect(parseCsv('a;b\n"1;5";2').rows).toEqual([{ a: '1;5', b: '2' }]);
+});
+
+test('blank headers get placeholder names and short rows are padded', () => {
+  const { headers, rows } = parseCsv('a,,c\n1\n');
+  expect(headers).toEqual(['a', 'Column 2', 'c']);
+  expect(rows).toEqual([{ a: '1', 'Column 2': '', c: '' }]);
+});
+
+test('toCsvField round-trips through the parser', () => {
+  const values = ['plain', 'with, comma', 'with "quotes"', 'multi\r\nline', ''];
+  expect(toCsvField('plain')).toBe('plain');
+  expect(toCsvField('say "hi"')).toBe('"say ""hi"""');
+  const line = values.map((v) => toCsvField(v)).join(',');
+  expect(createCsvParser().push(`${line}\n`)).toEqual([values]);
+});
+
+test('parseCsvAsync falls back to the synchronous parser without workers', async () => {
+  await expect(parseCsvAsync('a,b\n1,2')).resolves.toEqual({ headers: ['a', 'b'], rows: [{ a: '1', b: '2' }], delimiter: ',' });
+});
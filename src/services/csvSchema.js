@@ -0,0 +1,173 @@
+// ── Column type inference for CSV datasets ───────────────────────────────────
+// One pass over the parsed string rows decides a type per column; the rows are
+// then converted once so tools never re-parse cells.
+//
+//   integer / float  → number      boolean  → true | false
+//   datetime         → ISO string (UTC, so string order is time order)
+//   id / categorical / text → string
+//
+// Missing cells ('', NA, N/A, null, NaN, None) become null in every type.
+//
+// Schema: { rowCount, columns: [{ name, type, missing, unique, ...stats }] }
+// where stats are min/max/mean for numbers, min/max for datetimes, top values
+// for booleans and categoricals.
+
+export const NUMERIC_TYPES = ['integer', 'float'];
+
+const MISSING = /^(na|n\/a|nan|null|none|-)?$/i;
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const GROUPED_NUMBER = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/; // 1,234,567.5
+const BOOLEANS = { true: true, false: false, yes: true, no: false, t: true, f: false };
+
+// Shapes accepted as datetimes before Date.parse gets a say, so plain numbers
+// and words like "May" are never read as dates.
+const DATE_SHAPES = [
+  /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/, // ISO 8601
+  /^[A-Z][a-z]{2} [A-Z][a-z]{2} \d{1,2} \d{2}:\d{2}:\d{2} [+-]\d{4} \d{4}$/, // Twitter created_at
+  /^\d{1,2}\/\d{1,2}\/\d{2,4}( \d{1,2}:\d{2}(:\d{2})?( ?[AP]M)?)?$/i, // 10/3/2024 14:00
+  /^[A-Z][a-z]{2,8}\.? \d{1,2},? \d{4}( \d{1,2}:\d{2}(:\d{2})?( ?[AP]M)?)?$/i, // Oct 10, 2018
+  /^\d{1,2} [A-Z][a-z]{2,8}\.? \d{4}$/i, // 10 Oct 2018
+];
+
+// Share of non-missing cells that must parse for a typed column.
+const TYPE_THRESHOLD = 0.95;
+// Integers wider than this lose precision as numbers (tweet IDs are 19 digits).
+const MAX_SAFE_DIGITS = 15;
+const ID_NAME = /(^|[\s_-])id$|^id([\s_-]|$)|_id$/i;
+
+const isMissing = (v) => v === null || v === undefined || (typeof v === 'string' && MISSING.test(v.trim()));
+
+const toNumber = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = String(v).trim();
+  if (NUMBER.test(s)) return Number(s);
+  if (GROUPED_NUMBER.test(s)) return Number(s.replace(/,/g, ''));
+  return null;
+};
+
+const toBoolean = (v) => {
+  if (typeof v === 'boolean') return v;
+  const b = BOOLEANS[String(v).trim().toLowerCase()];
+  return b === undefined ? null : b;
+};
+
+// ISO date-times without an offset ("2026-02-18 14:34:17", as tweet exports
+// write them) are read as UTC so results don't depend on the viewer's zone.
+const ISO_LOCAL = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(:\d{2}(\.\d+)?)?)$/;
+
+const toDatetime = (v) => {
+  const s = String(v).trim();
+  if (!DATE_SHAPES.some((re) => re.test(s))) return null;
+  const t = Date.parse(s.replace(ISO_LOCAL, '$1T$2Z'));
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+};
+
+const PARSERS = {
+  integer: toNumber,
+  float: toNumber,
+  boolean: toBoolean,
+  datetime: toDatetime,
+};
+
+// Converts one cell to the column's type; null when missing or unreadable.
+export const parseCell = (type, value) => {
+  if (isMissing(value)) return null;
+  const parse = PARSERS[type];
+  return parse ? parse(value) : String(value);
+};
+
+const share = (values, parse) => values.filter((v) => parse(v) !== null).length / values.length;
+
+const topValues = (values, n = 5) => {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([value, count]) => ({ value, count }));
+};
+
+const inferType = (name, values, rowCount) => {
+  if (!values.length) return 'text';
+  const strings = values.map((v) => String(v).trim());
+  const unique = new Set(strings).size;
+
+  if (share(values, toNumber) >= TYPE_THRESHOLD) {
+    const nums = values.map(toNumber).filter((n) => n !== null);
+    const integral = nums.every(Number.isInteger);
+    const wide = strings.some((s) => s.replace(/^[-+]/, '').length > MAX_SAFE_DIGITS);
+    if (integral && (wide || (ID_NAME.test(name) && unique === values.length))) return 'id';
+    return integral ? 'integer' : 'float';
+  }
+  if (share(values, toBoolean) >= TYPE_THRESHOLD) return 'boolean';
+  if (share(values, toDatetime) >= TYPE_THRESHOLD) return 'datetime';
+  if (ID_NAME.test(name) && unique === values.length) return 'id';
+
+  const avgLength = strings.reduce((a, s) => a + s.length, 0) / strings.length;
+  // Short values that repeat: a handful of distinct values relative to the rows.
+  const categorical =
+    unique <= Math.max(20, rowCount * 0.05) && unique <= values.length / 2 && avgLength <= 60;
+  return categorical ? 'categorical' : 'text';
+};
+
+const describeColumn = (name, type, typed, rowCount) => {
+  const present = typed.filter((v) => v !== null);
+  const col = { name, type, missing: rowCount - present.length, unique: new Set(present).size };
+  if (NUMERIC_TYPES.includes(type) && present.length) {
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    present.forEach((v) => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+      sum += v;
+    });
+    Object.assign(col, { min, max, mean: sum / present.length });
+  } else if (type === 'datetime' && present.length) {
+    const sorted = [...present].sort();
+    Object.assign(col, { min: sorted[0], max: sorted[sorted.length - 1] });
+  } else if (type === 'boolean' || type === 'categorical') {
+    col.top = topValues(present);
+  }
+  return col;
+};
+
+// Infers the schema and converts rows in one go: { rows, schema }.
+// Cells that are already typed (e.g. computed columns) are accepted as is.
+export const typeDataset = (rows, headers) => {
+  const typedRows = rows.map(() => ({}));
+  const columns = headers.map((name) => {
+    const raw = rows.map((r) => r[name]);
+    const type = inferType(name, raw.filter((v) => !isMissing(v)), rows.length);
+    const typed = raw.map((v) => parseCell(type, v));
+    typed.forEach((v, i) => {
+      typedRows[i][name] = v;
+    });
+    return describeColumn(name, type, typed, rows.length);
+  });
+  return { rows: typedRows, schema: { rowCount: rows.length, columns } };
+};
+
+// Adds a computed column (values already typed) to the schema.
+export const addColumn = (schema, rows, name, type) => ({
+  ...schema,
+  columns: [
+    ...schema.columns.filter((c) => c.name !== name),
+    describeColumn(name, type, rows.map((r) => r[name] ?? null), rows.length),
+  ],
+});
+
+export const columnNames = (schema) => schema.columns.map((c) => c.name);
+
+export const columnsOfType = (schema, ...types) => schema.columns.filter((c) => types.includes(c.type));
+
+// Case-, space-, underscore- and dash-insensitive lookup. Gemini often passes
+// "favorite_count" for "Favorite Count". Returns the column or null.
+export const findColumn = (schema, name) => {
+  if (!schema || !name) return null;
+  const exact = schema.columns.find((c) => c.name === name);
+  if (exact) return exact;
+  const norm = (s) => String(s).toLowerCase().replace(/[\s_-]+/g, '');
+  const target = norm(name);
+  return schema.columns.find((c) => norm(c.name) === target) || null;
+};
@@ -1,3 +1,21 @@
+import { parseCsv, toCsvField } from './csvParser';
+import { typeDataset, parseCell, addColumn, columnNames, columnsOfType, findColumn, NUMERIC_TYPES } from './csvSchema';
+import {
+  welchTTest,
+  mannWhitneyU,
+  quantile,
+  histogram,
+  boxStats,
+  pearson,
+  spearman,
+  correlationP,
+  linearRegression,
+  logisticRegression,
+} from './stats';
+import { postingScheduleGrid, postingScheduleResult } from './postingSchedule';
+import { analyzeTextFeatures, textFeaturesResult } from './textFeatures';
+import { findOutliers, outliersResult } from './outliers';
+
 // ── Tool declarations (sent to Gemini so it knows what functions exist) ───────
 
 // IMPORTANT NOTE embedded in every description:
@@ -5,6 +23,20 @@
 // Always copy column names character-for-character from that list.
 // Never guess, abbreviate, or change capitalisation.
 
+// Filter operators and aggregation functions understood by the aggregate tool.
+const FILTER_OPS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'not_contains', 'between'];
+const AGG_FUNCS = ['count', 'sum', 'mean', 'median', 'min', 'max', 'percentile'];
+
+// How a datetime group-by column is bucketed: ISO string → group label.
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DATE_BUCKETS = {
+  day: (iso) => iso.slice(0, 10),
+  month: (iso) => iso.slice(0, 7),
+  year: (iso) => iso.slice(0, 4),
+  weekday: (iso) => WEEKDAYS[new Date(iso).getUTCDay()],
+  hour: (iso) => `${iso.slice(11, 13)}:00`,
+};
+
 const COL_NOTE = 'Use the exact column name as it appears in the [CSV columns: ...] header at the top of the message — copy it character-for-character, preserving spaces and capitalisation.';
 
 export const CSV_TOOL_DECLARATIONS = [
@@ -63,65 +95,290 @@ export const CSV_TOOL_DECLARATIONS = [
       required: ['sort_column'],
     },
   },
+  {
+    name: 'aggregate',
+    description:
+      'Filter rows, group them by one or more columns and aggregate metrics per group (count, sum, mean, median, min, max, percentile). ' +
+      'Returns a table with one row per group, optionally as a bar chart. Use for questions like ' +
+      '"mean engagement by language for tweets with over 1k views" or "how many replies per type in March". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        filters: {
+          type: 'ARRAY',
+          description: 'Conditions every row must meet (all of them). Omit to use all rows.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              column: { type: 'STRING', description: 'Exact column name copied from [CSV columns: ...].' },
+              op: {
+                type: 'STRING',
+                enum: FILTER_OPS,
+                description:
+                  'eq/ne/gt/gte/lt/lte compare numbers, dates or text; contains/not_contains match text case-insensitively; ' +
+                  'between keeps values from `value` to `to` inclusive (numbers or dates, e.g. "2024-01-01" to "2024-03-31").',
+              },
+              value: { type: 'STRING', description: 'Value to compare with, e.g. "1000", "1k", "en", "2024-01-01".' },
+              to: { type: 'STRING', description: 'Upper bound for between.' },
+            },
+            required: ['column', 'op', 'value'],
+          },
+        },
+        group_by: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Columns to group by. Date columns are grouped by `date_bucket`. Omit for one overall group.',
+        },
+        date_bucket: {
+          type: 'STRING',
+          enum: Object.keys(DATE_BUCKETS),
+          description: 'How date columns in group_by are grouped (default month).',
+        },
+        aggregations: {
+          type: 'ARRAY',
+          description: 'Metrics per group. Default: count.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              func: { type: 'STRING', enum: AGG_FUNCS },
+              column: { type: 'STRING', description: 'Numeric column to aggregate (not needed for count).' },
+              percentile: { type: 'NUMBER', description: 'For func=percentile: 0–100, e.g. 90.' },
+            },
+            required: ['func'],
+          },
+        },
+        sort_by: {
+          type: 'STRING',
+          description: 'Result column to sort groups by, e.g. "mean engagement" or "count". Default: the first aggregation.',
+        },
+        ascending: { type: 'BOOLEAN', description: 'Sort lowest first. Default false.' },
+        limit: { type: 'NUMBER', description: 'Maximum number of groups to return (default 20).' },
+        chart: {
+          type: 'BOOLEAN',
+          description: 'true = also show a bar chart of the first aggregation per group.',
+        },
+      },
+    },
+  },
+  {
+    name: 'compare_keyword_engagement',
+    description:
+      'For each keyword or regex, compare a metric between rows whose text contains it and rows that do not: ' +
+      'mean and count per side plus a significance test (Welch t-test or Mann-Whitney U). Shows a with/without bar chart. ' +
+      'Use for "do tweets mentioning X get more engagement?" or "which of these words boost likes?". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        keywords: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Words or phrases (matched case-insensitively), or regexes written as /pattern/flags, e.g. ["giveaway", "/\\bnew (video|vid)\\b/i"].',
+        },
+        metric_column: {
+          type: 'STRING',
+          description: 'Numeric column to compare. Default "engagement" when present, otherwise the favorite/like count.',
+        },
+        text_column: {
+          type: 'STRING',
+          description: 'Column to search. Default: the tweet text column.',
+        },
+        test: {
+          type: 'STRING',
+          enum: ['welch', 'mann_whitney'],
+          description: 'welch = Welch t-test on means (default); mann_whitney = rank test, better for very skewed metrics.',
+        },
+      },
+      required: ['keywords'],
+    },
+  },
+  {
+    name: 'histogram',
+    description:
+      'Bin a numeric column into equal-width buckets and show the distribution as a histogram, with mean, median and std. ' +
+      'Use for "distribution of views" or "histogram of engagement". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        column: { type: 'STRING', description: 'Numeric column copied from [CSV columns: ...].' },
+        bins: { type: 'NUMBER', description: 'Number of bins (5–50). Default: chosen from the data.' },
+        log_scale: { type: 'BOOLEAN', description: 'Bin log10(1 + value) instead, for heavily skewed counts like views.' },
+      },
+      required: ['column'],
+    },
+  },
+  {
+    name: 'scatter_plot',
+    description:
+      'Scatter one numeric column against another with an ordinary least squares trend line; returns slope, intercept, R², ' +
+      'Pearson r and its p-value. Use for "views vs likes", "does reply count track retweets?" or "trend line". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        x_column: { type: 'STRING', description: 'Numeric column for the x axis.' },
+        y_column: { type: 'STRING', description: 'Numeric column for the y axis.' },
+        log_x: { type: 'BOOLEAN', description: 'Use log10(1 + x).' },
+        log_y: { type: 'BOOLEAN', description: 'Use log10(1 + y).' },
+      },
+      required: ['x_column', 'y_column'],
+    },
+  },
+  {
+    name: 'correlation_matrix',
+    description:
+      'Correlation between every pair of numeric columns (Pearson or Spearman), shown as a colored matrix, ' +
+      'plus the strongest pairs with p-values. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        columns: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Numeric columns to include. Default: all numeric columns.',
+        },
+        method: {
+          type: 'STRING',
+          enum: ['pearson', 'spearman'],
+          description: 'pearson (default) or spearman (rank-based, robust to outliers).',
+        },
+      },
+    },
+  },
+  {
+    name: 'box_plot',
+    description:
+      'Box plot quartiles (min, Q1, median, Q3, max, 1.5×IQR whiskers, outlier count) of a numeric column, ' +
+      'overall or per group of a categorical column. Use for "box plot of views by type". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        column: { type: 'STRING', description: 'Numeric column copied from [CSV columns: ...].' },
+        group_by: { type: 'STRING', description: 'Optional categorical column; one box per value (largest 12 groups).' },
+        log_scale: { type: 'BOOLEAN', description: 'Use log10(1 + value).' },
+      },
+      required: ['column'],
+    },
+  },
+  {
+    name: 'regression',
+    description:
+      'Fit a linear regression (numeric target) or logistic regression (yes/no target) on one or more predictors. ' +
+      'Returns coefficients with standard errors and p-values, plus R² (linear) or pseudo-R² and accuracy (logistic), ' +
+      'and charts the coefficients. Categorical predictors are one-hot encoded against their most common value. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        target: { type: 'STRING', description: 'Column to predict.' },
+        predictors: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Predictor columns (numeric, boolean or categorical).',
+        },
+        kind: {
+          type: 'STRING',
+          enum: ['linear', 'logistic'],
+          description: 'linear (default) or logistic.',
+        },
+        positive_value: {
+          type: 'STRING',
+          description: 'Logistic only: the target value counted as 1 when the target is categorical, e.g. "Reply".',
+        },
+      },
+      required: ['target', 'predictors'],
+    },
+  },
+  {
+    name: 'posting_schedule',
+    description:
+      'Find the best day of week and hour to post: buckets tweets by the weekday and hour they were created (in a chosen time zone) ' +
+      'and shows the median metric per slot as a heatmap, plus the best days, hours and slots. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric_column: {
+          type: 'STRING',
+          description: 'Numeric column to compare. Default "engagement" when present, otherwise the favorite/like count.',
+        },
+        date_column: {
+          type: 'STRING',
+          description: 'Date/time column of the post. Default: the created-at column.',
+        },
+        timezone: {
+          type: 'STRING',
+          description: 'IANA time zone such as "America/New_York" or "UTC". Default: the viewer\'s local zone.',
+        },
+      },
+    },
+  },
+  {
+    name: 'analyze_text_features',
+    description:
+      'Find what in the tweet text goes with higher or lower engagement: correlates text features (length, question marks, numbers, ' +
+      'ALL-CAPS words, emojis, first-person pronouns, hashtags, mentions, links) with the metric, and ranks the words and phrases ' +
+      'whose tweets do best and worst (Mann–Whitney test). Shown as sortable tables. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric_column: {
+          type: 'STRING',
+          description: 'Numeric column to explain. Default "engagement" when present, otherwise the favorite/like count.',
+        },
+        text_column: { type: 'STRING', description: 'Text column to analyze. Default: the tweet text column.' },
+        max_words: { type: 'NUMBER', description: 'Longest phrase length in words, 1–3. Default 2.' },
+        min_tweets: {
+          type: 'NUMBER',
+          description: 'Only rank words/phrases used in at least this many tweets. Default: 2% of tweets, at least 3.',
+        },
+      },
+    },
+  },
+  {
+    name: 'find_outliers',
+    description:
+      'Find breakout and flop tweets: compares each tweet with the median of the tweets posted around it (a rolling baseline) ' +
+      'and with a robust z-score of the log metric over all tweets, and shows the flagged tweets as clickable cards. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric_column: { type: 'STRING', description: 'Numeric column to score. Default: the view count column.' },
+        window: { type: 'NUMBER', description: 'How many surrounding tweets form the baseline. Default 10.' },
+        min_ratio: {
+          type: 'NUMBER',
+          description: 'Breakout at this many times the baseline, flop at 1 / this. Default 2.5.',
+        },
+        limit: { type: 'NUMBER', description: 'Cards per list (breakouts, flops). Default 5.' },
+      },
+    },
+  },
 ];
 
-// ── Parse a CSV line, respecting quoted fields ────────────────────────────────
-
-const parseLine = (line) => {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-    } else if (ch === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += ch;
-    }
-  }
-  result.push(current.trim());
-  return result;
-};
-
 // ── Parse a full CSV text into an array of row objects ────────────────────────
+// Thin wrapper over the RFC 4180 parser in csvParser.js (quoted newlines,
+// escaped quotes, CRLF, BOM, sniffed delimiter).
 
 export const parseCsvToRows = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (lines.length < 2) return { headers: [], rows: [] };
-  const headers = parseLine(lines[0]).map((h) => h.replace(/^"|"$/g, ''));
-  const rows = lines.slice(1).map((line) => {
-    const vals = parseLine(line);
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = (vals[i] || '').replace(/^"|"$/g, '');
-    });
-    return obj;
-  });
+  const { headers, rows } = parseCsv(text);
   return { headers, rows };
 };
 
+// ── Typed dataset ─────────────────────────────────────────────────────────────
+// Parsed string rows → typed rows + schema (see csvSchema.js), with the
+// computed engagement column added. Every tool works on this.
+
+export const prepareCsvDataset = ({ rows, headers }) => {
+  const typed = typeDataset(rows, headers);
+  return enrichWithEngagement(typed.rows, typed.schema);
+};
+
 // ── Column lookup (case-insensitive + whitespace-tolerant) ───────────────────
 // Gemini often passes column names in a slightly different case than the CSV header.
-// This finds the actual header key so the lookup always works.
-
-const resolveCol = (rows, name) => {
-  if (!rows.length || !name) return name;
-  const keys = Object.keys(rows[0]);
-  // 1. exact match
-  if (keys.includes(name)) return name;
-  const norm = (s) => s.toLowerCase().replace(/[\s_-]+/g, '');
-  const target = norm(name);
-  // 2. normalised match
-  return keys.find((k) => norm(k) === target) || name;
-};
+// This finds the actual header key through the schema so the lookup always works.
+
+const resolveCol = (schema, name) => findColumn(schema, name)?.name || name;
 
 // ── Math helpers ──────────────────────────────────────────────────────────────
 
 const numericValues = (rows, col) =>
-  rows.map((r) => parseFloat(r[col])).filter((v) => !isNaN(v));
+  rows.map((r) => r[col]).filter((v) => typeof v === 'number');
 
 const median = (sorted) =>
   sorted.length % 2 === 0
@@ -129,6 +386,11 @@ const median = (sorted) =>
     : sorted[Math.floor(sorted.length / 2)];
 
 const fmt = (n) => +n.toFixed(4);
+// Significant digits, for coefficients that can be tiny (views → likes slope).
+const sig = (n) => +n.toPrecision(4);
+
+const describeNumericColumns = (schema) =>
+  columnsOfType(schema, ...NUMERIC_TYPES).map((c) => c.name).join(', ') || '(none)';
 
 // ── Build a slim CSV with only the key analytical columns ────────────────────
 // Extracts text, language, type, engagement metrics, and the computed engagement
@@ -155,109 +417,765 @@ export const buildSlimCsv = (rows, headers) => {
   const slimHeaders = headers.filter((h) => SLIM_PATTERNS.some((re) => re.test(h)));
   if (!slimHeaders.length) return '';
 
-  const escapeCell = (v) => {
-    const s = String(v ?? '');
-    return s.includes(',') || s.includes('"') || s.includes('\n')
-      ? `"${s.replace(/"/g, '""')}"`
-      : s;
-  };
-
   const lines = [
     slimHeaders.join(','),
-    ...rows.map((r) => slimHeaders.map((h) => escapeCell(r[h])).join(',')),
+    ...rows.map((r) => slimHeaders.map((h) => toCsvField(r[h])).join(',')),
   ];
   return lines.join('\n');
 };
 
 // ── Enrich rows with computed engagement column ───────────────────────────────
-// Adds engagement = Favorite Count / View Count to every row.
-// Returns { rows: enrichedRows, headers: updatedHeaders }.
+// Adds engagement = Favorite Count / View Count to every typed row.
+// Returns { rows: enrichedRows, headers: updatedHeaders, schema: updatedSchema }.
 // Safe to call even if the columns aren't present (skips gracefully).
 
-export const enrichWithEngagement = (rows, headers) => {
-  if (!rows.length) return { rows, headers };
+export const enrichWithEngagement = (rows, schema) => {
+  const headers = columnNames(schema);
+  if (!rows.length) return { rows, headers, schema };
 
-  // Auto-detect favorite and view columns
+  // Auto-detect favorite and view columns among the numeric ones
+  const numeric = columnsOfType(schema, ...NUMERIC_TYPES).map((c) => c.name);
   const favCol =
-    headers.find((h) => /favorite.?count/i.test(h)) ||
-    headers.find((h) => /^likes?$/i.test(h));
+    numeric.find((h) => /favorite.?count/i.test(h)) ||
+    numeric.find((h) => /^likes?$/i.test(h));
   const viewCol =
-    headers.find((h) => /view.?count/i.test(h)) ||
-    headers.find((h) => /^views?$/i.test(h));
+    numeric.find((h) => /view.?count/i.test(h)) ||
+    numeric.find((h) => /^views?$/i.test(h));
 
-  if (!favCol || !viewCol) return { rows, headers };
-  if (headers.includes('engagement')) return { rows, headers }; // already added
+  if (!favCol || !viewCol) return { rows, headers, schema };
+  if (headers.includes('engagement')) return { rows, headers, schema }; // already added
 
   const enriched = rows.map((r) => {
-    const fav  = parseFloat(r[favCol]);
-    const view = parseFloat(r[viewCol]);
-    const eng  = !isNaN(fav) && !isNaN(view) && view > 0
+    const fav  = r[favCol];
+    const view = r[viewCol];
+    const eng  = fav !== null && view !== null && view > 0
       ? +(fav / view).toFixed(6)
       : null;
     return { ...r, engagement: eng };
   });
 
-  return { rows: enriched, headers: [...headers, 'engagement'] };
+  const enrichedSchema = addColumn(schema, enriched, 'engagement', 'float');
+  return { rows: enriched, headers: columnNames(enrichedSchema), schema: enrichedSchema };
 };
 
 // ── Dataset summary (auto-computed when CSV is loaded) ───────────────────────
 // Returns a compact markdown string describing every column so Gemini always
-// has exact column names, types, and value distributions in its context.
+// has exact column names, inferred types, and value distributions in its context.
 
-export const computeDatasetSummary = (rows, headers) => {
-  if (!rows.length || !headers.length) return '';
+const SUMMARY_SECTIONS = [
+  { title: 'Numeric columns', types: NUMERIC_TYPES },
+  { title: 'Date/time columns', types: ['datetime'] },
+  { title: 'Categorical columns', types: ['categorical', 'boolean'] },
+  { title: 'Text columns', types: ['text'] },
+  { title: 'ID columns', types: ['id'] },
+];
 
-  const lines = [`**Dataset: ${rows.length} rows × ${headers.length} columns**\n`];
-  const numericCols = [];
-  const categoricalCols = [];
-
-  headers.forEach((h) => {
-    const vals = rows.map((r) => r[h]).filter((v) => v !== '' && v !== undefined && v !== null);
-    const numVals = vals.map((v) => parseFloat(v)).filter((v) => !isNaN(v));
-    const numericRatio = numVals.length / (vals.length || 1);
-
-    if (numericRatio >= 0.8 && numVals.length > 0) {
-      const mean = numVals.reduce((a, b) => a + b, 0) / numVals.length;
-      numericCols.push({
-        name: h,
-        count: numVals.length,
-        mean: +mean.toFixed(2),
-        min: Math.min(...numVals),
-        max: Math.max(...numVals),
-      });
-    } else {
-      const counts = {};
-      vals.forEach((v) => { counts[v] = (counts[v] || 0) + 1; });
-      const top = Object.entries(counts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([v, n]) => `${v} (${n})`)
-        .join(', ');
-      categoricalCols.push({ name: h, unique: Object.keys(counts).length, top });
+const describeForSummary = (c) => {
+  const missing = c.missing ? `, ${c.missing} missing` : '';
+  switch (c.type) {
+    case 'integer':
+    case 'float':
+      return c.mean === undefined
+        ? `${c.type}, all missing`
+        : `${c.type}: mean=${Math.abs(c.mean) >= 100 ? +c.mean.toFixed(2) : +c.mean.toPrecision(4)}, min=${c.min}, max=${c.max}${missing}`;
+    case 'datetime':
+      return `datetime: ${c.min ?? '?'} → ${c.max ?? '?'}${missing}`;
+    case 'boolean':
+    case 'categorical': {
+      const top = (c.top || []).map((t) => `${t.value} (${t.count})`).join(', ');
+      return `${c.type}, ${c.unique} unique values — top: ${top}${missing}`;
     }
+    default:
+      return `${c.type}, ${c.unique} unique values${missing}`;
+  }
+};
+
+export const computeDatasetSummary = (schema) => {
+  if (!schema?.rowCount || !schema.columns.length) return '';
+
+  const lines = [`**Dataset: ${schema.rowCount} rows × ${schema.columns.length} columns**\n`];
+  SUMMARY_SECTIONS.forEach(({ title, types }) => {
+    const cols = columnsOfType(schema, ...types);
+    if (!cols.length) return;
+    if (lines.length > 1) lines.push('');
+    lines.push(`**${title}** (exact names — use these verbatim in tool calls):`);
+    cols.forEach((c) => lines.push(`  • "${c.name}": ${describeForSummary(c)}`));
+  });
+
+  return lines.join('\n');
+};
+
+// ── Group-by aggregation ──────────────────────────────────────────────────────
+// Backs the aggregate tool: filter → group → aggregate → sort. Filter values
+// arrive as strings and are typed with the column's own parser, so "1,000",
+// "1k" and "2024-03-01" compare against typed cells directly.
+
+const parseFilterValue = (type, value) => {
+  if (NUMERIC_TYPES.includes(type)) {
+    const short = String(value).trim().match(/^([-+]?[\d.]+)\s*([kmb])$/i);
+    if (short) return Number(short[1]) * { k: 1e3, m: 1e6, b: 1e9 }[short[2].toLowerCase()];
+  }
+  return parseCell(type, value);
+};
+
+const COMPARE = {
+  eq: (v, x) => v === x,
+  ne: (v, x) => v !== x,
+  gt: (v, x) => v > x,
+  gte: (v, x) => v >= x,
+  lt: (v, x) => v < x,
+  lte: (v, x) => v <= x,
+};
+
+// Returns a row predicate, or { error } when the filter can't be applied.
+const buildFilter = (schema, { column, op, value, to }) => {
+  const col = findColumn(schema, column);
+  if (!col) return { error: `Unknown filter column "${column}". Available: ${columnNames(schema).join(', ')}` };
+  const key = col.name;
+
+  if (op === 'contains' || op === 'not_contains') {
+    const needle = String(value ?? '').toLowerCase();
+    const want = op === 'contains';
+    return (r) => r[key] !== null && String(r[key]).toLowerCase().includes(needle) === want;
+  }
+
+  // Text columns compare case-insensitively; typed columns compare values.
+  const typed = [...NUMERIC_TYPES, 'datetime', 'boolean'].includes(col.type);
+  const norm = typed ? (v) => v : (v) => (v === null ? null : String(v).toLowerCase());
+  const parse = (v) => norm(typed ? parseFilterValue(col.type, v) : String(v ?? ''));
+  const x = parse(value);
+  if (x === null) return { error: `Can't read "${value}" as a ${col.type} value for "${key}".` };
+
+  if (op === 'between') {
+    let hi = parse(to);
+    if (hi === null) return { error: `between on "${key}" needs a readable "to" value.` };
+    // A date-only upper bound includes that whole day.
+    if (col.type === 'datetime' && /^\d{4}-\d{2}-\d{2}$/.test(String(to).trim())) {
+      hi = new Date(Date.parse(hi) + 86399999).toISOString();
+    }
+    return (r) => {
+      const v = norm(r[key]);
+      return v !== null && v >= x && v <= hi;
+    };
+  }
+
+  const compare = COMPARE[op];
+  if (!compare) return { error: `Unknown filter op "${op}". Use one of: ${FILTER_OPS.join(', ')}` };
+  return (r) => {
+    const v = norm(r[key]);
+    return v !== null && compare(v, x);
+  };
+};
+
+const aggLabel = ({ func, column, percentile: p }) =>
+  func === 'count' ? 'count' : func === 'percentile' ? `p${p} ${column}` : `${func} ${column}`;
+
+const aggregateValues = ({ func, percentile: p }, values) => {
+  if (func === 'count') return values.length;
+  if (!values.length) return null;
+  const sum = values.reduce((a, b) => a + b, 0);
+  if (func === 'sum') return fmt(sum);
+  if (func === 'mean') return fmt(sum / values.length);
+  const sorted = [...values].sort((a, b) => a - b);
+  if (func === 'min') return sorted[0];
+  if (func === 'max') return sorted[sorted.length - 1];
+  return fmt(quantile(sorted, (func === 'median' ? 50 : p) / 100));
+};
+
+const runAggregate = (args, rows, schema) => {
+  const filters = [];
+  for (const f of args.filters || []) {
+    const predicate = buildFilter(schema, f);
+    if (predicate.error) return predicate;
+    filters.push(predicate);
+  }
+  const filtered = rows.filter((r) => filters.every((keep) => keep(r)));
+
+  const bucket = DATE_BUCKETS[args.date_bucket] || DATE_BUCKETS.month;
+  const groupCols = [];
+  for (const name of args.group_by || []) {
+    const col = findColumn(schema, name);
+    if (!col) return { error: `Unknown group_by column "${name}". Available: ${columnNames(schema).join(', ')}` };
+    groupCols.push(col);
+  }
+
+  const aggs = [];
+  for (const a of args.aggregations?.length ? args.aggregations : [{ func: 'count' }]) {
+    if (!AGG_FUNCS.includes(a.func)) return { error: `Unknown aggregation "${a.func}". Use one of: ${AGG_FUNCS.join(', ')}` };
+    if (a.func === 'count') {
+      aggs.push({ func: 'count' });
+      continue;
+    }
+    const col = findColumn(schema, a.column);
+    if (!col || !NUMERIC_TYPES.includes(col.type))
+      return { error: `"${a.column}" is not a numeric column. Numeric columns: ${describeNumericColumns(schema)}` };
+    if (a.func === 'percentile' && typeof a.percentile !== 'number')
+      return { error: 'percentile aggregations need a "percentile" between 0 and 100.' };
+    aggs.push({ func: a.func, column: col.name, percentile: a.percentile });
+  }
+
+  const groupValue = (col, r) => {
+    const v = r[col.name];
+    if (v === null || v === undefined) return '(missing)';
+    return col.type === 'datetime' ? bucket(v) : String(v);
+  };
+  const groups = new Map();
+  filtered.forEach((r) => {
+    const values = groupCols.map((c) => groupValue(c, r));
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) groups.set(key, { values, rows: [] });
+    groups.get(key).rows.push(r);
   });
 
-  if (numericCols.length) {
-    lines.push('**Numeric columns** (exact names — use these verbatim in tool calls):');
-    numericCols.forEach((c) => {
-      lines.push(`  • "${c.name}": mean=${c.mean}, min=${c.min}, max=${c.max}, n=${c.count}`);
+  const labels = aggs.map(aggLabel);
+  let table = [...groups.values()].map((g) => {
+    const out = {};
+    groupCols.forEach((c, i) => {
+      out[c.name] = g.values[i];
+    });
+    aggs.forEach((a, i) => {
+      out[labels[i]] = aggregateValues(a, a.column ? numericValues(g.rows, a.column) : g.rows);
     });
+    return out;
+  });
+
+  const sortKey = labels.find((l) => l.toLowerCase() === String(args.sort_by || '').toLowerCase()) || labels[0];
+  const asc = args.ascending ?? false;
+  table.sort((a, b) => {
+    if (a[sortKey] === b[sortKey]) return 0;
+    if (a[sortKey] === null) return 1;
+    if (b[sortKey] === null) return -1;
+    return (a[sortKey] < b[sortKey]) === asc ? -1 : 1;
+  });
+  const totalGroups = table.length;
+  table = table.slice(0, args.limit || 20);
+
+  const result = {
+    total_rows: rows.length,
+    matched_rows: filtered.length,
+    group_by: groupCols.map((c) => c.name),
+    groups: totalGroups,
+    columns: [...groupCols.map((c) => c.name), ...labels],
+    table,
+  };
+  if (!args.chart || !table.length) return result;
+
+  const countLabel = labels.includes('count') ? 'count' : null;
+  return {
+    _chartType: 'category_bar',
+    title: groupCols.length ? `${labels[0]} by ${groupCols.map((c) => c.name).join(' · ')}` : labels[0],
+    valueLabel: labels[0],
+    ...result,
+    data: table.map((row) => ({
+      name: groupCols.map((c) => row[c.name]).join(' · ') || 'all rows',
+      value: row[labels[0]] ?? 0,
+      ...(countLabel && labels[0] !== 'count' ? { count: row.count } : {}),
+    })),
+  };
+};
+
+// ── Keyword vs non-keyword comparison ────────────────────────────────────────
+// Backs compare_keyword_engagement: splits rows on whether the text matches
+// each keyword and tests the metric difference. The payload is the
+// `_chartType: 'engagement'` shape EngagementChart renders.
+
+const SIGNIFICANCE_TESTS = {
+  welch: { label: 'Welch t-test', run: welchTTest },
+  mann_whitney: { label: 'Mann-Whitney U', run: mannWhitneyU },
+};
+
+// "/pat/flags" → that regex; anything else matches as a case-insensitive phrase.
+const keywordMatcher = (keyword) => {
+  const literal = String(keyword).match(/^\/(.+)\/([a-z]*)$/);
+  if (literal) {
+    const re = new RegExp(literal[1], literal[2].replace(/g/g, ''));
+    return (text) => re.test(text);
   }
+  const needle = String(keyword).toLowerCase();
+  return (text) => text.toLowerCase().includes(needle);
+};
+
+const defaultTextColumn = (schema) => {
+  const text = columnsOfType(schema, 'text').map((c) => c.name);
+  return text.find((h) => /^text$/i.test(h)) || text.find((h) => /text|content|tweet|body/i.test(h)) || text[0];
+};
+
+const defaultMetricColumn = (schema) => {
+  const numeric = columnsOfType(schema, ...NUMERIC_TYPES).map((c) => c.name);
+  return numeric.find((h) => h === 'engagement') || numeric.find((h) => /favorite.?count|^likes?$/i.test(h));
+};
+
+const compareKeywordEngagement = (args, rows, schema) => {
+  const keywords = (args.keywords || []).map((k) => String(k).trim()).filter(Boolean);
+  if (!keywords.length) return { error: 'Pass at least one keyword.' };
+
+  const metric = args.metric_column ? findColumn(schema, args.metric_column) : findColumn(schema, defaultMetricColumn(schema));
+  if (!metric || !NUMERIC_TYPES.includes(metric.type))
+    return { error: `"${args.metric_column || 'engagement'}" is not a numeric column. Numeric columns: ${describeNumericColumns(schema)}` };
+  const textCol = args.text_column ? findColumn(schema, args.text_column)?.name : defaultTextColumn(schema);
+  if (!textCol) return { error: `No text column found. Available: ${columnNames(schema).join(', ')}` };
+
+  const testKey = SIGNIFICANCE_TESTS[args.test] ? args.test : 'welch';
+  const test = SIGNIFICANCE_TESTS[testKey];
+  const usable = rows.filter((r) => typeof r[metric.name] === 'number');
 
-  if (categoricalCols.length) {
-    lines.push('\n**Categorical columns** (exact names — use these verbatim in tool calls):');
-    categoricalCols.forEach((c) => {
-      lines.push(`  • "${c.name}": ${c.unique} unique values — top: ${c.top}`);
+  const results = [];
+  for (const keyword of keywords) {
+    let matches;
+    try {
+      matches = keywordMatcher(keyword);
+    } catch (err) {
+      return { error: `Invalid regex ${keyword}: ${err.message}` };
+    }
+    const withKw = [];
+    const withoutKw = [];
+    usable.forEach((r) => (matches(String(r[textCol] ?? '')) ? withKw : withoutKw).push(r[metric.name]));
+    const outcome = test.run(withKw, withoutKw);
+    results.push({
+      keyword,
+      with_mean: withKw.length ? fmt(withKw.reduce((a, b) => a + b, 0) / withKw.length) : null,
+      with_count: withKw.length,
+      without_mean: withoutKw.length ? fmt(withoutKw.reduce((a, b) => a + b, 0) / withoutKw.length) : null,
+      without_count: withoutKw.length,
+      statistic: outcome ? fmt(outcome.statistic) : null,
+      p_value: outcome ? +outcome.p.toPrecision(3) : null,
+      significant: outcome ? outcome.p < 0.05 : false,
     });
   }
 
-  return lines.join('\n');
+  return {
+    _chartType: 'engagement',
+    metricColumn: metric.name,
+    textColumn: textCol,
+    test: test.label,
+    results,
+    data: results.map((r) => ({
+      name: r.keyword,
+      withKeyword: r.with_mean ?? 0,
+      withoutKeyword: r.without_mean ?? 0,
+      withCount: r.with_count,
+      withoutCount: r.without_count,
+      pValue: r.p_value,
+      test: test.label,
+    })),
+  };
+};
+
+// ── Statistics tools ─────────────────────────────────────────────────────────
+// histogram, scatter_plot, correlation_matrix, box_plot and regression run the
+// stats.js engine in the browser instead of Gemini's Python sandbox. Each
+// returns numbers for the model plus a chart payload for Chat.js.
+
+// Scatter charts stay responsive with a sample; statistics use every row.
+const MAX_SCATTER_POINTS = 1500;
+const MAX_BOX_GROUPS = 12;
+const MAX_DUMMY_LEVELS = 10;
+
+const log1p10 = (v) => Math.log10(1 + v);
+
+// Resolves a numeric column or returns { error }.
+const numericColumn = (schema, name) => {
+  const col = findColumn(schema, name);
+  if (col && NUMERIC_TYPES.includes(col.type)) return col;
+  return { error: `"${name}" is not a numeric column. Numeric columns: ${describeNumericColumns(schema)}` };
+};
+
+// A typed cell as a plottable number: null when missing, log10(1 + v) when
+// `log` is set (negative values are dropped then).
+const transformed = (value, log) => {
+  if (typeof value !== 'number') return null;
+  if (!log) return value;
+  return value >= 0 ? log1p10(value) : null;
+};
+
+const axisLabel = (name, log) => (log ? `log10(1 + ${name})` : name);
+
+const sample = (items, max) => {
+  if (items.length <= max) return items;
+  const step = items.length / max;
+  return Array.from({ length: max }, (_, i) => items[Math.floor(i * step)]);
+};
+
+const histogramTool = (args, rows, schema) => {
+  const col = numericColumn(schema, args.column);
+  if (col.error) return col;
+  const values = rows.map((r) => transformed(r[col.name], args.log_scale)).filter((v) => v !== null);
+  if (!values.length) return { error: `No numeric values found in column "${col.name}".` };
+  const sorted = [...values].sort((a, b) => a - b);
+  const m = values.reduce((a, b) => a + b, 0) / values.length;
+  const label = axisLabel(col.name, args.log_scale);
+  const bins = histogram(values, args.bins).map((b) => ({ ...b, from: fmt(b.from), to: fmt(b.to) }));
+  return {
+    _chartType: 'histogram',
+    title: `Distribution of ${label}`,
+    column: col.name,
+    valueLabel: label,
+    count: values.length,
+    mean: fmt(m),
+    median: fmt(quantile(sorted, 0.5)),
+    std: fmt(Math.sqrt(values.reduce((a, b) => a + (b - m) ** 2, 0) / values.length)),
+    bins,
+    data: bins.map((b) => ({ name: `${b.from}–${b.to}`, ...b })),
+  };
+};
+
+const scatterTool = (args, rows, schema) => {
+  const xCol = numericColumn(schema, args.x_column);
+  if (xCol.error) return xCol;
+  const yCol = numericColumn(schema, args.y_column);
+  if (yCol.error) return yCol;
+  const textCol = defaultTextColumn(schema);
+
+  const points = [];
+  rows.forEach((r) => {
+    const x = transformed(r[xCol.name], args.log_x);
+    const y = transformed(r[yCol.name], args.log_y);
+    if (x === null || y === null) return;
+    points.push({ x, y, label: textCol ? String(r[textCol] ?? '').slice(0, 80) : undefined });
+  });
+  if (points.length < 3) return { error: `Need at least 3 rows with both "${xCol.name}" and "${yCol.name}".` };
+
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const fit = linearRegression(xs.map((x) => [x]), ys);
+  const r = pearson(xs, ys);
+  const xLabel = axisLabel(xCol.name, args.log_x);
+  const yLabel = axisLabel(yCol.name, args.log_y);
+  const trend = fit && {
+    slope: sig(fit.coefficients[1]),
+    intercept: sig(fit.coefficients[0]),
+    r2: fmt(fit.r2),
+  };
+  // Not Math.min(...xs): spreading a large column overflows the call stack.
+  const minX = xs.reduce((a, b) => (b < a ? b : a));
+  const maxX = xs.reduce((a, b) => (b > a ? b : a));
+  return {
+    _chartType: 'scatter',
+    title: `${yLabel} vs ${xLabel}`,
+    xLabel,
+    yLabel,
+    n: points.length,
+    pearson_r: r === null ? null : fmt(r),
+    p_value: r === null ? null : +correlationP(r, points.length).toPrecision(3),
+    trend,
+    line: fit
+      ? [minX, maxX].map((x) => ({ x, y: fit.coefficients[0] + fit.coefficients[1] * x }))
+      : null,
+    data: sample(points, MAX_SCATTER_POINTS),
+  };
+};
+
+const correlationTool = (args, rows, schema) => {
+  const method = args.method === 'spearman' ? 'spearman' : 'pearson';
+  let cols;
+  if (args.columns?.length) {
+    cols = [];
+    for (const name of args.columns) {
+      const col = numericColumn(schema, name);
+      if (col.error) return col;
+      cols.push(col.name);
+    }
+  } else {
+    // Constant columns have no correlation; IDs are already excluded by type.
+    cols = columnsOfType(schema, ...NUMERIC_TYPES)
+      .filter((c) => c.min !== c.max)
+      .map((c) => c.name);
+  }
+  if (cols.length < 2) return { error: `Need at least two numeric columns. Numeric columns: ${describeNumericColumns(schema)}` };
+
+  const corr = method === 'spearman' ? spearman : pearson;
+  const matrix = cols.map(() => new Array(cols.length).fill(null));
+  const pairs = [];
+  for (let i = 0; i < cols.length; i++) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < cols.length; j++) {
+      const both = rows.filter((r) => typeof r[cols[i]] === 'number' && typeof r[cols[j]] === 'number');
+      const r = corr(both.map((row) => row[cols[i]]), both.map((row) => row[cols[j]]));
+      const value = r === null ? null : fmt(r);
+      matrix[i][j] = value;
+      matrix[j][i] = value;
+      if (value !== null) {
+        pairs.push({ a: cols[i], b: cols[j], r: value, n: both.length, p_value: +correlationP(r, both.length).toPrecision(3) });
+      }
+    }
+  }
+  pairs.sort((a, b) => Math.abs(b.r) - Math.abs(a.r));
+  return {
+    _chartType: 'correlation_matrix',
+    title: `${method === 'spearman' ? 'Spearman' : 'Pearson'} correlation`,
+    method,
+    columns: cols,
+    matrix,
+    strongest_pairs: pairs.slice(0, 8),
+    data: cols.flatMap((a, i) => cols.map((b, j) => ({ row: a, col: b, r: matrix[i][j] }))),
+  };
+};
+
+const boxPlotTool = (args, rows, schema) => {
+  const col = numericColumn(schema, args.column);
+  if (col.error) return col;
+  let groupCol = null;
+  if (args.group_by) {
+    groupCol = findColumn(schema, args.group_by);
+    if (!groupCol) return { error: `Unknown group_by column "${args.group_by}". Available: ${columnNames(schema).join(', ')}` };
+  }
+
+  const groups = new Map();
+  rows.forEach((r) => {
+    const v = transformed(r[col.name], args.log_scale);
+    if (v === null) return;
+    const key = groupCol ? String(r[groupCol.name] ?? '(missing)') : 'all rows';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(v);
+  });
+  if (!groups.size) return { error: `No numeric values found in column "${col.name}".` };
+
+  const label = axisLabel(col.name, args.log_scale);
+  const boxes = [...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, MAX_BOX_GROUPS)
+    .map(([name, values]) => {
+      const b = boxStats(values);
+      return {
+        name,
+        n: b.n,
+        min: fmt(b.min),
+        q1: fmt(b.q1),
+        median: fmt(b.median),
+        q3: fmt(b.q3),
+        max: fmt(b.max),
+        whiskerLow: fmt(b.whiskerLow),
+        whiskerHigh: fmt(b.whiskerHigh),
+        outliers: b.outliers.length,
+      };
+    });
+  return {
+    _chartType: 'box_plot',
+    title: groupCol ? `${label} by ${groupCol.name}` : label,
+    column: col.name,
+    valueLabel: label,
+    groups: groups.size,
+    boxes,
+    data: boxes,
+  };
+};
+
+// Predictor → design columns: numbers as is, booleans as 0/1, categoricals as
+// one dummy per level except the most common one (the baseline).
+const encodePredictor = (schema, rows, name) => {
+  const col = findColumn(schema, name);
+  if (!col) return { error: `Unknown predictor "${name}". Available: ${columnNames(schema).join(', ')}` };
+  if (NUMERIC_TYPES.includes(col.type)) {
+    return { terms: [col.name], encode: (r) => (typeof r[col.name] === 'number' ? [r[col.name]] : null) };
+  }
+  if (col.type === 'boolean') {
+    return { terms: [col.name], encode: (r) => (r[col.name] === null ? null : [r[col.name] ? 1 : 0]) };
+  }
+  if (col.type === 'categorical') {
+    const counts = new Map();
+    rows.forEach((r) => {
+      if (r[col.name] !== null) counts.set(String(r[col.name]), (counts.get(String(r[col.name])) || 0) + 1);
+    });
+    const ordered = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([v]) => v);
+    const dummies = ordered.slice(1, MAX_DUMMY_LEVELS + 1);
+    return {
+      terms: dummies.map((v) => `${col.name}=${v}`),
+      encode: (r) => (r[col.name] === null ? null : dummies.map((v) => (String(r[col.name]) === v ? 1 : 0))),
+    };
+  }
+  return { error: `"${col.name}" is a ${col.type} column; predictors must be numeric, boolean or categorical.` };
+};
+
+const regressionTool = (args, rows, schema) => {
+  const kind = args.kind === 'logistic' ? 'logistic' : 'linear';
+  const target = findColumn(schema, args.target);
+  if (!target) return { error: `Unknown target "${args.target}". Available: ${columnNames(schema).join(', ')}` };
+  const predictors = (args.predictors || []).filter((p) => findColumn(schema, p)?.name !== target.name);
+  if (!predictors.length) return { error: 'Pass at least one predictor other than the target.' };
+
+  let outcome;
+  if (kind === 'linear') {
+    if (!NUMERIC_TYPES.includes(target.type))
+      return { error: `Linear regression needs a numeric target. Numeric columns: ${describeNumericColumns(schema)}` };
+    outcome = (r) => (typeof r[target.name] === 'number' ? r[target.name] : null);
+  } else if (target.type === 'boolean') {
+    outcome = (r) => (r[target.name] === null ? null : r[target.name] ? 1 : 0);
+  } else if (NUMERIC_TYPES.includes(target.type) && target.min === 0 && target.max === 1) {
+    outcome = (r) => (typeof r[target.name] === 'number' ? r[target.name] : null);
+  } else if (args.positive_value !== undefined && args.positive_value !== '') {
+    const positive = String(args.positive_value).toLowerCase();
+    outcome = (r) => (r[target.name] === null ? null : String(r[target.name]).toLowerCase() === positive ? 1 : 0);
+  } else {
+    return { error: `Logistic regression needs a yes/no target, or positive_value for "${target.name}".` };
+  }
+
+  const encoders = [];
+  for (const name of predictors) {
+    const enc = encodePredictor(schema, rows, name);
+    if (enc.error) return enc;
+    encoders.push(enc);
+  }
+  const terms = encoders.flatMap((e) => e.terms);
+  const X = [];
+  const y = [];
+  rows.forEach((r) => {
+    const out = outcome(r);
+    if (out === null) return;
+    const parts = encoders.map((e) => e.encode(r));
+    if (parts.some((p) => p === null)) return;
+    X.push(parts.flat());
+    y.push(out);
+  });
+
+  const fit = kind === 'linear' ? linearRegression(X, y) : logisticRegression(X, y);
+  if (!fit)
+    return { error: `Could not fit the ${kind} regression on ${y.length} complete rows (too few rows, a constant target or collinear predictors).` };
+
+  const stat = kind === 'linear' ? fit.tValues : fit.zValues;
+  const coefficients = ['(intercept)', ...terms].map((term, j) => ({
+    term,
+    estimate: sig(fit.coefficients[j]),
+    std_error: sig(fit.stdErrors[j]),
+    [kind === 'linear' ? 't' : 'z']: stat[j] === null ? null : fmt(stat[j]),
+    p_value: fit.pValues[j] === null ? null : +fit.pValues[j].toPrecision(3),
+    ...(kind === 'logistic' ? { odds_ratio: sig(Math.exp(fit.coefficients[j])) } : {}),
+  }));
+  const fitStats =
+    kind === 'linear'
+      ? { r2: fmt(fit.r2), adj_r2: fmt(fit.adjR2) }
+      : { pseudo_r2: fmt(fit.pseudoR2), accuracy: fmt(fit.accuracy), converged: fit.converged };
+  return {
+    _chartType: 'regression',
+    title: `${kind === 'linear' ? 'Linear' : 'Logistic'} regression of ${target.name}`,
+    kind,
+    target: target.name,
+    n: fit.n,
+    ...fitStats,
+    coefficients,
+    data: coefficients.slice(1).map((c) => ({ name: c.term, value: c.estimate, stdError: c.std_error, pValue: c.p_value })),
+  };
+};
+
+// ── Posting schedule ─────────────────────────────────────────────────────────
+// Same weekday × hour heatmap as the channel JSON tool (postingSchedule.js),
+// over the tweets' created-at column.
+
+const postingScheduleTool = (args, rows, schema) => {
+  const metric = args.metric_column ? findColumn(schema, args.metric_column) : findColumn(schema, defaultMetricColumn(schema));
+  if (!metric || !NUMERIC_TYPES.includes(metric.type))
+    return { error: `"${args.metric_column || 'engagement'}" is not a numeric column. Numeric columns: ${describeNumericColumns(schema)}` };
+  const dates = columnsOfType(schema, 'datetime');
+  const dateCol = args.date_column
+    ? findColumn(schema, args.date_column)
+    : dates.find((c) => /created|posted|published|date|time/i.test(c.name)) || dates[0];
+  if (!dateCol || dateCol.type !== 'datetime')
+    return { error: `No date/time column found. Date columns: ${dates.map((c) => c.name).join(', ') || '(none)'}` };
+
+  const grid = postingScheduleGrid(
+    rows.map((r) => ({ date: r[dateCol.name], value: r[metric.name] })),
+    args.timezone ? { timeZone: args.timezone } : undefined
+  );
+  if (grid.error) return grid;
+  // Ratios like engagement need decimals to tell slots apart.
+  const digits = metric.type === 'float' ? 4 : 0;
+  return postingScheduleResult(grid, { metric: metric.name, subject: `${grid.posts} posts`, digits });
+};
+
+// ── Text features ────────────────────────────────────────────────────────────
+// Same analysis as the channel JSON tool (textFeatures.js), over tweet text.
+
+const textFeaturesTool = (args, rows, schema) => {
+  const metric = args.metric_column ? findColumn(schema, args.metric_column) : findColumn(schema, defaultMetricColumn(schema));
+  if (!metric || !NUMERIC_TYPES.includes(metric.type))
+    return { error: `"${args.metric_column || 'engagement'}" is not a numeric column. Numeric columns: ${describeNumericColumns(schema)}` };
+  const textCol = args.text_column ? findColumn(schema, args.text_column)?.name : defaultTextColumn(schema);
+  if (!textCol) return { error: `No text column found. Available: ${columnNames(schema).join(', ')}` };
+
+  const analysis = analyzeTextFeatures(
+    rows.map((r) => ({ text: r[textCol], value: r[metric.name] })),
+    { maxN: Number(args.max_words) || 2, minDocs: Number(args.min_tweets) || undefined }
+  );
+  if (analysis.error) return analysis;
+  return textFeaturesResult(analysis, { metric: metric.name, source: `"${textCol}" text` });
+};
+
+// ── Outliers ─────────────────────────────────────────────────────────────────
+// Same rolling-baseline scoring as the channel JSON tool (outliers.js); tweets
+// are ordered by their created-at column and carry their URL for the card.
+
+const findOutliersTool = (args, rows, schema) => {
+  const numeric = columnsOfType(schema, ...NUMERIC_TYPES);
+  const metric = args.metric_column
+    ? findColumn(schema, args.metric_column)
+    : numeric.find((c) => /view.?count|impressions/i.test(c.name)) || findColumn(schema, defaultMetricColumn(schema));
+  if (!metric || !NUMERIC_TYPES.includes(metric.type))
+    return { error: `"${args.metric_column || 'View Count'}" is not a numeric column. Numeric columns: ${describeNumericColumns(schema)}` };
+  const dates = columnsOfType(schema, 'datetime');
+  const dateCol = dates.find((c) => /created|posted|published|date|time/i.test(c.name)) || dates[0];
+  const names = columnNames(schema);
+  const textCol = defaultTextColumn(schema);
+  const urlCol = names.find((h) => /tweet.?url|permalink/i.test(h)) || names.find((h) => /^(url|link)$/i.test(h));
+  const idCol = names.find((h) => /^(tweet.?)?id$/i.test(h));
+  const mediaCol = names.find((h) => /media.?urls?/i.test(h));
+  const thumbnail = (r) =>
+    String((mediaCol && r[mediaCol]) || '')
+      .split(/[\s,]+/)
+      .find((u) => /^https?:\/\/\S+\.(jpe?g|png|webp)/i.test(u));
+
+  const options = {
+    window: Number(args.window) || 10,
+    minRatio: Number(args.min_ratio) > 1 ? Number(args.min_ratio) : 2.5,
+    limit: Number(args.limit) || 5,
+  };
+  const found = findOutliers(
+    rows.map((r) => ({
+      date: dateCol ? r[dateCol.name] : null,
+      value: r[metric.name],
+      title: String((textCol && r[textCol]) || (idCol && r[idCol]) || 'Tweet').slice(0, 140),
+      thumbnailUrl: thumbnail(r),
+      url: urlCol ? r[urlCol] : undefined,
+      linkLabel: 'Open tweet',
+    })),
+    options
+  );
+  if (found.error) return found;
+  return outliersResult(found, { metric: metric.name, subject: `${found.scored} tweets`, minRatio: options.minRatio });
+};
+
+// ── Time series for channel overlays ─────────────────────────────────────────
+// Dated points of one numeric column, for plot_metric_vs_time's comparison
+// with an earlier CSV (jsonTools.js). `metricName` may be a channel field such
+// as "view_count", which matches the "View Count" column.
+
+const bareName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '').replace(/count$/, '');
+
+export const csvTimeSeries = (rows, schema, metricName) => {
+  const numeric = columnsOfType(schema, ...NUMERIC_TYPES);
+  const metric =
+    findColumn(schema, metricName) ||
+    numeric.find((c) => bareName(c.name) === bareName(metricName)) ||
+    findColumn(schema, defaultMetricColumn(schema));
+  if (!metric || !NUMERIC_TYPES.includes(metric.type))
+    return { error: `The CSV has no numeric column like "${metricName}". Numeric columns: ${describeNumericColumns(schema)}` };
+  const dates = columnsOfType(schema, 'datetime');
+  const dateCol = dates.find((c) => /created|posted|published|date|time/i.test(c.name)) || dates[0];
+  if (!dateCol) return { error: 'The CSV has no date/time column to put on the time axis.' };
+  const textCol = defaultTextColumn(schema);
+
+  return {
+    name: metric.name,
+    points: rows.map((r) => ({
+      date: r[dateCol.name],
+      value: r[metric.name],
+      label: textCol ? String(r[textCol] ?? '').slice(0, 60) : '',
+    })),
+  };
 };
 
 // ── Client-side tool executor ─────────────────────────────────────────────────
 
-export const executeTool = (toolName, args, rows) => {
-  const availableHeaders = rows.length ? Object.keys(rows[0]) : [];
+export const executeTool = (toolName, args, rows, schema) => {
+  const availableHeaders = columnNames(schema);
   console.group(`[CSV Tool] ${toolName}`);
   console.log('args:', args);
   console.log('rows loaded:', rows.length);
@@ -266,11 +1184,11 @@ export const executeTool = (toolName, args, rows) => {
 
   switch (toolName) {
     case 'compute_column_stats': {
-      const col = resolveCol(rows, args.column);
+      const col = resolveCol(schema, args.column);
       console.log(`[compute_column_stats] resolved column: "${args.column}" → "${col}"`);
       const vals = numericValues(rows, col);
       if (!vals.length)
-        return { error: `No numeric values found in column "${col}". Available columns: ${availableHeaders.join(', ')}` };
+        return { error: `No numeric values found in column "${col}". Numeric columns: ${describeNumericColumns(schema)}` };
       const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
       const sorted = [...vals].sort((a, b) => a - b);
       const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
@@ -286,13 +1204,13 @@ export const executeTool = (toolName, args, rows) => {
     }
 
     case 'get_value_counts': {
-      const col = resolveCol(rows, args.column);
+      const col = resolveCol(schema, args.column);
       console.log(`[get_value_counts] resolved column: "${args.column}" → "${col}"`);
       const topN = args.top_n || 10;
       const counts = {};
       rows.forEach((r) => {
         const v = r[col];
-        if (v !== undefined && v !== '') counts[v] = (counts[v] || 0) + 1;
+        if (v !== undefined && v !== null) counts[v] = (counts[v] || 0) + 1;
       });
       const sorted = Object.entries(counts)
         .sort((a, b) => b[1] - a[1])
@@ -305,27 +1223,35 @@ export const executeTool = (toolName, args, rows) => {
     }
 
     case 'get_top_tweets': {
-      const sortCol = resolveCol(rows, args.sort_column) || args.sort_column;
+      const sortInfo = findColumn(schema, args.sort_column);
+      const sortCol = sortInfo?.name || args.sort_column;
       console.log(`[get_top_tweets] sort="${sortCol}" n=${args.n} asc=${args.ascending}`);
       const n   = args.n || 10;
       const asc = args.ascending ?? false;
 
+      if (!sortInfo || ![...NUMERIC_TYPES, 'datetime'].includes(sortInfo.type))
+        return { error: `Column "${sortCol}" is not a numeric or date column. Numeric columns: ${describeNumericColumns(schema)}` };
+
       // Detect text column for display
       const textCol =
         availableHeaders.find((h) => /^text$/i.test(h)) ||
-        availableHeaders.find((h) => /text|content|tweet|body/i.test(h));
+        columnsOfType(schema, 'text').map((c) => c.name).find((h) => /text|content|tweet|body/i.test(h));
 
       // Detect key metric columns
       const favCol  = availableHeaders.find((h) => /favorite.?count/i.test(h));
       const viewCol = availableHeaders.find((h) => /view.?count/i.test(h));
       const engCol  = availableHeaders.includes('engagement') ? 'engagement' : null;
 
-      const sorted = [...rows].sort((a, b) => {
-        const av = parseFloat(a[sortCol]);
-        const bv = parseFloat(b[sortCol]);
-        if (!isNaN(av) && !isNaN(bv)) return asc ? av - bv : bv - av;
-        return 0;
-      });
+      // Typed values compare directly (numbers, or ISO strings for datetimes);
+      // rows missing the value are left out.
+      const sorted = rows
+        .filter((r) => r[sortCol] !== null && r[sortCol] !== undefined)
+        .sort((a, b) => {
+          const av = a[sortCol];
+          const bv = b[sortCol];
+          if (av === bv) return 0;
+          return (av < bv) === asc ? -1 : 1;
+        });
 
       const topRows = sorted.slice(0, n).map((r, i) => {
         const out = { rank: i + 1 };
@@ -347,6 +1273,36 @@ export const executeTool = (toolName, args, rows) => {
       };
     }
 
+    case 'aggregate':
+      return runAggregate(args, rows, schema);
+
+    case 'compare_keyword_engagement':
+      return compareKeywordEngagement(args, rows, schema);
+
+    case 'histogram':
+      return histogramTool(args, rows, schema);
+
+    case 'scatter_plot':
+      return scatterTool(args, rows, schema);
+
+    case 'correlation_matrix':
+      return correlationTool(args, rows, schema);
+
+    case 'box_plot':
+      return boxPlotTool(args, rows, schema);
+
+    case 'regression':
+      return regressionTool(args, rows, schema);
+
+    case 'posting_schedule':
+      return postingScheduleTool(args, rows, schema);
+
+    case 'analyze_text_features':
+      return textFeaturesTool(args, rows, schema);
+
+    case 'find_outliers':
+      return findOutliersTool(args, rows, schema);
+
     default:
       return { error: `Unknown tool: ${toolName}` };
   }
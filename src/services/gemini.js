@@ -1,12 +1,13 @@
-import { GoogleGenAI } from '@google/genai';
+import { CSV_TOOL_DECLARATIONS } from './csvTools';
+import { JSON_TOOL_DECLARATIONS } from './jsonTools';
+import { getGeminiStatus, streamGeminiChat, generateGeminiContent } from './geminiApi';
 
-// New Gen AI SDK client (uses the v1 Gemini API under the hood).
-// NOTE: This runs in the browser; REACT_APP_GEMINI_API_KEY is baked in at build time.
-const genAI = new GoogleGenAI({ apiKey: process.env.REACT_APP_GEMINI_API_KEY || '' });
+// All model calls go through the server's /api/gemini proxy (see geminiApi.js),
+// which holds the API key and picks the model.
 
-// Use a current Gemini model that is available on the v1 API.
-// If this stops working, check the Gemini docs for the latest 2.x model name.
-const MODEL = 'gemini-2.5-flash';
+// Without a key on the server the model cannot pick tools, so Chat.js falls
+// back to local routing.
+export const isGeminiConfigured = async () => (await getGeminiStatus()).configured;
 
 export const CODE_KEYWORDS =
   /\b(plot|chart|graph|analyz|statistic|regression|correlat|histogram|visualiz|calculat|compute|run code|write code|execute|pandas|numpy|matplotlib|csv|data)\b/i;
@@ -24,15 +25,9 @@ async function loadSystemPrompt() {
   return cachedPrompt;
 }
 
-// Yields:
-//   { type: 'text', text }           — single text chunk for the whole response
-//   (code execution + search grounding are not wired up in this minimal v1 migration)
-//
-// The generator shape matches the old interface so Chat.js can stay unchanged.
-export const streamChat = async function* (history, newMessage, imageParts = [], useCodeExecution = false) {
+// Persona preamble + prior turns as Gemini Content objects.
+const buildContents = async (history) => {
   const systemInstruction = await loadSystemPrompt();
-
-  // Build conversation history as an array of Content objects.
   const contents = [];
 
   if (systemInstruction) {
@@ -57,12 +52,34 @@ export const streamChat = async function* (history, newMessage, imageParts = [],
     });
   });
 
+  return contents;
+};
+
+// Yields:
+//   { type: 'text', text }            — text chunks as the server streams them
+//   { type: 'fullResponse', parts }   — once code execution produces code, results
+//                                        or images: every part so far, as
+//                                        { type: 'text' | 'code' | 'result' | 'image', … }
+//   { type: 'grounding', data }       — Google Search grounding metadata
+//
+// useCodeExecution enables Gemini's Python sandbox; otherwise the Google Search
+// tool is enabled so factual answers come back grounded with sources.
+//
+// Aborting `signal` cancels the HTTP request; the generator then throws an
+// AbortError and the caller keeps whatever text it has already received.
+export const streamChat = async function* (
+  history,
+  newMessage,
+  imageParts = [],
+  useCodeExecution = false,
+  { signal } = {}
+) {
+  const contents = await buildContents(history);
+
   const finalParts = [
     { text: newMessage },
     ...imageParts.map((img) => ({
-      type: 'image',
-      data: img.data,
-      mime_type: img.mimeType || 'image/png',
+      inlineData: { data: img.data, mimeType: img.mimeType || 'image/png' },
     })),
   ];
 
@@ -71,45 +88,128 @@ export const streamChat = async function* (history, newMessage, imageParts = [],
     parts: finalParts,
   });
 
-  const response = await genAI.models.generateContent({
-    model: MODEL,
-    contents,
-  });
-
-  const text = response.text ?? '';
-  if (text) {
-    yield { type: 'text', text };
+  const config = useCodeExecution
+    ? { tools: [{ codeExecution: {} }] }
+    : { tools: [{ googleSearch: {} }] };
+
+  // Structured parts collected so far; consecutive text chunks are merged.
+  // Until the first non-text part arrives, plain text chunks are yielded so the
+  // reply streams as markdown.
+  const parts = [];
+  let structured = false;
+
+  for await (const event of streamGeminiChat(contents, config, { signal })) {
+    if (event.type === 'grounding') {
+      yield { type: 'grounding', data: event.data };
+      continue;
+    }
+
+    if (event.type === 'text') {
+      if (!event.text) continue;
+      const last = parts[parts.length - 1];
+      if (last?.type === 'text') last.text += event.text;
+      else parts.push({ type: 'text', text: event.text });
+      if (!structured) {
+        yield { type: 'text', text: event.text };
+        continue;
+      }
+    } else if (event.type === 'code') {
+      parts.push({ type: 'code', language: event.language, code: event.code });
+    } else if (event.type === 'result') {
+      parts.push({ type: 'result', outcome: event.outcome, output: event.output });
+    } else if (event.type === 'image') {
+      parts.push({ type: 'image', mimeType: event.mimeType, data: event.data });
+    } else {
+      continue;
+    }
+
+    structured = true;
+    yield { type: 'fullResponse', parts: parts.map((p) => ({ ...p })) };
   }
 };
 
-// ── Minimal CSV chat (no client-side tools in this migration) ─────────────────
-// Keeps the same return shape but just calls the model once with CSV context.
-export const chatWithCsvTools = async (history, newMessage, csvHeaders, executeFn) => {
-  const systemInstruction = await loadSystemPrompt();
+// ── Function-calling loop ────────────────────────────────────────────────────
 
-  const contents = [];
+// Upper bound on model ↔ tool round trips for a single user message.
+const MAX_TOOL_ROUNDS = 6;
 
-  if (systemInstruction) {
-    contents.push({
-      role: 'user',
-      parts: [
-        {
-          text: `Follow these instructions in every response:\n\n${systemInstruction}`,
-        },
-      ],
-    });
-    contents.push({
-      role: 'model',
-      parts: [{ text: "Got it! I'll follow those instructions." }],
-    });
+// Chart payloads can hold hundreds of points and generated images are base64;
+// the model only needs to know they were shown, so send it metadata instead.
+const resultForModel = (result) => {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) return { result };
+  if (result._image) {
+    return { prompt: result.prompt, note: 'The generated image was shown to the user.' };
   }
+  if (!result._chartType) return result;
+  const { data, ...rest } = result;
+  return {
+    ...rest,
+    points: Array.isArray(data) ? data.length : undefined,
+    note: 'A chart was rendered for the user from this result.',
+  };
+};
 
-  history.forEach((m) => {
-    contents.push({
-      role: m.role === 'user' ? 'user' : 'model',
-      parts: [{ text: m.content || '' }],
-    });
-  });
+// Sends `contents` with the given declarations, executes each functionCall via
+// executeFn (sync or async), appends the functionResponse parts and loops until
+// the model returns plain text or MAX_TOOL_ROUNDS is reached.
+const runToolLoop = async (contents, declarations, executeFn, { signal } = {}) => {
+  const charts = [];
+  const toolCalls = [];
+  const images = [];
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const response = await generateGeminiContent(
+      contents,
+      { tools: [{ functionDeclarations: declarations }] },
+      { signal }
+    );
+
+    const calls = response.functionCalls || [];
+    if (!calls.length) {
+      return { text: response.text ?? '', charts, toolCalls, images };
+    }
+
+    contents.push(
+      response.content || {
+        role: 'model',
+        parts: calls.map((fc) => ({ functionCall: fc })),
+      }
+    );
+
+    const responseParts = [];
+    for (const fc of calls) {
+      const args = fc.args || {};
+      let result;
+      try {
+        result = await executeFn(fc.name, args);
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        result = { error: err.message || `Tool ${fc.name} failed` };
+      }
+      toolCalls.push({ name: fc.name, args, result: result?._image ? resultForModel(result) : result });
+      if (result?._chartType) charts.push(result);
+      if (result?._image) images.push(result._image);
+      responseParts.push({
+        functionResponse: { id: fc.id, name: fc.name, response: resultForModel(result) },
+      });
+    }
+    contents.push({ role: 'user', parts: responseParts });
+  }
+
+  // Still asking for tools after MAX_TOOL_ROUNDS — force a text answer from
+  // what has been gathered so far.
+  const final = await generateGeminiContent(contents, undefined, { signal });
+  return { text: final.text ?? '', charts, toolCalls, images };
+};
+
+// ── CSV chat with client-side function calling ───────────────────────────────
+// Offers CSV_TOOL_DECLARATIONS to Gemini, runs every requested call through
+// executeFn (the browser-side executor), feeds the results back and repeats
+// until the model answers in plain text. Returns the final text plus every
+// tool call made, any chart payloads (results carrying `_chartType`) and any
+// generated images (results carrying `_image`).
+export const chatWithCsvTools = async (history, newMessage, csvHeaders, executeFn, options = {}) => {
+  const contents = await buildContents(history);
 
   const msgWithContext = csvHeaders?.length
     ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}`
@@ -120,11 +220,23 @@ export const chatWithCsvTools = async (history, newMessage, csvHeaders, executeF
     parts: [{ text: msgWithContext }],
   });
 
-  const response = await genAI.models.generateContent({
-    model: MODEL,
-    contents,
+  return runToolLoop(contents, CSV_TOOL_DECLARATIONS, executeFn, options);
+};
+
+// ── Channel JSON chat with client-side function calling ──────────────────────
+// Same loop as chatWithCsvTools over JSON_TOOL_DECLARATIONS. The model picks
+// the tool and its arguments and may chain several tools in one answer.
+export const chatWithJsonTools = async (history, newMessage, channelSummary, executeFn, options = {}) => {
+  const contents = await buildContents(history);
+
+  const msgWithContext = channelSummary
+    ? `[Loaded channel data]\n${channelSummary}\n\n${newMessage}`
+    : newMessage;
+
+  contents.push({
+    role: 'user',
+    parts: [{ text: msgWithContext }],
   });
 
-  return { text: response.text ?? '', charts: [], toolCalls: [] };
+  return runToolLoop(contents, JSON_TOOL_DECLARATIONS, executeFn, options);
 };
-
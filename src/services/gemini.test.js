@@ -0,0 +1,96 @@
+import { chatWithJsonTools } from './gemini';
+import { generateGeminiContent } from './geminiApi';
+
+// The proxy calls are replaced by a fake model (the same `generateContent`
+// shape the server's injectable client has), so runToolLoop runs for real:
+// tool execution, error capture, chart stripping and the round limit.
+jest.mock('./geminiApi', () => ({
+  getGeminiStatus: jest.fn(),
+  streamGeminiChat: jest.fn(),
+  generateGeminiContent: jest.fn(),
+}));
+
+const call = (name, args = {}) => ({
+  functionCalls: [{ id: `${name}-id`, name, args }],
+  content: { role: 'model', parts: [{ functionCall: { id: `${name}-id`, name, args } }] },
+});
+
+// Replays `turns` in order; each turn is a response or a function of contents.
+const fakeModel = (...turns) => {
+  const seen = [];
+  generateGeminiContent.mockImplementation(async (contents, config) => {
+    seen.push({ contents: JSON.parse(JSON.stringify(contents)), config });
+    const turn = turns[seen.length - 1];
+    return typeof turn === 'function' ? turn(contents) : turn;
+  });
+  return seen;
+};
+
+const lastParts = (contents) => contents[contents.length - 1].parts;
+
+// No persona prompt; keeps buildContents off the network.
+beforeEach(() => {
+  global.fetch = jest.fn(async () => ({ ok: false }));
+});
+afterEach(() => generateGeminiContent.mockReset());
+
+test('runs a tool call, sends the result back and returns the answer', async () => {
+  const seen = fakeModel(call('compute_stats_json', { metric: 'view_count' }), (contents) => ({
+    text: `Mean is ${lastParts(contents)[0].functionResponse.response.mean}`,
+  }));
+  const execute = jest.fn(() => ({ metric: 'view_count', mean: 42 }));
+
+  const out = await chatWithJsonTools([], 'average views?', 'Channel: Test', execute);
+
+  expect(execute).toHaveBeenCalledWith('compute_stats_json', { metric: 'view_count' });
+  expect(out.text).toBe('Mean is 42');
+  expect(out.toolCalls).toEqual([
+    { name: 'compute_stats_json', args: { metric: 'view_count' }, result: { metric: 'view_count', mean: 42 } },
+  ]);
+  expect(seen[0].contents[0].parts[0].text).toBe('[Loaded channel data]\nChannel: Test\n\naverage views?');
+  expect(seen[0].config.tools[0].functionDeclarations.length).toBeGreaterThan(0);
+  expect(lastParts(seen[1].contents)[0].functionResponse).toEqual({
+    id: 'compute_stats_json-id',
+    name: 'compute_stats_json',
+    response: { metric: 'view_count', mean: 42 },
+  });
+});
+
+test('chart results reach the caller but only their metadata reaches the model', async () => {
+  const seen = fakeModel(call('plot_metric_vs_time'), { text: 'Plotted.' });
+  const chart = { _chartType: 'metric_vs_time', metric: 'views', data: [{ date: '2024-01-01', value: 1 }] };
+
+  const out = await chatWithJsonTools([], 'plot views', '', () => chart);
+
+  expect(out.charts).toEqual([chart]);
+  const { response } = lastParts(seen[1].contents)[0].functionResponse;
+  expect(response.data).toBeUndefined();
+  expect(response.points).toBe(1);
+});
+
+test('a throwing tool becomes an error result for the model', async () => {
+  const seen = fakeModel(call('play_video', { which: 'latest' }), { text: 'Sorry, that failed.' });
+
+  const out = await chatWithJsonTools([], 'play it', '', async () => {
+    throw new Error('No videos loaded');
+  });
+
+  expect(out.text).toBe('Sorry, that failed.');
+  expect(out.toolCalls[0].result).toEqual({ error: 'No videos loaded' });
+  expect(lastParts(seen[1].contents)[0].functionResponse.response).toEqual({ error: 'No videos loaded' });
+});
+
+test('model errors reject the chat', async () => {
+  generateGeminiContent.mockRejectedValue(new Error('quota exceeded'));
+  await expect(chatWithJsonTools([], 'hi', '', jest.fn())).rejects.toThrow('quota exceeded');
+});
+
+test('forces a text answer after too many tool rounds', async () => {
+  const seen = fakeModel(...Array(6).fill(call('compute_stats_json')), { text: 'Here is what I found.' });
+
+  const out = await chatWithJsonTools([], 'loop', '', () => ({ ok: true }));
+
+  expect(out.text).toBe('Here is what I found.');
+  expect(out.toolCalls).toHaveLength(6);
+  expect(seen[6].config).toBeUndefined();
+});
@@ -0,0 +1,93 @@
+import { authHeaders, handleUnauthorized } from './mongoApi';
+
+const API = process.env.REACT_APP_API_URL || '';
+
+// Parse an error body like {"error":"..."} into a readable message.
+const errorMessage = (text, fallback) => {
+  try {
+    return JSON.parse(text).error || fallback;
+  } catch {
+    return text || fallback;
+  }
+};
+
+// Same request helper as mongoApi — the Gemini key stays on the server and
+// every model call goes through /api/gemini.
+const api = async (path, options = {}) => {
+  const res = await fetch(`${API}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers },
+  });
+  const text = await res.text();
+  if (res.status === 401) handleUnauthorized();
+  if (!res.ok) throw new Error(errorMessage(text, res.statusText));
+  return text ? JSON.parse(text) : {};
+};
+
+// ── Status ───────────────────────────────────────────────────────────────────
+
+let statusPromise = null;
+
+export const getGeminiStatus = () => {
+  if (!statusPromise) {
+    statusPromise = api('/api/gemini/status').catch(() => {
+      statusPromise = null;
+      return { configured: false };
+    });
+  }
+  return statusPromise;
+};
+
+// ── Chat (streamed) ──────────────────────────────────────────────────────────
+// Yields the server's NDJSON events ({ type: 'text', text }, …) as they arrive.
+// Aborting `signal` cancels the fetch; the server then cancels the Gemini call.
+
+export const streamGeminiChat = async function* (contents, config, { signal } = {}) {
+  const res = await fetch(`${API}/api/gemini/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ contents, config }),
+    signal,
+  });
+  if (res.status === 401) handleUnauthorized();
+  if (!res.ok) throw new Error(errorMessage(await res.text(), res.statusText));
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line) continue;
+      const event = JSON.parse(line);
+      if (event.type === 'error') throw new Error(event.error);
+      if (event.type === 'done') return;
+      yield event;
+    }
+  }
+};
+
+// ── Function-calling step ────────────────────────────────────────────────────
+
+export const generateGeminiContent = async (contents, config, { signal } = {}) => {
+  return api('/api/gemini/generate', {
+    method: 'POST',
+    body: JSON.stringify({ contents, config }),
+    signal,
+  });
+};
+
+// ── Image generation ─────────────────────────────────────────────────────────
+
+export const generateGeminiImage = async (prompt, anchorImage = null, { signal } = {}) => {
+  return api('/api/gemini/image', {
+    method: 'POST',
+    body: JSON.stringify({ prompt, anchorImage }),
+    signal,
+  });
+};
@@ -1,27 +1,23 @@
-import { GoogleGenAI } from '@google/genai';
+import { generateGeminiImage } from './geminiApi';
+import { getChannelHistory } from './youtubeApi';
+import { getVideos, resolveField, NUMERIC_FIELDS, DURATION_BUCKETS, durationBucket } from './videoNormalizer';
+import { postingScheduleGrid, postingScheduleResult } from './postingSchedule';
+import { analyzeTextFeatures, textFeaturesResult } from './textFeatures';
+import { findOutliers, outliersResult } from './outliers';
+import { matchVideo } from './videoMatcher';
+import { buildTimeSeries, RESAMPLE_PERIODS, RESAMPLE_AGGS } from './timeSeries';
+import { csvTimeSeries } from './csvTools';
 
-const genAI = new GoogleGenAI({ apiKey: process.env.REACT_APP_GEMINI_API_KEY || '' });
-
-// Tool declarations (used later for function calling + prompt docs)
+// Tool declarations (sent to Gemini for function calling + prompt docs)
 export const JSON_TOOL_DECLARATIONS = [
   {
     name: 'generateImage',
     description:
-      'Generate an image from a text prompt, optionally using an anchor image provided by the user. Returns a base64-encoded image.',
+      'Generate an image from a text prompt, e.g. a thumbnail concept. If the user attached an image it is used automatically as the anchor image. The image is shown to the user directly.',
     parameters: {
-      type: 'object',
+      type: 'OBJECT',
       properties: {
-        prompt: { type: 'string', description: 'Text prompt describing the image to generate.' },
-        anchorImage: {
-          type: 'object',
-          description:
-            'Optional anchor image (base64) to guide the generation. Use when the user attached an image.',
-          properties: {
-            data: { type: 'string', description: 'Base64 image data (no data URL prefix).' },
-            mimeType: { type: 'string', description: 'Image MIME type, e.g. image/png.' },
-          },
-          required: ['data', 'mimeType'],
-        },
+        prompt: { type: 'STRING', description: 'Text prompt describing the image to generate.' },
       },
       required: ['prompt'],
     },
@@ -29,20 +25,90 @@ export const JSON_TOOL_DECLARATIONS = [
   {
     name: 'plot_metric_vs_time',
     description:
-      'Plot a numeric metric (views, likes, comments, etc.) vs time for the loaded YouTube channel JSON.',
+      'Plot numeric fields of every video vs its publish date for the loaded YouTube channel JSON. ' +
+      'Use for trends over time, e.g. "how did duration trend in 2024?" or "graph likes over time". ' +
+      'Several metrics share the date axis (the first on the left axis, the rest on the right); options add a log scale, ' +
+      'a rolling average and weekly or monthly resampling. compare_previous overlays the dataset loaded before this one ' +
+      'in the chat (another channel JSON or a tweet CSV) on the same time axis.',
     parameters: {
-      type: 'object',
-      properties: { metric: { type: 'string' } },
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: 'Numeric video field, e.g. view_count, like_count, comment_count, duration.',
+        },
+        metrics: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'More fields to draw alongside `metric` on the right axis, e.g. ["like_count"].',
+        },
+        log_scale: { type: 'BOOLEAN', description: 'Use a log scale on the value axes. Default false.' },
+        rolling: {
+          type: 'NUMBER',
+          description: 'Add a trailing rolling average over this many points (videos, or weeks/months when resampled).',
+        },
+        resample: {
+          type: 'STRING',
+          enum: RESAMPLE_PERIODS,
+          description: 'none (default, one point per video), week or month.',
+        },
+        aggregate: {
+          type: 'STRING',
+          enum: RESAMPLE_AGGS,
+          description: 'How a week or month is summarized: mean (default), median or sum.',
+        },
+        compare_previous: {
+          type: 'BOOLEAN',
+          description: 'Overlay the previously loaded channel JSON or CSV from this chat on the same time axis.',
+        },
+        compare_metric: {
+          type: 'STRING',
+          description: 'Column of the previous CSV to overlay. Default: the column matching `metric` (e.g. "View Count").',
+        },
+      },
+      required: ['metric'],
+    },
+  },
+  {
+    name: 'plot_metric_growth',
+    description:
+      'Plot how a metric grew across the stored snapshots (downloads and refreshes) of the loaded channel, ' +
+      'for one video or summed over the whole channel. Use for growth after release, e.g. ' +
+      '"how did views of the dizzy video grow?" or "channel likes growth". Needs a channel downloaded from the YouTube tab.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: 'view_count, like_count or comment_count.',
+        },
+        video: {
+          type: 'STRING',
+          description: 'Video id or title words. Omit for the whole channel.',
+        },
+      },
       required: ['metric'],
     },
   },
   {
     name: 'play_video',
     description:
-      'Pick a video from the loaded channel JSON by title, ordinal (first), or most viewed and return its title, thumbnail, and URL.',
+      'Pick a video from the loaded channel JSON and show it to the user as a playable card. `which` is read as free text: ' +
+      'title words (typos are tolerated), an ordinal ("third video" counts from the oldest upload, "second latest" from the newest), ' +
+      'a ranking ("most viewed", "least liked", "longest") and/or a date range ("October 2024", "2023", "last month"). ' +
+      'When several titles match equally well it returns `ambiguous: true` with candidates instead of guessing; ask the user which one.',
     parameters: {
-      type: 'object',
-      properties: { which: { type: 'string' } },
+      type: 'OBJECT',
+      properties: {
+        which: {
+          type: 'STRING',
+          description: 'What to play, e.g. "quantum tunneling", "third video", "most viewed from October 2024", "latest".',
+        },
+        embed: {
+          type: 'BOOLEAN',
+          description: 'Open the embedded player in the chat right away instead of only showing the card. Default false.',
+        },
+      },
       required: ['which'],
     },
   },
@@ -51,183 +117,632 @@ export const JSON_TOOL_DECLARATIONS = [
     description:
       'Compute mean, median, std, min, max for a numeric field (view_count, like_count, comment_count, duration) across all videos in the loaded channel JSON.',
     parameters: {
-      type: 'object',
-      properties: { field: { type: 'string' } },
+      type: 'OBJECT',
+      properties: {
+        field: {
+          type: 'STRING',
+          description: 'Numeric video field, e.g. view_count, like_count, comment_count, duration.',
+        },
+      },
       required: ['field'],
     },
   },
+  {
+    name: 'compare_duration_buckets',
+    description:
+      'Compare a metric across video length buckets (< 1, 1–5, 5–10, 10–20, 20–40, 40+ minutes) for the loaded channel JSON. ' +
+      'Returns count, mean and median per bucket and shows a bar chart. Use for "do longer videos get more views?".',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: 'view_count, like_count or comment_count.',
+        },
+      },
+      required: ['metric'],
+    },
+  },
+  {
+    name: 'compare_shorts_vs_long',
+    description:
+      'Compare a metric between Shorts (up to 60 s, or up to 3 min when tagged #shorts) and long-form videos in the loaded channel JSON. ' +
+      'Returns count, mean and median per group and shows a bar chart.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: 'view_count, like_count or comment_count.',
+        },
+      },
+      required: ['metric'],
+    },
+  },
+  {
+    name: 'posting_schedule',
+    description:
+      'Find the best day of week and hour to publish: buckets the loaded channel\'s videos by the weekday and hour they were published ' +
+      '(in a chosen time zone) and shows the median metric per slot as a heatmap, plus the best days, hours and slots.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: 'view_count (default), like_count or comment_count.',
+        },
+        timezone: {
+          type: 'STRING',
+          description: 'IANA time zone such as "America/New_York" or "UTC". Default: the viewer\'s local zone.',
+        },
+      },
+    },
+  },
+  {
+    name: 'analyze_title_features',
+    description:
+      'Find what in video titles goes with more views or engagement: correlates title features (length, question marks, numbers, ' +
+      'ALL-CAPS words, emojis, first-person pronouns) with the metric and ranks the words and phrases whose videos do best and worst ' +
+      '(Mann–Whitney test). Shown as sortable tables.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: 'view_count (default), like_count, comment_count or engagement ((likes + comments) / views).',
+        },
+        max_words: { type: 'NUMBER', description: 'Longest phrase length in words, 1–3. Default 2.' },
+      },
+    },
+  },
+  {
+    name: 'find_outliers',
+    description:
+      'Find breakout and flop videos in the loaded channel JSON: compares each video with the median of the uploads around it ' +
+      '(a rolling baseline) and with a robust z-score of the log metric over the whole channel, and shows the flagged videos ' +
+      'as clickable cards.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: 'view_count (default), like_count or comment_count.',
+        },
+        window: { type: 'NUMBER', description: 'How many surrounding uploads form the baseline. Default 10.' },
+        min_ratio: {
+          type: 'NUMBER',
+          description: 'Breakout at this many times the baseline, flop at 1 / this. Default 2.5.',
+        },
+        limit: { type: 'NUMBER', description: 'Cards per list (breakouts, flops). Default 5.' },
+      },
+    },
+  },
 ];
 
-export async function generateImageTool({ prompt, anchorImage }) {
-  // Image generation uses the Interactions API with response_modalities.
-  // Model name per current GenAI docs.
-  const interaction = await genAI.interactions.create({
-    model: 'gemini-3-pro-image-preview',
-    input: [
-      { type: 'text', text: prompt },
-      ...(anchorImage?.data
-        ? [
-            {
-              type: 'image',
-              data: anchorImage.data,
-              mime_type: anchorImage.mimeType || 'image/png',
-            },
-          ]
-        : []),
-    ],
-    response_modalities: ['image'],
-  });
-
-  const outputs = interaction?.outputs || [];
-  const img = outputs.find((o) => o.type === 'image' && o.data);
-  if (!img) {
+export async function generateImageTool({ prompt, anchorImage }, { signal } = {}) {
+  // Runs on the server (/api/gemini/image) so the API key never reaches the browser.
+  const img = await generateGeminiImage(prompt, anchorImage?.data ? anchorImage : null, { signal });
+  if (!img?.data) {
     throw new Error('No image was returned by the model.');
   }
 
   return {
-    mimeType: img.mime_type || 'image/png',
+    mimeType: img.mimeType || 'image/png',
     data: img.data,
   };
 }
 
-// Helper to normalise channel JSON into a simple videos array
-const getVideos = (channelJson) => {
-  if (!channelJson) return [];
-  if (Array.isArray(channelJson.videos)) return channelJson.videos;
-  if (Array.isArray(channelJson.items)) return channelJson.items;
-  return [];
+const NO_VIDEOS = { error: 'No videos loaded. Please attach a YouTube channel JSON file first.' };
+
+const unknownField = (name) => ({
+  error: `Unknown field "${name}". Use one of: ${NUMERIC_FIELDS.join(', ')}.`,
+});
+
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = values.length;
+  const sum = values.reduce((a, b) => a + b, 0);
+  const mean = sum / count;
+  const median =
+    count % 2 === 0
+      ? (sorted[count / 2 - 1] + sorted[count / 2]) / 2
+      : sorted[(count - 1) / 2];
+  const variance = values.reduce((a, b) => a + (b - mean) ** 2, 0) / count;
+  return { count, sum, mean, median, std: Math.sqrt(variance), min: sorted[0], max: sorted[count - 1] };
 };
 
-export function plotMetricVsTimeTool(channelJson, { metric }) {
+// `compare` is the dataset loaded before this one in the chat:
+// { kind: 'channel', channelJson } or { kind: 'csv', name, rows, schema }.
+export function plotMetricVsTimeTool(channelJson, args, { compare } = {}) {
   const videos = getVideos(channelJson);
-  if (!videos.length) {
-    return { error: 'No videos loaded. Please attach a YouTube channel JSON file first.' };
-  }
-
-  const key = metric || 'view_count';
-  const data = videos
-    .map((v) => {
-      const rawDate = v.published_at || v.publishedAt || v.snippet?.publishedAt;
-      const title = v.title || v.snippet?.title || '';
-      const value =
-        v[key] ??
-        v[`${key}_count`] ??
-        v.statistics?.[key] ??
-        v.statistics?.[`${key}_count`] ??
-        (key === 'view_count' ? v.view_count || v.statistics?.viewCount : undefined);
-      const n = Number(value);
-      const d = rawDate ? new Date(rawDate) : null;
-      if (!rawDate || !d || Number.isNaN(+d) || Number.isNaN(n)) return null;
-      return {
-        date: d.toISOString().slice(0, 10),
-        label: title.slice(0, 60),
-        value: n,
-      };
-    })
-    .filter(Boolean)
-    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
-
-  if (!data.length) {
+  if (!videos.length) return NO_VIDEOS;
+
+  const names = [args.metric, ...(Array.isArray(args.metrics) ? args.metrics : [])].filter(Boolean);
+  const keys = [];
+  for (const name of names.length ? names : ['view_count']) {
+    const key = resolveField(name);
+    if (!key) return unknownField(name);
+    if (!keys.includes(key)) keys.push(key);
+  }
+
+  const channelSeries = (json, source) =>
+    keys.map((key, i) => ({
+      name: key,
+      source,
+      axis: i === 0 ? 'left' : 'right',
+      unit: 'videos',
+      points: getVideos(json).map((v) => ({
+        date: v.published_at,
+        value: v[key],
+        label: (v.title || '').slice(0, 60),
+        id: v.video_id,
+      })),
+    }));
+
+  let seriesList;
+  if (!args.compare_previous) {
+    seriesList = channelSeries(channelJson);
+  } else if (!compare) {
+    return { error: 'No earlier dataset in this chat to compare with. Load the other channel JSON or CSV first, then this one.' };
+  } else if (compare.kind === 'channel') {
+    seriesList = [
+      ...channelSeries(channelJson, channelJson.channel?.title || 'this channel'),
+      ...channelSeries(compare.channelJson, compare.channelJson.channel?.title || 'previous channel'),
+    ];
+  } else {
+    const other = csvTimeSeries(compare.rows, compare.schema, args.compare_metric || keys[0]);
+    if (other.error) return other;
+    seriesList = [
+      ...channelSeries(channelJson, channelJson.channel?.title || 'channel'),
+      // Tweet and video counts live on different scales, so the CSV gets the right axis.
+      { name: other.name, source: compare.name || 'CSV', axis: 'right', unit: 'tweets', points: other.points },
+    ];
+  }
+
+  const resample = RESAMPLE_PERIODS.includes(args.resample) ? args.resample : 'none';
+  const rolling = Math.max(0, Math.round(Number(args.rolling) || 0));
+  const built = buildTimeSeries(seriesList, {
+    resample,
+    agg: RESAMPLE_AGGS.includes(args.aggregate) ? args.aggregate : 'mean',
+    rolling,
+    logScale: !!args.log_scale,
+  });
+  if (built.error) return { error: `Could not find numeric data for metric "${names.join(', ')}".` };
+
+  const multi = built.series.filter((s) => !s.rolling).length > 1;
+  return {
+    _chartType: 'metric_vs_time',
+    metric: keys[0],
+    metrics: keys,
+    title: multi || resample !== 'none' ? `${keys.join(' & ')} vs time${resample !== 'none' ? ` · ${resample}ly` : ''}` : undefined,
+    series: built.series,
+    logScale: !!args.log_scale,
+    resample,
+    rolling: rolling > 1 ? rolling : undefined,
+    points: built.points,
+    data: built.data,
+  };
+}
+
+const GROWTH_METRICS = ['view_count', 'like_count', 'comment_count'];
+
+// Snapshot history lives on the server, keyed by the channel id that YouTube
+// tab downloads carry in `channel.id`.
+export async function plotMetricGrowthTool(channelJson, { metric, video }, { signal } = {}) {
+  const channelId = channelJson?.channel?.id;
+  if (!channelId) {
     return {
-      error: `Could not find numeric data for metric "${metric}".`,
+      error:
+        'This channel JSON has no snapshot history. Download the channel from the YouTube tab (and refresh it later) to track growth.',
     };
   }
+  const key = GROWTH_METRICS.includes(resolveField(metric)) ? resolveField(metric) : 'view_count';
+
+  let target = null;
+  const q = String(video || '').trim().toLowerCase();
+  if (q) {
+    const videos = getVideos(channelJson);
+    target =
+      videos.find((v) => String(v.video_id).toLowerCase() === q) ||
+      videos.find((v) => v.title.toLowerCase().includes(q));
+    if (!target) return { error: `No video in the loaded channel matches "${video}".` };
+  }
 
+  const points = await getChannelHistory(channelId, {
+    videoId: target ? target.video_id : null,
+    metric: key,
+    signal,
+  });
+  if (!points.length) return { error: 'No snapshots stored for this channel yet.' };
+
+  const subject = target ? target.title || target.video_id : channelJson.channel.title || 'Channel';
   return {
     _chartType: 'metric_vs_time',
-    metric,
-    data,
+    metric: key,
+    title: `${key} growth · ${subject}`.slice(0, 90),
+    snapshots: points.length,
+    data: points.map((p) => ({
+      date: new Date(p.taken_at).toISOString().slice(0, 16).replace('T', ' '),
+      label: target ? '' : `${p.videos} videos`,
+      value: p.value,
+    })),
   };
 }
 
-export function playVideoTool(channelJson, { which }) {
+export function playVideoTool(channelJson, { which, embed }) {
   const videos = getVideos(channelJson);
-  if (!videos.length) {
-    return { error: 'No videos loaded. Please attach a YouTube channel JSON file first.' };
-  }
-
-  const normalised = videos.map((v) => ({
-    videoId: v.video_id || v.id || v.contentDetails?.videoId,
-    title: v.title || v.snippet?.title || '',
-    thumbnailUrl:
-      v.thumbnail_url ||
-      v.snippet?.thumbnails?.high?.url ||
-      v.snippet?.thumbnails?.default?.url ||
-      '',
-    viewCount:
-      Number(v.view_count ?? v.statistics?.viewCount ?? v.viewCount ?? 0) || 0,
-    url:
-      v.video_url ||
-      (v.video_id ? `https://www.youtube.com/watch?v=${v.video_id}` : null) ||
-      (v.id ? `https://www.youtube.com/watch?v=${v.id}` : null),
-  }));
-
-  let chosen = normalised[0];
-  const q = (which || '').toLowerCase();
-
-  if (q.includes('most viewed') || q.includes('top') || q.includes('best')) {
-    chosen = [...normalised].sort((a, b) => b.viewCount - a.viewCount)[0];
-  } else if (q.includes('least viewed') || q.includes('worst')) {
-    chosen = [...normalised].sort((a, b) => a.viewCount - b.viewCount)[0];
-  } else if (q) {
-    const byTitle = normalised.find((v) => v.title.toLowerCase().includes(q));
-    if (byTitle) chosen = byTitle;
-  }
-
-  if (!chosen) return { error: 'Could not find a matching video in the channel JSON.' };
+  if (!videos.length) return NO_VIDEOS;
+
+  const match = matchVideo(videos, which);
+  if (match.error) return match;
+  if (match.ambiguous) {
+    return {
+      ambiguous: true,
+      which,
+      note: `Several videos match${match.reason ? ` (${match.reason})` : ''}. Ask the user which one they mean.`,
+      candidates: match.candidates,
+    };
+  }
 
+  const chosen = match.video;
   return {
-    videoId: chosen.videoId,
+    videoId: chosen.video_id,
     title: chosen.title,
-    thumbnailUrl: chosen.thumbnailUrl,
-    url: chosen.url,
+    thumbnailUrl: chosen.thumbnail_url || '',
+    url: chosen.video_url,
+    publishedAt: chosen.published_at,
+    matchedBy: match.reason,
+    embed: !!embed,
   };
 }
 
 export function computeStatsJsonTool(channelJson, { field }) {
   const videos = getVideos(channelJson);
-  if (!videos.length) {
-    return { error: 'No videos loaded. Please attach a YouTube channel JSON file first.' };
-  }
-
-  const key = field || 'view_count';
-  const values = videos
-    .map((v) => {
-      const raw =
-        v[key] ??
-        v[`${key}_count`] ??
-        v.statistics?.[key] ??
-        v.statistics?.[`${key}_count`] ??
-        (key === 'view_count' ? v.view_count || v.statistics?.viewCount : undefined);
-      const n = Number(raw);
-      return Number.isNaN(n) ? null : n;
-    })
-    .filter((v) => v !== null);
+  if (!videos.length) return NO_VIDEOS;
+
+  const key = resolveField(field);
+  if (!key) return unknownField(field);
+  const values = videos.map((v) => v[key]).filter((v) => v !== null);
 
   if (!values.length) {
     return { error: `No numeric values found for field "${field}".` };
   }
 
-  const sorted = [...values].sort((a, b) => a - b);
-  const count = values.length;
-  const sum = values.reduce((a, b) => a + b, 0);
-  const mean = sum / count;
-  const median =
-    count % 2 === 0
-      ? (sorted[count / 2 - 1] + sorted[count / 2]) / 2
-      : sorted[(count - 1) / 2];
-  const variance = values.reduce((a, b) => a + (b - mean) ** 2, 0) / count;
-  const std = Math.sqrt(variance);
+  const { count, mean, median, std, min, max } = summarize(values);
+  return { field: key, count, mean, median, std, min, max };
+}
 
-  return {
-    field,
-    count,
-    mean,
-    median,
-    std,
-    min: sorted[0],
-    max: sorted[sorted.length - 1],
+// Per-group count / mean / median of `key`, plus each group's share of the
+// channel total. Groups with no values are kept so empty buckets are visible.
+const compareGroups = (groups, key) => {
+  const total = groups.reduce((n, g) => n + g.values.reduce((a, b) => a + b, 0), 0);
+  return groups.map(({ name, values }) => {
+    if (!values.length) return { name, count: 0, mean: null, median: null, share: 0 };
+    const { count, sum, mean, median } = summarize(values);
+    return { name, count, mean, median, share: total ? sum / total : 0 };
+  });
+};
+
+const groupChart = (title, metric, groups) => ({
+  _chartType: 'category_bar',
+  title,
+  metric,
+  valueLabel: `median ${metric}`,
+  groups,
+  data: groups.map((g) => ({ name: g.name, value: g.median ?? 0, count: g.count })),
+});
+
+export function compareDurationBucketsTool(channelJson, { metric }) {
+  const videos = getVideos(channelJson);
+  if (!videos.length) return NO_VIDEOS;
+  const key = resolveField(metric);
+  if (!key || key === 'duration') return unknownField(metric);
+
+  const withDuration = videos.filter((v) => v.duration !== null && v[key] !== null);
+  if (!withDuration.length) return { error: `No videos have both a duration and a numeric ${key}.` };
+
+  const groups = compareGroups(
+    DURATION_BUCKETS.map((b) => ({
+      name: b.name,
+      values: withDuration.filter((v) => durationBucket(v.duration) === b.name).map((v) => v[key]),
+    })),
+    key
+  );
+  return groupChart(`${key} by video length`, key, groups);
+}
+
+export function compareShortsVsLongTool(channelJson, { metric }) {
+  const videos = getVideos(channelJson);
+  if (!videos.length) return NO_VIDEOS;
+  const key = resolveField(metric);
+  if (!key || key === 'duration') return unknownField(metric);
+
+  const known = videos.filter((v) => v.duration !== null && v[key] !== null);
+  if (!known.length) return { error: `No videos have both a duration and a numeric ${key}.` };
+
+  const groups = compareGroups(
+    [
+      { name: 'Shorts', values: known.filter((v) => v.is_short).map((v) => v[key]) },
+      { name: 'Long-form', values: known.filter((v) => !v.is_short).map((v) => v[key]) },
+    ],
+    key
+  );
+  return groupChart(`${key}: Shorts vs long-form`, key, groups);
+}
+
+export function postingScheduleTool(channelJson, { metric, timezone }) {
+  const videos = getVideos(channelJson);
+  if (!videos.length) return NO_VIDEOS;
+  const key = resolveField(metric || 'view_count');
+  if (!key || key === 'duration') return unknownField(metric);
+
+  const grid = postingScheduleGrid(
+    videos.map((v) => ({ date: v.published_at, value: v[key] })),
+    timezone ? { timeZone: timezone } : undefined
+  );
+  if (grid.error) return grid;
+  return postingScheduleResult(grid, { metric: key, subject: channelJson.channel?.title || 'channel' });
+}
+
+// Engagement is not a stored field; titles are judged on (likes + comments) / views.
+const engagementOf = (v) => (v.view_count ? ((v.like_count || 0) + (v.comment_count || 0)) / v.view_count : null);
+
+export function analyzeTitleFeaturesTool(channelJson, { metric, max_words: maxWords }) {
+  const videos = getVideos(channelJson);
+  if (!videos.length) return NO_VIDEOS;
+  const engagement = /^engagement/i.test(String(metric || '').trim());
+  const key = engagement ? 'engagement' : resolveField(metric || 'view_count');
+  if (!key || key === 'duration') return unknownField(metric);
+
+  const analysis = analyzeTextFeatures(
+    videos.map((v) => ({ text: v.title, value: engagement ? engagementOf(v) : v[key] })),
+    { maxN: Number(maxWords) || 2 }
+  );
+  if (analysis.error) return analysis;
+  return textFeaturesResult(analysis, { metric: key, source: 'titles' });
+}
+
+export function findOutliersTool(channelJson, { metric, window, min_ratio: minRatio, limit }) {
+  const videos = getVideos(channelJson);
+  if (!videos.length) return NO_VIDEOS;
+  const key = resolveField(metric || 'view_count');
+  if (!key || key === 'duration') return unknownField(metric);
+
+  const options = {
+    window: Number(window) || 10,
+    minRatio: Number(minRatio) > 1 ? Number(minRatio) : 2.5,
+    limit: Number(limit) || 5,
   };
+  const found = findOutliers(
+    videos.map((v) => ({
+      date: v.published_at,
+      value: v[key],
+      videoId: v.video_id,
+      title: v.title,
+      thumbnailUrl: v.thumbnail_url,
+      url: v.video_url,
+    })),
+    options
+  );
+  if (found.error) return found;
+  return outliersResult(found, { metric: key, subject: channelJson.channel?.title || 'channel', minRatio: options.minRatio });
 }
 
+// ── Dispatcher ───────────────────────────────────────────────────────────────
+// Runs one JSON tool by name. `context.anchorImage` is the first image the
+// user attached, if any; `context.signal` cancels image generation and history
+// requests; `context.compare` is the dataset loaded before this one, for
+// plot_metric_vs_time overlays. generateImage resolves to `{ _image, prompt }`; callers show
+// `_image` and hand the model only a short confirmation.
+export async function executeJsonTool(name, args, channelJson, context = {}) {
+  switch (name) {
+    case 'generateImage': {
+      const prompt = String(args.prompt || '').trim() || 'Generate an image.';
+      const image = await generateImageTool(
+        { prompt, anchorImage: context.anchorImage || null },
+        { signal: context.signal }
+      );
+      return { _image: image, prompt };
+    }
+    case 'plot_metric_vs_time':
+      return plotMetricVsTimeTool(channelJson, args, context);
+    case 'plot_metric_growth':
+      return plotMetricGrowthTool(channelJson, args, { signal: context.signal });
+    case 'compute_stats_json':
+      return computeStatsJsonTool(channelJson, args);
+    case 'compare_duration_buckets':
+      return compareDurationBucketsTool(channelJson, args);
+    case 'compare_shorts_vs_long':
+      return compareShortsVsLongTool(channelJson, args);
+    case 'posting_schedule':
+      return postingScheduleTool(channelJson, args);
+    case 'analyze_title_features':
+      return analyzeTitleFeaturesTool(channelJson, args);
+    case 'find_outliers':
+      return findOutliersTool(channelJson, args);
+    case 'play_video': {
+      const info = playVideoTool(channelJson, args);
+      if (info.error || info.ambiguous) return info;
+      return { _chartType: 'video_card', ...info };
+    }
+    default:
+      return { error: `Unknown tool: ${name}` };
+  }
+}
+
+// ── Local fallback routing (no Gemini key) ───────────────────────────────────
+// Keyword planner used only when the model cannot choose tools itself. Every
+// matching intent is returned so one message can still chain several tools.
+
+const metricFromText = (text, fallback = 'view_count') => {
+  const m = text.match(/\b(views?|likes?|comments?|duration|length)\b/i);
+  if (!m) return fallback;
+  const raw = m[1].toLowerCase();
+  if (raw.startsWith('like')) return 'like_count';
+  if (raw.startsWith('comment')) return 'comment_count';
+  if (raw === 'duration' || raw === 'length') return 'duration';
+  return 'view_count';
+};
+
+// Every metric named in the text, in order; view_count when none is.
+const metricsFromText = (text) => {
+  const found = [...text.matchAll(/\b(views?|likes?|comments?|duration|length)\b/gi)].map((m) => metricFromText(m[1]));
+  return found.length ? [...new Set(found)] : ['view_count'];
+};
+
+export function planJsonToolsLocally(text) {
+  const calls = [];
+  const explicit = (tool) => text.match(new RegExp(`${tool}\\s*:\\s*([^\\n]+)`, 'i'));
+
+  const image = explicit('generateimage');
+  if (image || /\b(generate an image|make an image|create an image|image generation)\b/i.test(text)) {
+    calls.push({ name: 'generateImage', args: { prompt: (image ? image[1] : text).trim() } });
+  }
+
+  const growth = explicit('plot_metric_growth');
+  const wantsGrowth = growth || /\b(grow(th|n)?|grew|snapshots?)\b/i.test(text);
+  if (wantsGrowth) {
+    calls.push({
+      name: 'plot_metric_growth',
+      args: { metric: growth ? growth[1].trim() : metricFromText(text) },
+    });
+  }
 
+  const plot = explicit('plot_metric_vs_time');
+  if (plot || (!wantsGrowth && /\b(plot|graph|chart|trend(ed)?)\b/i.test(text))) {
+    const resample = text.match(/\b(week|month)(ly)?\b/i);
+    const rolling = text.match(/\b(\d+)[- ]?(video|week|month|point)s? (rolling|moving) (average|mean)\b/i);
+    const [metric, ...metrics] = plot ? [plot[1].trim()] : metricsFromText(text);
+    calls.push({
+      name: 'plot_metric_vs_time',
+      args: {
+        metric,
+        metrics,
+        log_scale: /\blog(arithmic)?[- ]?scale\b/i.test(text),
+        resample: resample ? resample[1].toLowerCase() : 'none',
+        rolling: rolling ? Number(rolling[1]) : /\b(rolling|moving) (average|mean)\b/i.test(text) ? 5 : 0,
+        compare_previous: /\b(compare|overlay|vs\.?|versus)\b.*\b(previous|other|earlier|last|both)\b/i.test(text),
+      },
+    });
+  }
+
+  // The compare tools group by length, so "duration" there is never the metric.
+  const countMetric = metricFromText(text.replace(/\b(duration|length)\b/gi, ''));
+
+  const shorts = explicit('compare_shorts_vs_long');
+  const wantsShorts = shorts || /\bshorts?\b/i.test(text);
+  if (wantsShorts) {
+    calls.push({
+      name: 'compare_shorts_vs_long',
+      args: { metric: shorts ? shorts[1].trim() : countMetric },
+    });
+  }
+
+  const buckets = explicit('compare_duration_buckets');
+  if (buckets || (!wantsShorts && /\b(buckets?|by (duration|length)|longer|shorter)\b/i.test(text))) {
+    calls.push({
+      name: 'compare_duration_buckets',
+      args: { metric: buckets ? buckets[1].trim() : countMetric },
+    });
+  }
+
+  const schedule = explicit('posting_schedule');
+  if (schedule || /\b(best (day|time|hour)s?|when (should|to) (i )?(post|upload|publish)|posting (time|schedule)|day of (the )?week|heatmap)\b/i.test(text)) {
+    calls.push({
+      name: 'posting_schedule',
+      args: { metric: schedule ? schedule[1].trim() : countMetric },
+    });
+  }
+
+  const titles = explicit('analyze_title_features');
+  if (titles || /\b(titles?|words?|phrases?|wording)\b.*\b(perform|views?|engagement|work|better|best|predict)/i.test(text)) {
+    calls.push({
+      name: 'analyze_title_features',
+      args: { metric: titles ? titles[1].trim() : /\bengagement\b/i.test(text) ? 'engagement' : countMetric },
+    });
+  }
+
+  const outliers = explicit('find_outliers');
+  if (outliers || /\b(outliers?|breakouts?|flops?|viral|overperform|underperform)/i.test(text)) {
+    calls.push({
+      name: 'find_outliers',
+      args: { metric: outliers ? outliers[1].trim() : countMetric },
+    });
+  }
+
+  const stats = explicit('compute_stats_json');
+  if (stats || /\b(stats?|statistics?|(?<!(rolling|moving) )(average|mean)|median|distribution)\b/i.test(text)) {
+    calls.push({
+      name: 'compute_stats_json',
+      args: { field: stats ? stats[1].trim() : metricFromText(text) },
+    });
+  }
+
+  const play = explicit('play_video');
+  if (play || /\b(play|open|show)\b.*\bvideo\b/i.test(text)) {
+    calls.push({
+      name: 'play_video',
+      args: { which: play ? play[1].trim() : text, embed: /\b(here|inline|embed(ded)?|in (the )?chat)\b/i.test(text) },
+    });
+  }
+
+  return calls;
+}
+
+// One-line summary of a tool result, used as the reply text in local mode.
+export function describeJsonToolResult(name, result) {
+  if (result?.error) return result.error;
+  switch (name) {
+    case 'generateImage':
+      return `Generated image for: "${result.prompt}"`;
+    case 'plot_metric_vs_time':
+      return `Plotted ${result.series
+        .filter((s) => !s.rolling)
+        .map((s) => s.name)
+        .join(', ')} vs time (${result.points} points${result.resample !== 'none' ? `, ${result.resample}ly` : ''}).`;
+    case 'plot_metric_growth':
+      return result.snapshots < 2
+        ? `Only one snapshot of ${result.metric} so far — refresh the channel in the YouTube tab to see growth.`
+        : `Plotted ${result.title} across ${result.snapshots} snapshots.`;
+    case 'compute_stats_json':
+      return `Stats for ${result.field} (n=${result.count}): mean=${result.mean.toFixed(
+        2
+      )}, median=${result.median.toFixed(2)}, std=${result.std.toFixed(2)}, min=${result.min}, max=${
+        result.max
+      }.`;
+    case 'compare_duration_buckets':
+    case 'compare_shorts_vs_long':
+      return `${result.title}: ${result.groups
+        .filter((g) => g.count)
+        .map((g) => `${g.name} median ${Math.round(g.median).toLocaleString()} (n=${g.count})`)
+        .join(', ')}.`;
+    case 'posting_schedule': {
+      const best = result.best_slots[0] || result.best_days[0];
+      return best
+        ? `Best slot for ${result.metric} (${result.timeZone}): ${[best.day, best.hour].filter(Boolean).join(' ')} — median ${best.median.toLocaleString()} over ${best.posts} videos.`
+        : `Not enough videos per slot to rank posting times (${result.posts} videos).`;
+    }
+    case 'analyze_title_features': {
+      const top = result.features[0];
+      const up = result.phrases_up.slice(0, 3).map((p) => `"${p.phrase}"`);
+      return `Title features vs ${result.metric} over ${result.n} videos: strongest is ${top.feature.toLowerCase()} (Spearman r = ${top.spearman_r}).${
+        up.length ? ` Words that go with higher ${result.metric}: ${up.join(', ')}.` : ''
+      }`;
+    }
+    case 'find_outliers':
+      return `Checked ${result.scored} videos against the median of their ${result.window} nearest uploads: ${
+        result.breakout_count
+      } breakout(s), ${result.flop_count} flop(s) by ${result.metric}.${
+        result.breakouts[0] ? ` Biggest breakout: "${result.breakouts[0].title}" (${result.breakouts[0].detail}).` : ''
+      }`;
+    case 'play_video':
+      if (result.ambiguous) {
+        return `Several videos match — which one did you mean?\n${result.candidates
+          .map((c, i) => `${i + 1}. ${c.title}${c.published_at ? ` (${c.published_at})` : ''}`)
+          .join('\n')}`;
+      }
+      return `Opening video: ${result.title}${result.matchedBy ? ` (${result.matchedBy})` : ''}`;
+    default:
+      return '';
+  }
+}
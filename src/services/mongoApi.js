@@ -1,11 +1,40 @@
 const API = process.env.REACT_APP_API_URL || '';
 
+// ── Auth token ───────────────────────────────────────────────────────────────
+// Login returns an opaque token; it is the only thing kept in localStorage and
+// is sent as a Bearer header on every request. The profile is re-fetched from
+// /api/users/me on reload.
+
+const TOKEN_KEY = 'chatapp_token';
+
+let onUnauthorized = null;
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const clearAuthToken = () => localStorage.removeItem(TOKEN_KEY);
+
+export const authHeaders = () => {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Called when the server rejects the token (expired or revoked).
+export const setUnauthorizedHandler = (fn) => {
+  onUnauthorized = fn;
+};
+
+export const handleUnauthorized = () => {
+  clearAuthToken();
+  onUnauthorized?.();
+};
+
 const api = async (path, options = {}) => {
   const res = await fetch(`${API}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...options.headers },
     ...options,
+    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers },
   });
   const text = await res.text();
+  if (res.status === 401 && getAuthToken()) handleUnauthorized();
   if (!res.ok) throw new Error(text || res.statusText);
   return text ? JSON.parse(text) : {};
 };
@@ -24,25 +53,78 @@ export const findUser = async (username, password) => {
     method: 'POST',
     body: JSON.stringify({ username, password }),
   });
-  return data.ok
-    ? {
-        username: data.username,
-        firstName: data.firstName || '',
-        lastName: data.lastName || '',
-      }
-    : null;
+  if (!data.ok) return null;
+  localStorage.setItem(TOKEN_KEY, data.token);
+  return {
+    username: data.username,
+    firstName: data.firstName || '',
+    lastName: data.lastName || '',
+    email: data.email || '',
+  };
+};
+
+export const getCurrentUser = async () => {
+  return api('/api/users/me');
+};
+
+export const logoutUser = async () => {
+  try {
+    if (getAuthToken()) await api('/api/users/logout', { method: 'POST' });
+  } finally {
+    clearAuthToken();
+  }
+};
+
+// ── Account ──────────────────────────────────────────────────────────────────
+
+// `changes` holds only the fields to update; omitted ones stay as they are.
+export const updateProfile = async (changes) => {
+  return api('/api/users/me', {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  });
+};
+
+export const changePassword = async (currentPassword, newPassword) => {
+  return api('/api/users/me/password', {
+    method: 'POST',
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+};
+
+export const deleteAccount = async (password) => {
+  await api('/api/users/me', {
+    method: 'DELETE',
+    body: JSON.stringify({ password }),
+  });
+  clearAuthToken();
+};
+
+export const requestPasswordReset = async (identifier) => {
+  return api('/api/users/password-reset', {
+    method: 'POST',
+    body: JSON.stringify({ identifier }),
+  });
+};
+
+export const resetPassword = async (token, newPassword) => {
+  return api('/api/users/password-reset/confirm', {
+    method: 'POST',
+    body: JSON.stringify({ token, newPassword }),
+  });
 };
 
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-export const getSessions = async (username) => {
-  return api(`/api/sessions?username=${encodeURIComponent(username)}`);
+// Sessions belong to the token's user; the server never takes a username here.
+export const getSessions = async () => {
+  return api('/api/sessions');
 };
 
-export const createSession = async (username, agent = null, title = null) => {
+export const createSession = async (agent = null, title = null) => {
   return api('/api/sessions', {
     method: 'POST',
-    body: JSON.stringify({ username, agent, title }),
+    body: JSON.stringify({ agent, title }),
   });
 };
 
@@ -57,15 +139,37 @@ export const updateSessionTitle = async (sessionId, title) => {
   });
 };
 
+// Links an uploaded dataset (or null to unlink) → { dataset: { id, name, kind, size } | null }
+export const setSessionDataset = async (sessionId, datasetId) => {
+  return api(`/api/sessions/${sessionId}/dataset`, {
+    method: 'PUT',
+    body: JSON.stringify({ datasetId }),
+  });
+};
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
-export const saveMessage = async (sessionId, role, content, imageData = null, charts = null, toolCalls = null) => {
+// Images must be uploaded first (attachmentsApi.uploadImages); pass their ids.
+export const saveMessage = async (
+  sessionId,
+  role,
+  content,
+  attachments = null,
+  charts = null,
+  toolCalls = null,
+  interrupted = false
+) => {
   return api('/api/messages', {
     method: 'POST',
-    body: JSON.stringify({ session_id: sessionId, role, content, imageData, charts, toolCalls }),
+    body: JSON.stringify({ session_id: sessionId, role, content, attachments, charts, toolCalls, interrupted }),
   });
 };
 
-export const loadMessages = async (sessionId) => {
-  return api(`/api/messages?session_id=${encodeURIComponent(sessionId)}`);
+// Returns one page, oldest → newest: { messages, nextCursor }. Pass the
+// previous nextCursor as `before` to load older messages; null means none left.
+export const loadMessages = async (sessionId, { before, limit } = {}) => {
+  const params = new URLSearchParams({ session_id: sessionId });
+  if (before) params.set('before', before);
+  if (limit) params.set('limit', String(limit));
+  return api(`/api/messages?${params}`);
 };
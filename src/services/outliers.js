@@ -0,0 +1,123 @@
+import { quantile } from './stats';
+
+// ── Breakouts and flops against a rolling baseline ───────────────────────────
+// Shared by the find_outliers tools in jsonTools.js (videos) and csvTools.js
+// (tweets). Items are { date, value, ...card }; each is scored two ways:
+//   ratio — value / median of the `window` neighbouring posts (half before,
+//           half after, shifted inwards at the ends), so a channel that grew
+//           tenfold is judged against its own era rather than its all-time
+//           median;
+//   z     — robust z-score of log10(1 + value) over all posts, using the
+//           median and MAD (0.6745 · (x − median) / MAD).
+// A post is a breakout when ratio ≥ minRatio or z ≥ minZ, and a flop when
+// ratio ≤ 1 / minRatio or z ≤ −minZ.
+
+const MAD_SCALE = 0.6745;
+const RATIO_FLOOR = 1e-3;
+
+const medianOf = (values) => (values.length ? quantile([...values].sort((a, b) => a - b), 0.5) : null);
+
+// Medians of the `window` nearest neighbours of each index (itself excluded).
+const rollingBaseline = (values, window) => {
+  const n = values.length;
+  const size = Math.min(window, n - 1);
+  return values.map((_, i) => {
+    let start = Math.max(0, i - Math.floor(size / 2));
+    start = Math.min(start, n - 1 - size);
+    const neighbours = [];
+    for (let j = start; neighbours.length < size && j < n; j++) if (j !== i) neighbours.push(values[j]);
+    return medianOf(neighbours);
+  });
+};
+
+const round = (v, digits = 3) => (v === null || !Number.isFinite(v) ? null : +v.toPrecision(digits));
+
+// Returns { scored, window, breakouts, flops } (each list sorted from the most
+// extreme, at most `limit` long) or { error }.
+export function findOutliers(items, { window = 10, minRatio = 2.5, minZ = 3.5, limit = 5 } = {}) {
+  const usable = items
+    .filter((it) => typeof it.value === 'number' && Number.isFinite(it.value) && it.value >= 0)
+    .map((it, order) => ({ ...it, order, time: it.date ? Date.parse(it.date) : NaN }));
+  if (usable.length < 5) return { error: `Need at least 5 posts with a numeric metric (found ${usable.length}).` };
+
+  // Chronological when every post has a date; otherwise keep the given order.
+  if (usable.every((it) => !Number.isNaN(it.time))) usable.sort((a, b) => a.time - b.time || a.order - b.order);
+
+  const size = Math.max(2, Math.round(window) || 10);
+  const values = usable.map((it) => it.value);
+  const baselines = rollingBaseline(values, size);
+  const logs = values.map((v) => Math.log10(1 + v));
+  const logMedian = medianOf(logs);
+  const mad = medianOf(logs.map((x) => Math.abs(x - logMedian)));
+
+  const scored = usable.map(({ order, time, ...it }, i) => {
+    const baseline = baselines[i];
+    const ratio = baseline ? it.value / baseline : null;
+    const z = mad ? (MAD_SCALE * (logs[i] - logMedian)) / mad : null;
+    return { ...it, baseline: round(baseline, 4), ratio: round(ratio), z: round(z) };
+  });
+
+  // Most extreme first, on whichever score is further out; a ratio of 0 is
+  // floored so it ranks as extreme, and z-only posts (no baseline) rank by z.
+  const extremeness = (s) =>
+    Math.max(
+      s.ratio === null ? 0 : Math.abs(Math.log(Math.max(s.ratio, RATIO_FLOOR))),
+      s.z === null ? 0 : Math.abs(s.z)
+    );
+  const breakouts = scored
+    .filter((s) => (s.ratio !== null && s.ratio >= minRatio) || (s.z !== null && s.z >= minZ))
+    .sort((a, b) => extremeness(b) - extremeness(a));
+  const flops = scored
+    .filter((s) => (s.ratio !== null && s.ratio <= 1 / minRatio) || (s.z !== null && s.z <= -minZ))
+    .sort((a, b) => extremeness(b) - extremeness(a));
+
+  return {
+    scored: scored.length,
+    window: Math.min(size, scored.length - 1),
+    breakouts: breakouts.slice(0, limit),
+    flops: flops.slice(0, limit),
+    breakoutCount: breakouts.length,
+    flopCount: flops.length,
+  };
+}
+
+const formatValue = (v) => (Math.abs(v) >= 100 ? Math.round(v).toLocaleString() : String(+v.toPrecision(3)));
+
+// One video_card per flagged post; `detail` says how far off its baseline it was.
+const toCard = (s, metric, kind) => ({
+  _chartType: 'video_card',
+  videoId: s.videoId,
+  title: s.title,
+  thumbnailUrl: s.thumbnailUrl || '',
+  url: s.url,
+  linkLabel: s.linkLabel,
+  kind,
+  date: s.date ? String(s.date).slice(0, 10) : undefined,
+  value: s.value,
+  baseline: s.baseline,
+  ratio: s.ratio,
+  z: s.z,
+  detail: [
+    s.date && String(s.date).slice(0, 10),
+    `${formatValue(s.value)} ${metric}`,
+    s.ratio !== null && `${s.ratio}× the nearby median (${formatValue(s.baseline)})`,
+    s.z !== null && `robust z ${s.z}`,
+  ]
+    .filter(Boolean)
+    .join(' · '),
+});
+
+// Tool result with a `_chartType: 'outliers'` payload: Chat.js renders the
+// breakouts and flops as video cards.
+export const outliersResult = (found, { metric, subject, minRatio = 2.5, minZ = 3.5 }) => ({
+  _chartType: 'outliers',
+  title: `Breakouts and flops by ${metric} · ${subject}`.slice(0, 90),
+  metric,
+  scored: found.scored,
+  window: found.window,
+  rule: `breakout: ≥ ${minRatio}× the median of the ${found.window} nearest posts or robust z ≥ ${minZ} on log ${metric}; flop: the reverse`,
+  breakout_count: found.breakoutCount,
+  flop_count: found.flopCount,
+  breakouts: found.breakouts.map((s) => toCard(s, metric, 'breakout')),
+  flops: found.flops.map((s) => toCard(s, metric, 'flop')),
+});
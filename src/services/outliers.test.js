@@ -0,0 +1,39 @@
+import { findOutliers } from './outliers';
+
+const posts = (values) => values.map((value, i) => ({ id: i, date: `2024-01-${String(i + 1).padStart(2, '0')}`, value }));
+
+describe('findOutliers', () => {
+  // A steady channel around 1,000 views with a dead upload (0), a weak one
+  // (300) and a hit (20,000).
+  const values = [1000, 1100, 900, 1050, 0, 950, 1000, 300, 1200, 1000, 20000, 1100, 980, 1020];
+
+  test('flags breakouts and flops against the nearby median', () => {
+    const found = findOutliers(posts(values));
+    expect(found.scored).toBe(14);
+    expect(found.breakouts.map((s) => s.value)).toEqual([20000]);
+    expect(found.flops.map((s) => s.value)).toEqual([0, 300]);
+  });
+
+  test('a zero-view post ranks as the most extreme flop', () => {
+    const [zero] = findOutliers(posts(values)).flops;
+    expect(zero.ratio).toBe(0);
+    expect(zero.z).toBeLessThan(-3.5);
+  });
+
+  test('posts flagged only by z rank by z', () => {
+    // With a two-post window the 2 sits between zeros: no baseline, no ratio.
+    const found = findOutliers(posts([1000, 1100, 900, 1050, 0, 2, 0, 950, 1000, 1020, 350, 980, 1060]), { window: 2 });
+    expect(found.flops.map((s) => [s.value, s.ratio])).toEqual([
+      [0, 0],
+      [0, 0],
+      [2, null],
+      [350, 0.35],
+    ]);
+  });
+
+  test('needs five usable posts', () => {
+    expect(findOutliers(posts([1, 2, Number.NaN, -1, 3]))).toEqual({
+      error: 'Need at least 5 posts with a numeric metric (found 3).',
+    });
+  });
+});
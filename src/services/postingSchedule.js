@@ -0,0 +1,101 @@
+import { quantile } from './stats';
+
+// ── Posting schedule: weekday × hour grid ────────────────────────────────────
+// Shared by the posting_schedule tools in jsonTools.js (videos, published_at)
+// and csvTools.js (tweets, a datetime column). Items are { date, value } with
+// `date` an ISO string; each lands in the weekday and hour it was posted in
+// `timeZone`, and every cell reports the median value and the post count.
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Slots with fewer posts than this are left out of the best-slot ranking; a
+// single viral post would otherwise always win.
+const MIN_SLOT_POSTS = 2;
+
+export const defaultTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// A formatter for the zone, or null when the name is not a valid IANA zone.
+const zoneFormatter = (timeZone) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' });
+  } catch {
+    return null;
+  }
+};
+
+const medianOf = (values) => (values.length ? quantile([...values].sort((a, b) => a - b), 0.5) : null);
+
+const summarizeSlots = (slots) =>
+  slots.map(({ values, ...slot }) => ({ ...slot, count: values.length, median: medianOf(values) }));
+
+const rankSlots = (slots) =>
+  slots
+    .filter((s) => s.count >= MIN_SLOT_POSTS)
+    .sort((a, b) => b.median - a.median)
+    .slice(0, 5);
+
+// Returns { timeZone, posts, cells, byDay, byHour, bestDays, bestHours,
+// bestSlots } or { error }.
+export function postingScheduleGrid(items, { timeZone = defaultTimeZone() } = {}) {
+  const fmt = zoneFormatter(timeZone);
+  if (!fmt) return { error: `Unknown time zone "${timeZone}". Use an IANA name like "America/New_York" or "UTC".` };
+
+  const cells = WEEKDAYS.flatMap((day) => Array.from({ length: 24 }, (_, hour) => ({ day, hour, values: [] })));
+  const byDay = WEEKDAYS.map((day) => ({ day, values: [] }));
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, values: [] }));
+
+  let posts = 0;
+  items.forEach(({ date, value }) => {
+    const d = new Date(date);
+    if (!date || Number.isNaN(+d) || !Number.isFinite(value)) return;
+    const parts = Object.fromEntries(fmt.formatToParts(d).map((p) => [p.type, p.value]));
+    const dayIndex = WEEKDAYS.indexOf(parts.weekday);
+    const hour = Number(parts.hour) % 24;
+    if (dayIndex === -1) return;
+    cells[dayIndex * 24 + hour].values.push(value);
+    byDay[dayIndex].values.push(value);
+    byHour[hour].values.push(value);
+    posts += 1;
+  });
+  if (!posts) return { error: 'No posts have both a timestamp and a numeric value.' };
+
+  const cellStats = summarizeSlots(cells);
+  const dayStats = summarizeSlots(byDay);
+  const hourStats = summarizeSlots(byHour);
+  return {
+    timeZone,
+    posts,
+    cells: cellStats,
+    byDay: dayStats,
+    byHour: hourStats,
+    bestDays: rankSlots(dayStats),
+    bestHours: rankSlots(hourStats),
+    bestSlots: rankSlots(cellStats),
+  };
+}
+
+const hourLabel = (h) => `${String(h).padStart(2, '0')}:00`;
+
+// Tool result with a `_chartType: 'schedule_heatmap'` payload for Chat.js.
+// Medians are rounded to `digits` decimals (engagement ratios need more).
+export function postingScheduleResult(grid, { metric, subject, digits = 0 }) {
+  const round = (v) => (v === null ? null : +v.toFixed(digits));
+  const slot = (s) => ({
+    ...('day' in s ? { day: s.day } : {}),
+    ...('hour' in s ? { hour: hourLabel(s.hour) } : {}),
+    median: round(s.median),
+    posts: s.count,
+  });
+  return {
+    _chartType: 'schedule_heatmap',
+    title: `Median ${metric} by posting day and hour · ${subject}`.slice(0, 90),
+    metric,
+    timeZone: grid.timeZone,
+    posts: grid.posts,
+    best_days: grid.bestDays.map(slot),
+    best_hours: grid.bestHours.map(slot),
+    best_slots: grid.bestSlots.map(slot),
+    by_day: grid.byDay.map(slot),
+    data: grid.cells.map((c) => ({ day: c.day, hour: c.hour, median: round(c.median), count: c.count })),
+  };
+}
@@ -0,0 +1,354 @@
+// ── Statistics helpers shared by the CSV and JSON tools ──────────────────────
+// Plain functions over arrays of finite numbers: significance tests, bins,
+// quartiles, correlation and linear / logistic regression, all computed in the
+// browser. Distribution functions follow Numerical Recipes (erf by rational
+// approximation, regularized incomplete beta by continued fraction); accurate
+// to ~1e-7, plenty for p-values in chat.
+
+export const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+// Sample variance (n − 1).
+export const variance = (xs) => {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return xs.reduce((a, b) => a + (b - m) ** 2, 0) / (xs.length - 1);
+};
+
+// Complementary error function for x ≥ 0.
+const erfc = (x) => {
+  const t = 1 / (1 + 0.5 * x);
+  const poly =
+    -1.26551223 +
+    t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806 +
+    t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277))))))));
+  return t * Math.exp(-x * x + poly);
+};
+
+// Standard normal CDF.
+export const normalCdf = (z) => {
+  const tail = erfc(Math.abs(z) / Math.SQRT2) / 2;
+  return z >= 0 ? 1 - tail : tail;
+};
+
+const logGamma = (x) => {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  c.forEach((ci) => {
+    y += 1;
+    ser += ci / y;
+  });
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+};
+
+const betaContinuedFraction = (a, b, x) => {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-7) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta I_x(a, b).
+export const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+// Two-sided p-value of Student's t with df degrees of freedom.
+export const tTwoSidedP = (t, df) => incompleteBeta(df / (df + t * t), df / 2, 0.5);
+
+// Welch's unequal-variance t-test: { statistic, df, p }, or null when either
+// group has fewer than two values.
+export const welchTTest = (a, b) => {
+  if (a.length < 2 || b.length < 2) return null;
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const se = Math.sqrt(va + vb);
+  if (!se) return { statistic: 0, df: a.length + b.length - 2, p: mean(a) === mean(b) ? 1 : 0 };
+  const t = (mean(a) - mean(b)) / se;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { statistic: t, df, p: tTwoSidedP(t, df) };
+};
+
+// Mann–Whitney U with the normal approximation (tie-corrected, continuity
+// corrected): { statistic: U of `a`, z, p }, or null when a group is empty.
+export const mannWhitneyU = (a, b) => {
+  if (!a.length || !b.length) return null;
+  const all = [...a.map((v) => ({ v, g: 0 })), ...b.map((v) => ({ v, g: 1 }))].sort((x, y) => x.v - y.v);
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < all.length; ) {
+    let j = i;
+    while (j + 1 < all.length && all[j + 1].v === all[i].v) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) if (all[k].g === 0) rankSumA += rank;
+    const ties = j - i + 1;
+    tieTerm += ties ** 3 - ties;
+    i = j + 1;
+  }
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const sd = Math.sqrt(((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1))));
+  if (!sd) return { statistic: u, z: 0, p: 1 };
+  const diff = u - (n1 * n2) / 2;
+  const z = (diff - Math.sign(diff) * 0.5) / sd;
+  return { statistic: u, z, p: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+};
+
+// ── Descriptive helpers ───────────────────────────────────────────────────────
+
+// Linear-interpolated quantile of an ascending array, q in [0, 1].
+export const quantile = (sorted, q) => {
+  if (!sorted.length) return null;
+  const rank = Math.min(1, Math.max(0, q)) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+};
+
+// Equal-width bins: [{ from, to, count }]. Without `bins` the width follows
+// Freedman–Diaconis, clamped to 5–50 bins.
+export const histogram = (values, bins) => {
+  if (!values.length) return [];
+  const sorted = [...values].sort((a, b) => a - b);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [{ from: min, to: max, count: values.length }];
+  let k = Math.round(bins);
+  if (!k || k < 1) {
+    const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+    const width = (2 * iqr) / Math.cbrt(values.length);
+    k = width > 0 ? Math.ceil((max - min) / width) : Math.ceil(Math.log2(values.length) + 1);
+  }
+  k = Math.min(50, Math.max(5, k));
+  const width = (max - min) / k;
+  const out = Array.from({ length: k }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  values.forEach((v) => {
+    out[Math.min(k - 1, Math.floor((v - min) / width))].count += 1;
+  });
+  return out;
+};
+
+// Tukey box: quartiles, whiskers at the furthest values within 1.5 × IQR and
+// the values beyond them.
+export const boxStats = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const lowFence = q1 - 1.5 * (q3 - q1);
+  const highFence = q3 + 1.5 * (q3 - q1);
+  const inside = sorted.filter((v) => v >= lowFence && v <= highFence);
+  return {
+    n: sorted.length,
+    min: sorted[0],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    max: sorted[sorted.length - 1],
+    whiskerLow: inside[0],
+    whiskerHigh: inside[inside.length - 1],
+    outliers: sorted.filter((v) => v < lowFence || v > highFence),
+  };
+};
+
+// ── Correlation ───────────────────────────────────────────────────────────────
+
+export const pearson = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+// Average ranks (1-based), ties share their mean rank.
+export const ranks = (xs) => {
+  const order = xs.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+  const out = new Array(xs.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].v === order[i].v) j++;
+    for (let k = i; k <= j; k++) out[order[k].i] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return out;
+};
+
+export const spearman = (xs, ys) => pearson(ranks(xs), ranks(ys));
+
+// Two-sided p-value for a correlation coefficient r over n pairs.
+export const correlationP = (r, n) => {
+  if (r === null || n < 3) return null;
+  if (Math.abs(r) >= 1) return 0;
+  return tTwoSidedP(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+};
+
+// ── Regression ────────────────────────────────────────────────────────────────
+
+// Inverse of a square matrix by Gauss–Jordan elimination; null when singular.
+const invert = (m) => {
+  const n = m.length;
+  const a = m.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const p = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = a[r][col];
+      if (f) for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[col][j];
+    }
+  }
+  return a.map((row) => row.slice(n));
+};
+
+const withIntercept = (X) => X.map((row) => [1, ...row]);
+
+// Xᵀ W X for design matrix X (rows) and optional per-row weights.
+const gram = (X, w) => {
+  const k = X[0].length;
+  const out = Array.from({ length: k }, () => new Array(k).fill(0));
+  X.forEach((row, r) => {
+    const wr = w ? w[r] : 1;
+    for (let i = 0; i < k; i++) for (let j = i; j < k; j++) out[i][j] += wr * row[i] * row[j];
+  });
+  for (let i = 0; i < k; i++) for (let j = 0; j < i; j++) out[i][j] = out[j][i];
+  return out;
+};
+
+const matVec = (m, v) => m.map((row) => row.reduce((a, x, j) => a + x * v[j], 0));
+
+// Ordinary least squares with an intercept. X is an array of predictor rows.
+// Returns { coefficients: [intercept, ...], stdErrors, tValues, pValues, r2,
+// adjR2, n } or null when the predictors are collinear or too few rows.
+export const linearRegression = (X, y) => {
+  const n = y.length;
+  const D = withIntercept(X);
+  const k = D[0]?.length || 0;
+  if (!k || n <= k) return null;
+  const inv = invert(gram(D));
+  if (!inv) return null;
+  const Xty = new Array(k).fill(0);
+  D.forEach((row, r) => row.forEach((x, j) => { Xty[j] += x * y[r]; }));
+  const beta = matVec(inv, Xty);
+  const my = mean(y);
+  let sse = 0;
+  let sst = 0;
+  D.forEach((row, r) => {
+    const fit = row.reduce((a, x, j) => a + x * beta[j], 0);
+    sse += (y[r] - fit) ** 2;
+    sst += (y[r] - my) ** 2;
+  });
+  const sigma2 = sse / (n - k);
+  const stdErrors = inv.map((row, j) => Math.sqrt(Math.max(0, row[j] * sigma2)));
+  const tValues = beta.map((b, j) => (stdErrors[j] ? b / stdErrors[j] : null));
+  const r2 = sst ? 1 - sse / sst : 0;
+  return {
+    coefficients: beta,
+    stdErrors,
+    tValues,
+    pValues: tValues.map((t) => (t === null ? null : tTwoSidedP(t, n - k))),
+    r2,
+    adjR2: 1 - ((1 - r2) * (n - 1)) / (n - k),
+    n,
+  };
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Logistic regression (y in {0, 1}) by Newton–Raphson / IRLS. Returns
+// { coefficients, stdErrors, zValues, pValues, pseudoR2 (McFadden), accuracy,
+// converged, n } or null when the fit cannot be computed.
+export const logisticRegression = (X, y, { maxIter = 50 } = {}) => {
+  const n = y.length;
+  const D = withIntercept(X);
+  const k = D[0]?.length || 0;
+  if (!k || n <= k) return null;
+  const positives = y.reduce((a, b) => a + b, 0);
+  if (!positives || positives === n) return null;
+
+  let beta = new Array(k).fill(0);
+  let converged = false;
+  let info = null;
+  for (let iter = 0; iter < maxIter; iter++) {
+    const current = beta;
+    const p = D.map((row) => sigmoid(row.reduce((a, x, j) => a + x * current[j], 0)));
+    const w = p.map((pi) => Math.max(pi * (1 - pi), 1e-10));
+    const H = gram(D, w);
+    // A tiny ridge keeps perfectly separated data from blowing up the step.
+    H.forEach((row, i) => { row[i] += 1e-8; });
+    info = invert(H);
+    if (!info) return null;
+    const grad = new Array(k).fill(0);
+    D.forEach((row, r) => row.forEach((x, j) => { grad[j] += x * (y[r] - p[r]); }));
+    const step = matVec(info, grad);
+    beta = beta.map((b, j) => b + step[j]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) {
+      converged = true;
+      break;
+    }
+  }
+
+  let logLik = 0;
+  let correct = 0;
+  D.forEach((row, r) => {
+    const p = Math.min(1 - 1e-12, Math.max(1e-12, sigmoid(row.reduce((a, x, j) => a + x * beta[j], 0))));
+    logLik += y[r] ? Math.log(p) : Math.log(1 - p);
+    if ((p >= 0.5 ? 1 : 0) === y[r]) correct += 1;
+  });
+  const base = positives / n;
+  const nullLogLik = positives * Math.log(base) + (n - positives) * Math.log(1 - base);
+  const stdErrors = info.map((row, j) => Math.sqrt(Math.max(0, row[j])));
+  const zValues = beta.map((b, j) => (stdErrors[j] ? b / stdErrors[j] : null));
+  return {
+    coefficients: beta,
+    stdErrors,
+    zValues,
+    pValues: zValues.map((z) => (z === null ? null : 2 * (1 - normalCdf(Math.abs(z))))),
+    pseudoR2: 1 - logLik / nullLogLik,
+    accuracy: correct / n,
+    converged,
+    n,
+  };
+};
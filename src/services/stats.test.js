@@ -0,0 +1,109 @@
+import {
+  welchTTest,
+  mannWhitneyU,
+  logisticRegression,
+  linearRegression,
+  quantile,
+  spearman,
+  correlationP,
+} from './stats';
+
+// Reference values: Welch from the worked example on Wikipedia's "Welch's
+// t-test" page (t and df to more digits than it prints), Mann–Whitney from
+// R's wilcox.test(exact = FALSE), logistic regression from the hours-studied
+// example on Wikipedia's "Logistic regression" page (matches R's
+// glm(family = binomial)).
+
+describe('welchTTest', () => {
+  const a = [27.5, 21.0, 19.0, 23.6, 17.0, 17.9, 16.9, 20.1, 21.9, 22.6, 23.1, 19.6, 19.0, 21.7, 21.4];
+  const b = [27.1, 22.0, 20.8, 23.4, 23.4, 23.5, 25.8, 22.0, 24.8, 20.2, 21.9, 22.1, 22.9, 20.5, 24.4];
+
+  test('matches the reference t, df and p', () => {
+    const { statistic, df, p } = welchTTest(a, b);
+    expect(statistic).toBeCloseTo(-2.4554, 4);
+    expect(df).toBeCloseTo(24.9885, 4);
+    expect(p).toBeCloseTo(0.021, 3);
+  });
+
+  test('is antisymmetric in its groups', () => {
+    const ab = welchTTest(a, b);
+    const ba = welchTTest(b, a);
+    expect(ba.statistic).toBeCloseTo(-ab.statistic, 10);
+    expect(ba.p).toBeCloseTo(ab.p, 10);
+  });
+
+  test('handles tiny and constant groups', () => {
+    expect(welchTTest([1], [2, 3])).toBeNull();
+    expect(welchTTest([2, 2], [2, 2])).toEqual({ statistic: 0, df: 2, p: 1 });
+    expect(welchTTest([1, 1], [2, 2]).p).toBe(0);
+  });
+});
+
+describe('mannWhitneyU', () => {
+  test('completely separated groups', () => {
+    const { statistic, z, p } = mannWhitneyU([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]);
+    expect(statistic).toBe(0);
+    expect(z).toBeCloseTo(-2.5067, 4);
+    expect(p).toBeCloseTo(0.012186, 5);
+  });
+
+  test('ties get average ranks and the tie correction', () => {
+    const { statistic, z, p } = mannWhitneyU([1, 2, 2, 3, 5, 8], [2, 4, 5, 5, 9, 10, 12]);
+    expect(statistic).toBe(9);
+    expect(z).toBeCloseTo(-1.6612, 4);
+    expect(p).toBeCloseTo(0.09667, 5);
+  });
+
+  test('identical groups and empty groups', () => {
+    expect(mannWhitneyU([3, 3], [3, 3, 3])).toEqual({ statistic: 3, z: 0, p: 1 });
+    expect(mannWhitneyU([], [1])).toBeNull();
+  });
+});
+
+describe('logisticRegression (IRLS)', () => {
+  const hours = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 1.75, 2, 2.25, 2.5, 2.75, 3, 3.25, 3.5, 4, 4.25, 4.5, 4.75, 5, 5.5];
+  const passed = [0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 1, 1, 1, 1];
+
+  test('matches the reference coefficients, standard errors and p-values', () => {
+    const fit = logisticRegression(hours.map((h) => [h]), passed);
+    expect(fit.converged).toBe(true);
+    expect(fit.n).toBe(20);
+    expect(fit.coefficients[0]).toBeCloseTo(-4.0777, 3);
+    expect(fit.coefficients[1]).toBeCloseTo(1.5046, 3);
+    expect(fit.stdErrors[0]).toBeCloseTo(1.761, 2);
+    expect(fit.stdErrors[1]).toBeCloseTo(0.6287, 3);
+    expect(fit.pValues[0]).toBeCloseTo(0.0206, 3);
+    expect(fit.pValues[1]).toBeCloseTo(0.0167, 3);
+    expect(fit.accuracy).toBe(0.8);
+    expect(fit.pseudoR2).toBeGreaterThan(0.4);
+    expect(fit.pseudoR2).toBeLessThan(0.6);
+  });
+
+  test('returns null without both outcomes or with too few rows', () => {
+    expect(logisticRegression([[1], [2], [3]], [1, 1, 1])).toBeNull();
+    expect(logisticRegression([[1], [2]], [0, 1])).toBeNull();
+  });
+
+  test('perfectly separated data stays finite', () => {
+    const fit = logisticRegression([[1], [2], [3], [4], [5], [6]], [0, 0, 0, 1, 1, 1]);
+    expect(fit.accuracy).toBe(1);
+    fit.coefficients.forEach((c) => expect(Number.isFinite(c)).toBe(true));
+  });
+});
+
+describe('other helpers', () => {
+  test('linearRegression recovers an exact line', () => {
+    const fit = linearRegression([[1], [2], [3], [4]], [5, 8, 11, 14]);
+    expect(fit.coefficients[0]).toBeCloseTo(2, 10);
+    expect(fit.coefficients[1]).toBeCloseTo(3, 10);
+    expect(fit.r2).toBeCloseTo(1, 10);
+    expect(linearRegression([[1, 2], [2, 4], [3, 6], [4, 8]], [1, 2, 3, 4])).toBeNull();
+  });
+
+  test('quantile interpolates and spearman uses ranks', () => {
+    expect(quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(quantile([], 0.5)).toBeNull();
+    expect(spearman([1, 2, 3, 4], [1, 10, 100, 1000])).toBeCloseTo(1, 10);
+    expect(correlationP(0.5, 2)).toBeNull();
+  });
+});
@@ -0,0 +1,172 @@
+import { mannWhitneyU, spearman, correlationP, quantile } from './stats';
+
+// ── Text features for titles and tweets ──────────────────────────────────────
+// extractTextFeatures turns one title or tweet into countable features;
+// analyzeTextFeatures relates them, and every frequent word or phrase, to a
+// performance metric. Shared by the analyze_text_features tools in
+// jsonTools.js (video titles) and csvTools.js (tweet text).
+
+const URL_RE = /\bhttps?:\/\/\S+/gi;
+const MENTION_RE = /(^|\s)@\w+/g;
+const HASHTAG_RE = /(^|\s)#\w+/g;
+const EMOJI_RE = /\p{Extended_Pictographic}/gu;
+const NUMBER_RE = /\b\d[\d,.]*\b/g;
+const FIRST_PERSON = new Set(['i', "i'm", "i've", "i'd", "i'll", 'me', 'my', 'mine', 'myself', 'we', "we're", "we've", 'us', 'our', 'ours']);
+
+// Words too common to say anything on their own. Phrases are kept unless
+// every word in them is one of these.
+const STOP_WORDS = new Set(
+  ('a an and are as at be but by for from has have he her his how i in is it its of on or so that the their them ' +
+    'they this to was we were what when which who why will with you your rt amp just not no do does did can')
+    .split(' ')
+);
+
+export const TEXT_FEATURES = [
+  { key: 'length', label: 'Characters' },
+  { key: 'words', label: 'Words' },
+  { key: 'question_marks', label: 'Question marks' },
+  { key: 'exclamation_marks', label: 'Exclamation marks' },
+  { key: 'numbers', label: 'Numbers' },
+  { key: 'all_caps_words', label: 'ALL-CAPS words' },
+  { key: 'emojis', label: 'Emojis' },
+  { key: 'first_person', label: 'First-person pronouns' },
+  { key: 'hashtags', label: 'Hashtags' },
+  { key: 'mentions', label: '@mentions' },
+  { key: 'urls', label: 'Links' },
+];
+
+const count = (text, re) => (text.match(re) || []).length;
+
+// Lower-cased word tokens without links, mentions and hashtags.
+export const tokenize = (text) =>
+  String(text || '')
+    .replace(URL_RE, ' ')
+    .replace(MENTION_RE, ' ')
+    .replace(HASHTAG_RE, ' ')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}']+/gu)
+    ?.map((w) => w.replace(/^'+|'+$/g, ''))
+    .filter(Boolean) || [];
+
+export function extractTextFeatures(raw) {
+  const text = String(raw || '');
+  const words = text.replace(URL_RE, ' ').split(/\s+/).filter(Boolean);
+  return {
+    length: text.length,
+    words: words.length,
+    question_marks: count(text, /\?/g),
+    exclamation_marks: count(text, /!/g),
+    numbers: count(text.replace(URL_RE, ' '), NUMBER_RE),
+    all_caps_words: words.filter((w) => {
+      const letters = w.replace(/[^\p{L}]/gu, '');
+      return letters.length >= 2 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+    }).length,
+    emojis: count(text, EMOJI_RE),
+    first_person: tokenize(text).filter((w) => FIRST_PERSON.has(w)).length,
+    hashtags: count(text, HASHTAG_RE),
+    mentions: count(text, MENTION_RE),
+    urls: count(text, URL_RE),
+  };
+}
+
+// Distinct n-grams (1..maxN words) of one text.
+export function ngrams(text, maxN = 2) {
+  const tokens = tokenize(text);
+  const out = new Set();
+  for (let n = 1; n <= maxN; n++) {
+    for (let i = 0; i + n <= tokens.length; i++) {
+      const gram = tokens.slice(i, i + n);
+      if (gram.every((w) => STOP_WORDS.has(w) || /^\d+$/.test(w))) continue;
+      out.add(gram.join(' '));
+    }
+  }
+  return out;
+}
+
+const median = (values) => (values.length ? quantile([...values].sort((a, b) => a - b), 0.5) : null);
+
+const round = (v, digits = 4) => (v === null || v === undefined || !Number.isFinite(v) ? null : +v.toPrecision(digits));
+
+// Median of the metric with vs without, and the ratio between them.
+const split = (values, has) => {
+  const withIt = [];
+  const without = [];
+  values.forEach((v, i) => (has[i] ? withIt : without).push(v));
+  const mWith = median(withIt);
+  const mWithout = median(without);
+  return {
+    withIt,
+    without,
+    median_with: round(mWith),
+    median_without: round(mWithout),
+    lift: mWith !== null && mWithout ? round(mWith / mWithout, 3) : null,
+  };
+};
+
+// items: [{ text, value }] with numeric values. Returns { n, features,
+// phrases_up, phrases_down } or { error }:
+//   features — per feature: share of texts that have it, Spearman r with the
+//              metric and its p-value, median metric with / without, lift;
+//              sorted by |r|.
+//   phrases  — words and phrases in at least `minDocs` texts, ranked by the
+//              Mann–Whitney z of the metric with vs without them; phrases_up
+//              go with higher values, phrases_down with lower.
+export function analyzeTextFeatures(items, { maxN = 2, minDocs, top = 15 } = {}) {
+  const usable = items.filter((it) => typeof it.value === 'number' && Number.isFinite(it.value) && it.text);
+  if (usable.length < 8) return { error: `Need at least 8 texts with a numeric metric (found ${usable.length}).` };
+  const values = usable.map((it) => it.value);
+  const feats = usable.map((it) => extractTextFeatures(it.text));
+
+  const features = TEXT_FEATURES.map(({ key, label }) => {
+    const xs = feats.map((f) => f[key]);
+    const has = xs.map((x) => x > 0);
+    const r = spearman(xs, values);
+    const { median_with, median_without, lift } = split(values, has);
+    return {
+      feature: label,
+      key,
+      share: round(has.filter(Boolean).length / usable.length, 3),
+      mean: round(xs.reduce((a, b) => a + b, 0) / xs.length, 3),
+      spearman_r: round(r, 3),
+      p_value: r === null ? null : round(correlationP(r, usable.length), 3),
+      median_with,
+      median_without,
+      lift,
+    };
+  }).sort((a, b) => Math.abs(b.spearman_r ?? 0) - Math.abs(a.spearman_r ?? 0));
+
+  const docs = usable.map((it) => ngrams(it.text, Math.min(3, Math.max(1, maxN))));
+  const threshold = minDocs || Math.max(3, Math.ceil(usable.length * 0.02));
+  const freq = new Map();
+  docs.forEach((grams) => grams.forEach((g) => freq.set(g, (freq.get(g) || 0) + 1)));
+
+  const phrases = [];
+  freq.forEach((n, phrase) => {
+    if (n < threshold || n === usable.length) return;
+    const has = docs.map((grams) => grams.has(phrase));
+    const { withIt, without, median_with, median_without, lift } = split(values, has);
+    const test = mannWhitneyU(withIt, without);
+    if (!test) return;
+    phrases.push({ phrase, docs: n, median_with, median_without, lift, z: round(test.z, 3), p_value: round(test.p, 3) });
+  });
+  // Nested phrases ("new" inside "new video") both rank; that is expected.
+  phrases.sort((a, b) => b.z - a.z);
+
+  return {
+    n: usable.length,
+    min_docs: threshold,
+    features,
+    phrases_up: phrases.filter((p) => p.z > 0).slice(0, top),
+    phrases_down: phrases.filter((p) => p.z < 0).reverse().slice(0, top),
+  };
+}
+
+// Tool result with a `_chartType: 'text_features'` payload: sortable tables in
+// Chat.js. The model sees the same rows.
+export const textFeaturesResult = (analysis, { metric, source }) => ({
+  _chartType: 'text_features',
+  title: `What in the ${source} goes with higher ${metric}`,
+  metric,
+  source,
+  ...analysis,
+});
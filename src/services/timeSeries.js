@@ -0,0 +1,104 @@
+import { quantile } from './stats';
+
+// ── Metric-vs-time series ────────────────────────────────────────────────────
+// Builds the multi-series `metric_vs_time` payload drawn by
+// MetricVsTimeChart.js. Each input series is { name, source, axis, points }
+// with points [{ date (ISO), value, label, id? }], one per video or tweet.
+// Series can be resampled to weekly or monthly buckets and smoothed with a
+// rolling mean, and several metrics or sources (two channels, a channel and a
+// CSV) share one date axis.
+//
+// Payload rows are { date, s0, s0_label, s1, s1_label, ... }; `series` lists
+// { key, name, axis, labelKey, rolling? } so the chart knows which line goes
+// on which axis and where its per-point label lives.
+
+export const RESAMPLE_PERIODS = ['none', 'week', 'month'];
+export const RESAMPLE_AGGS = ['mean', 'median', 'sum'];
+
+const DAY_MS = 86400000;
+
+// Monday of the ISO week (UTC) or the month, as the bucket's date string.
+const periodKey = (iso, period) => {
+  const d = new Date(iso);
+  if (period === 'month') return iso.slice(0, 7);
+  const monday = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+  return new Date(monday).toISOString().slice(0, 10);
+};
+
+const aggregate = (values, agg) => {
+  if (agg === 'sum') return values.reduce((a, b) => a + b, 0);
+  if (agg === 'median') return quantile([...values].sort((a, b) => a - b), 0.5);
+  return values.reduce((a, b) => a + b, 0) / values.length;
+};
+
+// Buckets points by week or month; each bucket's label counts its posts.
+export function resample(points, period, agg = 'mean', unit = 'videos') {
+  const buckets = new Map();
+  points.forEach((p) => {
+    const key = periodKey(p.date, period);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(p.value);
+  });
+  return [...buckets.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([date, values]) => ({
+      date,
+      value: aggregate(values, agg),
+      label: `${values.length} ${values.length === 1 ? unit.replace(/s$/, '') : unit}`,
+    }));
+}
+
+// Trailing mean over the last `window` values (fewer at the start).
+export function rollingMean(values, window) {
+  let sum = 0;
+  return values.map((v, i) => {
+    sum += v;
+    if (i >= window) sum -= values[i - window];
+    return sum / Math.min(i + 1, window);
+  });
+}
+
+const round = (v) => (Math.abs(v) >= 100 ? Math.round(v) : +v.toPrecision(4));
+
+// series: [{ name, source, axis ('left' | 'right'), unit, points }]
+// options: { resample, agg, rolling, logScale }
+// Returns { series, data, points } or { error }.
+export function buildTimeSeries(seriesList, { resample: period = 'none', agg = 'mean', rolling = 0, logScale = false } = {}) {
+  const rows = new Map();
+  const series = [];
+  let points = 0;
+
+  seriesList.forEach((s, i) => {
+    const key = `s${i}`;
+    let pts = s.points
+      .filter((p) => p.date && typeof p.value === 'number' && Number.isFinite(p.value))
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    // A log axis cannot show zero or negative values.
+    if (logScale) pts = pts.filter((p) => p.value > 0);
+    if (!pts.length) return;
+    if (period !== 'none') pts = resample(pts, period, agg, s.unit);
+    else pts = pts.map((p) => ({ ...p, date: p.date.slice(0, 10) }));
+    points += pts.length;
+
+    const name = s.source ? `${s.name} · ${s.source}` : s.name;
+    series.push({ key, name, axis: s.axis || 'left', labelKey: `${key}_label` });
+    const avg = rolling > 1 ? rollingMean(pts.map((p) => p.value), rolling) : null;
+    if (avg) series.push({ key: `${key}_avg`, name: `${name} (${rolling}-pt avg)`, axis: s.axis || 'left', rolling: true });
+
+    pts.forEach((p, j) => {
+      // Resampled buckets merge across series by date. Single posts share a
+      // row only with the same post's other metrics (same id), so two uploads
+      // on one day keep their own labels.
+      const rowKey = period !== 'none' ? p.date : `${p.date}|${p.id ?? `${key}-${j}`}`;
+      if (!rows.has(rowKey)) rows.set(rowKey, { date: p.date });
+      const row = rows.get(rowKey);
+      row[key] = round(p.value);
+      if (p.label) row[`${key}_label`] = p.label;
+      if (avg) row[`${key}_avg`] = round(avg[j]);
+    });
+  });
+
+  if (!series.length) return { error: 'No dated numeric values to plot.' };
+  const data = [...rows.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  return { series, data, points };
+}
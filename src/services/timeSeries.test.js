@@ -0,0 +1,100 @@
+import { resample, rollingMean, buildTimeSeries } from './timeSeries';
+
+const point = (date, value, extra = {}) => ({ date: `${date}T12:00:00Z`, value, ...extra });
+
+describe('resample', () => {
+  // 2024-01-01 is a Monday; the 7th a Sunday; the 8th the next Monday.
+  const points = [
+    point('2024-01-01', 10),
+    point('2024-01-07', 30),
+    point('2024-01-08', 5),
+    point('2024-01-31', 7),
+    point('2024-02-01', 100),
+  ];
+
+  test('weeks start on their ISO Monday and count their posts', () => {
+    expect(resample(points, 'week')).toEqual([
+      { date: '2024-01-01', value: 20, label: '2 videos' },
+      { date: '2024-01-08', value: 5, label: '1 video' },
+      { date: '2024-01-29', value: 53.5, label: '2 videos' },
+    ]);
+  });
+
+  test('months aggregate by mean, median or sum', () => {
+    expect(resample(points, 'month', 'sum', 'tweets')).toEqual([
+      { date: '2024-01', value: 52, label: '4 tweets' },
+      { date: '2024-02', value: 100, label: '1 tweet' },
+    ]);
+    expect(resample(points, 'month', 'median').map((b) => b.value)).toEqual([8.5, 100]);
+    expect(resample(points, 'month').map((b) => b.value)).toEqual([13, 100]);
+  });
+
+  test('a Sunday late in UTC stays in its own week', () => {
+    expect(resample([{ date: '2024-01-07T23:59:00Z', value: 1 }], 'week')[0].date).toBe('2024-01-01');
+  });
+});
+
+describe('rollingMean', () => {
+  test('is a trailing mean that uses fewer values at the start', () => {
+    expect(rollingMean([1, 2, 3, 4, 5], 3)).toEqual([1, 1.5, 2, 3, 4]);
+  });
+
+  test('a window of one or larger than the series', () => {
+    expect(rollingMean([4, 8], 1)).toEqual([4, 8]);
+    expect(rollingMean([2, 4, 6], 10)).toEqual([2, 3, 4]);
+    expect(rollingMean([], 3)).toEqual([]);
+  });
+});
+
+describe('buildTimeSeries', () => {
+  const views = {
+    name: 'view_count',
+    axis: 'left',
+    points: [
+      point('2024-01-03', 300, { id: 'b', label: 'Second' }),
+      point('2024-01-01', 100, { id: 'a', label: 'First' }),
+      point('2024-01-03', 200, { id: 'c', label: 'Third' }),
+      point('2024-01-05', Number.NaN, { id: 'd' }),
+    ],
+  };
+  const likes = {
+    name: 'like_count',
+    axis: 'right',
+    points: [point('2024-01-01', 10, { id: 'a', label: 'First' }), point('2024-01-03', 0, { id: 'b', label: 'Second' })],
+  };
+
+  test('one row per post, shared by the same post across metrics', () => {
+    const { series, data, points } = buildTimeSeries([views, likes]);
+    expect(series.map((s) => [s.key, s.name, s.axis])).toEqual([
+      ['s0', 'view_count', 'left'],
+      ['s1', 'like_count', 'right'],
+    ]);
+    expect(points).toBe(5);
+    expect(data).toEqual([
+      { date: '2024-01-01', s0: 100, s0_label: 'First', s1: 10, s1_label: 'First' },
+      { date: '2024-01-03', s0: 300, s0_label: 'Second', s1: 0, s1_label: 'Second' },
+      { date: '2024-01-03', s0: 200, s0_label: 'Third' },
+    ]);
+  });
+
+  test('rolling averages add a dashed series per line', () => {
+    const { series, data } = buildTimeSeries([views], { rolling: 2 });
+    expect(series[1]).toEqual({ key: 's0_avg', name: 'view_count (2-pt avg)', axis: 'left', rolling: true });
+    expect(data.map((r) => r.s0_avg)).toEqual([100, 200, 250]);
+  });
+
+  test('resampled series merge by bucket date', () => {
+    const { data } = buildTimeSeries([views, likes], { resample: 'week', agg: 'sum' });
+    expect(data).toEqual([{ date: '2024-01-01', s0: 600, s0_label: '3 videos', s1: 10, s1_label: '2 videos' }]);
+  });
+
+  test('a log scale drops zero values', () => {
+    const { data } = buildTimeSeries([likes], { logScale: true });
+    expect(data).toEqual([{ date: '2024-01-01', s0: 10, s0_label: 'First' }]);
+  });
+
+  test('sources name their series and empty input is an error', () => {
+    expect(buildTimeSeries([{ ...views, source: 'veritasium' }]).series[0].name).toBe('view_count · veritasium');
+    expect(buildTimeSeries([{ name: 'x', points: [] }])).toEqual({ error: 'No dated numeric values to plot.' });
+  });
+});
@@ -0,0 +1,292 @@
+// ── play_video query matching ────────────────────────────────────────────────
+// Turns a free-text request ("the third video", "most viewed from October
+// 2024", "that one about quantm tunneling") into one video from a list of
+// normalized videos (videoNormalizer.js). The query is read in three passes:
+//   1. a date range — "October 2024", "2023", "2024-05", "last month",
+//      "past 30 days" — narrows the candidates by published_at (UTC);
+//   2. an ordering with an optional ordinal — "most viewed", "least liked",
+//      "latest", "oldest", "second to last", "3rd" — ranks them;
+//   3. whatever words are left are matched against titles, allowing typos.
+// Plain ordinals count uploads from the oldest ("first video" is the first
+// upload); "latest", "newest" or "last" count from the newest. A bare year
+// ("2024") or superlative ("best", "top") is only read as a date or ranking
+// when the other words match no title, since it may be part of one ("my 2024
+// recap", "the best pizza in NYC").
+// Returns { video, reason }, { ambiguous: true, candidates, reason } or
+// { error, candidates }.
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_RE = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const monthIndex = (name) => MONTHS.findIndex((m) => m.startsWith(name.slice(0, 3)));
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const ORDINAL_RE = `(${ORDINALS.join('|')}|\\d+(?:st|nd|rd|th))`;
+const ordinalIndex = (word) => (/^\d/.test(word) ? parseInt(word, 10) - 1 : ORDINALS.indexOf(word));
+
+// Words that say how to pick rather than which video to pick.
+const FILLER = new Set(
+  ('a an the and or of to in on at for from with about called titled named that this one video videos clip upload ' +
+    'uploads play open show watch see me my i can could you please want would like his her their channel is was ' +
+    'it its here there now again just let lets us inline embed embedded chat player')
+    .split(' ')
+);
+
+// Titles must score at least this (0–1) to count as a match; candidates within
+// AMBIGUOUS_GAP of the best are reported together instead of guessing.
+const MIN_SCORE = 0.7;
+const AMBIGUOUS_GAP = 0.05;
+
+const utc = (y, m, d = 1) => Date.UTC(y, m, d);
+
+// ── 1. Date range ──
+
+// Returns { start, end (exclusive, ms), label, rest, bare? } or null; `bare`
+// is the year when it came without "in"/"from"/… (off with { bare: false }).
+export function parseDateRange(query, now = new Date(), { bare = true } = {}) {
+  const take = (match, start, end, label, extra) => ({ start, end, label, rest: query.replace(match[0], ' '), ...extra });
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  let match;
+
+  if ((match = query.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    const [yy, mm, dd] = [+match[1], +match[2] - 1, +match[3]];
+    return take(match, utc(yy, mm, dd), utc(yy, mm, dd + 1), match[0]);
+  }
+  if ((match = query.match(/\b(\d{4})-(\d{2})\b/))) {
+    const [yy, mm] = [+match[1], +match[2] - 1];
+    return take(match, utc(yy, mm), utc(yy, mm + 1), match[0]);
+  }
+  if ((match = query.match(new RegExp(`\\b${MONTH_RE}\\.? (\\d{1,2})(?:st|nd|rd|th)?,? (\\d{4})\\b`)))) {
+    const [mm, dd, yy] = [monthIndex(match[1]), +match[2], +match[3]];
+    return take(match, utc(yy, mm, dd), utc(yy, mm, dd + 1), `${MONTHS[mm]} ${dd}, ${yy}`);
+  }
+  if ((match = query.match(new RegExp(`\\b${MONTH_RE}\\.?,? (?:of )?(\\d{4})\\b`)))) {
+    const [mm, yy] = [monthIndex(match[1]), +match[2]];
+    return take(match, utc(yy, mm), utc(yy, mm + 1), `${MONTHS[mm]} ${yy}`);
+  }
+  if ((match = query.match(/\b(?:in|from|during|of) ((?:19|20)\d{2})\b/))) {
+    const yy = +match[1];
+    return take(match, utc(yy, 0), utc(yy + 1, 0), String(yy));
+  }
+  if (bare && (match = query.match(/\b((?:19|20)\d{2})\b/))) {
+    const yy = +match[1];
+    return take(match, utc(yy, 0), utc(yy + 1, 0), String(yy), { bare: match[1] });
+  }
+  if ((match = query.match(/\b(this|last) (week|month|year)\b/))) {
+    const back = match[1] === 'last' ? 1 : 0;
+    if (match[2] === 'year') return take(match, utc(y - back, 0), utc(y - back + 1, 0), match[0]);
+    if (match[2] === 'month') return take(match, utc(y, m - back), utc(y, m - back + 1), match[0]);
+    const monday = utc(y, m, now.getUTCDate() - ((now.getUTCDay() + 6) % 7));
+    return take(match, monday - back * 7 * 86400000, monday + (1 - back) * 7 * 86400000, match[0]);
+  }
+  if ((match = query.match(/\b(?:past|last) (\d+) (day|week|month)s?\b/))) {
+    const days = +match[1] * { day: 1, week: 7, month: 30 }[match[2]];
+    return take(match, +now - days * 86400000, +now + 1, match[0]);
+  }
+  // A month without a year means its most recent occurrence.
+  if ((match = query.match(new RegExp(`\\b(?:in|from|during) ${MONTH_RE}\\b`)))) {
+    const mm = monthIndex(match[1]);
+    const yy = mm <= m ? y : y - 1;
+    return take(match, utc(yy, mm), utc(yy, mm + 1), `${MONTHS[mm]} ${yy}`);
+  }
+  return null;
+}
+
+// ── 2. Ordering and ordinal ──
+
+const byField = (field, dir) => (a, b) => dir * ((a[field] ?? -Infinity) - (b[field] ?? -Infinity));
+const byDate = (dir) => (a, b) => dir * (Date.parse(a.published_at || 0) - Date.parse(b.published_at || 0));
+
+// `bare` entries are single words that also show up in titles; they come last
+// so an explicit ranking elsewhere in the query wins.
+const ORDERINGS = [
+  { re: /\bmost (viewed|popular|watched)\b/, label: 'most viewed', sort: byField('view_count', -1) },
+  { re: /\bleast (viewed|popular|watched)\b/, label: 'least viewed', sort: byField('view_count', 1) },
+  { re: /\bmost liked\b/, label: 'most liked', sort: byField('like_count', -1) },
+  { re: /\bleast liked\b/, label: 'least liked', sort: byField('like_count', 1) },
+  { re: /\bmost commented\b/, label: 'most commented', sort: byField('comment_count', -1) },
+  { re: /\bleast commented\b/, label: 'least commented', sort: byField('comment_count', 1) },
+  { re: /\blongest\b/, label: 'longest', sort: byField('duration', -1) },
+  { re: /\bshortest\b/, label: 'shortest', sort: byField('duration', 1) },
+  { re: /\b(latest|newest|most recent|recent|last|to last)\b/, label: 'newest', sort: byDate(-1) },
+  { re: /\b(oldest|earliest)\b/, label: 'oldest', sort: byDate(1) },
+  { re: /\b(top|best|biggest|highest)\b/, label: 'most viewed', sort: byField('view_count', -1), bare: true },
+  { re: /\b(worst|lowest)\b/, label: 'least viewed', sort: byField('view_count', 1), bare: true },
+];
+
+// Returns { sort, label, index, rest, bare? } or null; `bare` is the word a
+// bare superlative ranked by (skipped with { bare: false }).
+export function parseOrdering(query, { bare = true } = {}) {
+  let rest = query;
+  let index = 0;
+  let hasOrdinal = false;
+  const ord = rest.match(new RegExp(`\\b${ORDINAL_RE}\\b`));
+  if (ord && ordinalIndex(ord[1]) >= 0) {
+    index = ordinalIndex(ord[1]);
+    hasOrdinal = true;
+    rest = rest.replace(ord[0], ' ');
+  }
+  const ordering = ORDERINGS.find((o) => (bare || !o.bare) && o.re.test(rest));
+  if (ordering) {
+    const word = rest.match(ordering.re)[0];
+    rest = rest.replace(ordering.re, ' ');
+    const label = index ? `${ord[1]} ${ordering.label}` : ordering.label;
+    return { sort: ordering.sort, label, index, rest, ...(ordering.bare ? { bare: word } : {}) };
+  }
+  if (hasOrdinal) return { sort: byDate(1), label: `${ord[1]} upload`, index, rest };
+  return null;
+}
+
+// ── 3. Fuzzy title score ──
+
+const normalize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ');
+
+const words = (text) => normalize(text).split(/\s+/).filter(Boolean);
+
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// 1 for the same word, 0.9 for a prefix ("quant" → "quantum"), otherwise the
+// edit-distance similarity, with anything under 0.6 counting as no match.
+const wordSimilarity = (term, word) => {
+  if (term === word) return 1;
+  if (term.length >= 3 && word.startsWith(term)) return 0.9;
+  const sim = 1 - levenshtein(term, word) / Math.max(term.length, word.length);
+  return sim >= 0.6 ? sim : 0;
+};
+
+// Mean best-word similarity of the query terms, or 1 when the whole phrase
+// appears in the title as is.
+export function titleScore(terms, title) {
+  if (!terms.length) return 0;
+  const titleWords = words(title);
+  if (!titleWords.length) return 0;
+  if (titleWords.join(' ').includes(terms.join(' '))) return 1;
+  const total = terms.reduce((sum, t) => sum + Math.max(...titleWords.map((w) => wordSimilarity(t, w))), 0);
+  return total / terms.length;
+}
+
+// ── Matcher ──
+
+const candidate = (v, score) => ({
+  video_id: v.video_id,
+  title: v.title,
+  published_at: v.published_at ? v.published_at.slice(0, 10) : null,
+  view_count: v.view_count,
+  ...(score !== undefined ? { score: +score.toFixed(2) } : {}),
+});
+
+// Date range, ordering and leftover title terms of a lowercased query.
+const readQuery = (query, now, bare) => {
+  const range = parseDateRange(query, now, { bare });
+  const ordering = parseOrdering(range ? range.rest : query, { bare });
+  const terms = words(ordering ? ordering.rest : range ? range.rest : query).filter((w) => !FILLER.has(w));
+  return { range, ordering, terms };
+};
+
+const titleMatches = (pool, terms) =>
+  pool
+    .map((v) => ({ v, score: titleScore(terms, v.title) }))
+    .filter((s) => s.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+export function matchVideo(videos, which, { now = new Date() } = {}) {
+  // Dates need their hyphens and commas, so only titles go through normalize().
+  const query = String(which || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  let { range, ordering, terms } = readQuery(query, now, true);
+
+  // When the other words already match a title, a bare year or superlative is
+  // read as part of the title instead. If that finds nothing, the titles the
+  // other words matched are offered rather than picking by date or views.
+  const bareNote = range?.bare
+    ? `"${range.bare}" could be a date`
+    : ordering?.bare
+      ? `"${ordering.bare}" could be a ranking`
+      : '';
+  let otherTerms = [];
+  if (bareNote && terms.length && titleMatches(videos, terms).length) {
+    otherTerms = terms;
+    ({ range, ordering, terms } = readQuery(query, now, false));
+  }
+
+  let pool = videos;
+  const why = [];
+  if (range) {
+    pool = pool.filter((v) => {
+      const t = Date.parse(v.published_at || '');
+      return t >= range.start && t < range.end;
+    });
+    if (!pool.length) return { error: `No videos were published in ${range.label}.`, candidates: [] };
+    why.push(`published in ${range.label}`);
+  }
+
+  let scored = [];
+  if (terms.length) {
+    scored = titleMatches(pool, terms);
+    if (scored.length) {
+      pool = scored.map((s) => s.v);
+      why.push(`title matches "${terms.join(' ')}"`);
+    } else if (otherTerms.length && titleMatches(pool, otherTerms).length) {
+      return {
+        ambiguous: true,
+        reason: `${bareNote} or part of a title`,
+        candidates: titleMatches(pool, otherTerms)
+          .slice(0, 5)
+          .map((s) => candidate(s.v, s.score)),
+      };
+    } else if (!ordering && !range) {
+      const closest = videos
+        .map((v) => ({ v, score: titleScore(terms, v.title) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3);
+      return {
+        error: `No video title matches "${terms.join(' ')}". Closest: ${closest.map((c) => `"${c.v.title}"`).join(', ')}.`,
+        candidates: closest.map((c) => candidate(c.v, c.score)),
+      };
+    }
+    // With an ordering or a date, leftover words that match nothing are noise.
+  }
+
+  if (ordering) {
+    const ranked = [...pool].sort(ordering.sort);
+    const video = ranked[ordering.index];
+    if (!video) return { error: `Only ${ranked.length} video(s) to pick the ${ordering.label} from.`, candidates: [] };
+    return { video, reason: [ordering.label, ...why].join(', ') };
+  }
+
+  if (scored.length) {
+    const close = scored.filter((s) => s.score >= scored[0].score - AMBIGUOUS_GAP);
+    if (close.length === 1) return { video: close[0].v, reason: why.join(', ') };
+    return {
+      ambiguous: true,
+      reason: why.join(', '),
+      candidates: close.slice(0, 5).map((s) => candidate(s.v, s.score)),
+    };
+  }
+
+  if (range) {
+    if (pool.length === 1) return { video: pool[0], reason: why.join(', ') };
+    return {
+      ambiguous: true,
+      reason: why.join(', '),
+      candidates: [...pool].sort(byDate(-1)).slice(0, 5).map((v) => candidate(v)),
+    };
+  }
+
+  const latest = [...videos].sort(byDate(-1))[0];
+  return { video: latest, reason: 'no title, date or ranking given, so the latest upload' };
+}
@@ -0,0 +1,161 @@
+import { matchVideo, parseDateRange, parseOrdering, titleScore } from './videoMatcher';
+
+const video = (video_id, title, published_at, view_count, like_count = 0) => ({
+  video_id,
+  title,
+  published_at: `${published_at}T15:00:00Z`,
+  view_count,
+  like_count,
+});
+
+// Upload order: tunnel, nyc, oven, rocket, rockets, recap.
+const VIDEOS = [
+  video('nyc', 'The Best Pizza in NYC', '2023-11-02', 800, 90),
+  video('tunnel', 'Why Quantum Tunneling Is Weird', '2023-03-10', 5000, 400),
+  video('oven', 'Pizza Oven Build', '2024-03-05', 20000, 300),
+  video('rocket', 'Rocket Science Explained', '2024-10-12', 3000, 50),
+  video('rockets', 'Rockets Explained Again', '2024-10-20', 2900, 700),
+  video('recap', 'My 2024 Recap', '2025-01-02', 1200, 10),
+];
+
+const NOW = new Date('2025-01-15T12:00:00Z');
+const pick = (which) => matchVideo(VIDEOS, which, { now: NOW }).video?.video_id;
+
+describe('ordinals and rankings', () => {
+  test('plain ordinals count from the oldest upload', () => {
+    expect(pick('first video')).toBe('tunnel');
+    expect(pick('play the third video')).toBe('oven');
+    expect(pick('2nd upload')).toBe('nyc');
+  });
+
+  test('latest, last and "to last" count from the newest', () => {
+    expect(pick('latest')).toBe('recap');
+    expect(pick('second to last')).toBe('rockets');
+    expect(pick('second latest video')).toBe('rockets');
+    expect(pick('oldest')).toBe('tunnel');
+  });
+
+  test('ordinals combine with rankings', () => {
+    expect(pick('most viewed')).toBe('oven');
+    expect(pick('3rd most viewed')).toBe('rocket');
+    expect(pick('most liked')).toBe('rockets');
+    expect(pick('least viewed video')).toBe('nyc');
+  });
+
+  test('an ordinal past the end is an error', () => {
+    expect(matchVideo(VIDEOS, 'tenth video').error).toMatch(/Only 6 video/);
+  });
+
+  test('parseOrdering reports what it read', () => {
+    expect(parseOrdering('second to last')).toMatchObject({ label: 'second newest', index: 1 });
+    expect(parseOrdering('least liked clip')).toMatchObject({ label: 'least liked', index: 0, rest: '  clip' });
+    expect(parseOrdering('quantum tunneling')).toBeNull();
+  });
+});
+
+describe('date ranges', () => {
+  const month = (query, now = NOW) => {
+    const r = parseDateRange(query, now);
+    return r && [new Date(r.start).toISOString().slice(0, 10), new Date(r.end).toISOString().slice(0, 10), r.label];
+  };
+
+  test('a month without a year is its most recent occurrence', () => {
+    expect(month('in march')).toEqual(['2024-03-01', '2024-04-01', 'march 2024']);
+    expect(month('from december')).toEqual(['2024-12-01', '2025-01-01', 'december 2024']);
+    expect(month('in january')).toEqual(['2025-01-01', '2025-02-01', 'january 2025']);
+    expect(month('in march', new Date('2025-03-02T00:00:00Z'))).toEqual(['2025-03-01', '2025-04-01', 'march 2025']);
+  });
+
+  test('explicit days, months and years', () => {
+    expect(month('2024-05')).toEqual(['2024-05-01', '2024-06-01', '2024-05']);
+    expect(month('on 2024-03-05')).toEqual(['2024-03-05', '2024-03-06', '2024-03-05']);
+    expect(month('march 3rd, 2024')).toEqual(['2024-03-03', '2024-03-04', 'march 3, 2024']);
+    expect(month('oct 2024')).toEqual(['2024-10-01', '2024-11-01', 'october 2024']);
+    expect(month('from 2023')).toEqual(['2023-01-01', '2024-01-01', '2023']);
+  });
+
+  test('relative ranges', () => {
+    expect(month('last month')).toEqual(['2024-12-01', '2025-01-01', 'last month']);
+    expect(month('this year')).toEqual(['2025-01-01', '2026-01-01', 'this year']);
+    expect(month('last week')).toEqual(['2025-01-06', '2025-01-13', 'last week']);
+    const past = parseDateRange('past 30 days', NOW);
+    expect(past.end - past.start).toBe(30 * 86400000 + 1);
+    expect(parseDateRange('quantum tunneling', NOW)).toBeNull();
+  });
+
+  test('ranges narrow the pool before ranking', () => {
+    expect(pick('most viewed from October 2024')).toBe('rocket');
+    expect(pick('latest in 2023')).toBe('nyc');
+    expect(matchVideo(VIDEOS, 'from 2019').error).toMatch(/No videos were published in 2019/);
+  });
+
+  test('a range alone with several videos is ambiguous, newest first', () => {
+    const out = matchVideo(VIDEOS, 'videos from 2023', { now: NOW });
+    expect(out.ambiguous).toBe(true);
+    expect(out.candidates.map((c) => c.video_id)).toEqual(['nyc', 'tunnel']);
+  });
+});
+
+describe('fuzzy titles', () => {
+  test('tolerates typos and prefixes', () => {
+    expect(pick('that one about quantm tuneling')).toBe('tunnel');
+    expect(pick('quant')).toBe('tunnel');
+    expect(titleScore(['quantum', 'tunneling'], 'Why Quantum Tunneling Is Weird')).toBe(1);
+  });
+
+  test('equally good titles are ambiguous', () => {
+    const out = matchVideo(VIDEOS, 'explained', { now: NOW });
+    expect(out.ambiguous).toBe(true);
+    expect(out.candidates.map((c) => c.video_id).sort()).toEqual(['rocket', 'rockets']);
+  });
+
+  test('no matching title is an error listing the closest', () => {
+    const out = matchVideo(VIDEOS, 'knitting tutorial', { now: NOW });
+    expect(out.error).toMatch(/No video title matches "knitting tutorial"/);
+    expect(out.candidates).toHaveLength(3);
+  });
+
+  test('title words combine with rankings and dates', () => {
+    expect(pick('most viewed rocket video')).toBe('rocket');
+    expect(pick('rockets explained from october 2024')).toBe('rockets');
+  });
+
+  test('an empty request plays the latest upload', () => {
+    expect(matchVideo(VIDEOS, '', { now: NOW })).toMatchObject({ video: { video_id: 'recap' } });
+  });
+});
+
+describe('bare years and superlatives', () => {
+  test('are part of the title when the other words match one', () => {
+    expect(pick('play my 2024 recap')).toBe('recap');
+    expect(pick('the best pizza in NYC')).toBe('nyc');
+    expect(pick('best pizza')).toBe('nyc');
+  });
+
+  test('still rank or filter when nothing else is asked', () => {
+    expect(pick('best video')).toBe('oven');
+    expect(pick('top 2024 video')).toBe('oven');
+    expect(pick('worst one')).toBe('nyc');
+    expect(matchVideo(VIDEOS, '2023', { now: NOW }).candidates.map((c) => c.video_id)).toEqual(['nyc', 'tunnel']);
+  });
+
+  test('still rank when the other words match no title', () => {
+    expect(pick('highest knitting video')).toBe('oven');
+  });
+
+  test('are ambiguous when neither reading settles it', () => {
+    const top = matchVideo(VIDEOS, 'top pizza', { now: NOW });
+    expect(top.ambiguous).toBe(true);
+    expect(top.reason).toBe('"top" could be a ranking or part of a title');
+    expect(top.candidates.map((c) => c.video_id).sort()).toEqual(['nyc', 'oven']);
+
+    const year = matchVideo(VIDEOS, 'pizza 2023', { now: NOW });
+    expect(year.ambiguous).toBe(true);
+    expect(year.reason).toBe('"2023" could be a date or part of a title');
+  });
+
+  test('explicit rankings and dates are unaffected', () => {
+    expect(pick('most viewed pizza')).toBe('oven');
+    expect(pick('pizza from 2023')).toBe('nyc');
+  });
+});
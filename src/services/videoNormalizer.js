@@ -0,0 +1,172 @@
+// One shape for every video the JSON tools touch, whatever the source:
+// our download format (flat snake_case, duration in seconds), raw YouTube Data
+// API resources (snippet / statistics / contentDetails, ISO 8601 durations),
+// playlistItems that only carry contentDetails.videoId, and yt-dlp info.json
+// entries (upload_date YYYYMMDD or a unix timestamp, thumbnail, webpage_url).
+//
+//   { video_id, title, description, published_at, duration, view_count,
+//     like_count, comment_count, thumbnail_url, video_url, is_short }
+//
+// Counts and duration are numbers or null (never NaN); published_at is an ISO
+// string or null.
+
+// Shorts can run up to 3 minutes. Anything up to 60 s is treated as a Short;
+// 61–180 s only when the title or description is tagged #shorts, since
+// ordinary long-form videos that short exist too.
+export const SHORTS_MAX_SECONDS = 180;
+const SHORTS_ALWAYS_SECONDS = 60;
+
+// "PT14M3S" → 843, "P1DT2H" → 93600, also accepts 843, "843" and "14:03".
+export function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) return Number(str);
+  const clock = str.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  const iso = str.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!iso || str === 'P' || /T$/i.test(str)) return null;
+  const [, w = 0, d = 0, h = 0, m = 0, s = 0] = iso;
+  return Number(w) * 604800 + Number(d) * 86400 + Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+export const toCount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+};
+
+// ISO strings, "YYYYMMDD" (yt-dlp upload_date) or epoch milliseconds.
+export const toIsoDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const ymd = typeof value === 'string' && value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  const d = new Date(ymd ? `${ymd[1]}-${ymd[2]}-${ymd[3]}T00:00:00Z` : value);
+  return Number.isNaN(+d) ? null : d.toISOString();
+};
+
+export function isShort({ duration, title = '', description = '' }) {
+  if (duration === null || duration === undefined || duration <= 0) return false;
+  if (duration <= SHORTS_ALWAYS_SECONDS) return true;
+  return duration <= SHORTS_MAX_SECONDS && /#shorts?\b/i.test(`${title} ${description}`);
+}
+
+const epochMs = (seconds) => (typeof seconds === 'number' ? seconds * 1000 : seconds);
+
+// The source values behind each canonical field, before any parsing, so the
+// validator can tell "missing" from "present but unreadable".
+export function rawVideoFields(v) {
+  const snippet = v.snippet || {};
+  const stats = v.statistics || {};
+  const details = v.contentDetails || {};
+  const thumbs = snippet.thumbnails || {};
+
+  const videoId =
+    v.video_id ||
+    details.videoId ||
+    snippet.resourceId?.videoId ||
+    (typeof v.id === 'string' ? v.id : v.id?.videoId) ||
+    null;
+  return {
+    video_id: videoId,
+    title: v.title ?? snippet.title,
+    description: v.description ?? snippet.description,
+    published_at:
+      v.published_at ??
+      v.publishedAt ??
+      snippet.publishedAt ??
+      details.videoPublishedAt ??
+      epochMs(v.release_timestamp ?? v.timestamp) ??
+      v.upload_date,
+    duration: v.duration ?? details.duration,
+    view_count: v.view_count ?? v.viewCount ?? stats.viewCount,
+    like_count: v.like_count ?? v.likeCount ?? stats.likeCount,
+    comment_count: v.comment_count ?? v.commentCount ?? stats.commentCount,
+    thumbnail_url:
+      v.thumbnail_url ||
+      (thumbs.maxres || thumbs.standard || thumbs.high || thumbs.medium || thumbs.default || {}).url ||
+      (typeof v.thumbnail === 'string' ? v.thumbnail : null),
+    video_url: v.video_url || v.webpage_url,
+  };
+}
+
+export function normalizeVideo(v) {
+  if (!v || typeof v !== 'object') return null;
+  const raw = rawVideoFields(v);
+  const videoId = raw.video_id ? String(raw.video_id) : null;
+
+  const video = {
+    video_id: videoId,
+    title: String(raw.title ?? ''),
+    description: String(raw.description || ''),
+    published_at: toIsoDate(raw.published_at),
+    duration: parseDuration(raw.duration),
+    view_count: toCount(raw.view_count),
+    like_count: toCount(raw.like_count),
+    comment_count: toCount(raw.comment_count),
+    thumbnail_url: raw.thumbnail_url || null,
+    video_url: raw.video_url || (videoId ? `https://www.youtube.com/watch?v=${videoId}` : null),
+  };
+  video.is_short = isShort(video);
+  return video;
+}
+
+const rawVideos = (channelJson) => {
+  if (!channelJson) return [];
+  if (Array.isArray(channelJson)) return channelJson;
+  if (Array.isArray(channelJson.videos)) return channelJson.videos;
+  if (Array.isArray(channelJson.items)) return channelJson.items;
+  return [];
+};
+
+// Normalized once per loaded object; tools call this on every invocation.
+const cache = new WeakMap();
+
+export function getVideos(channelJson) {
+  if (!channelJson || typeof channelJson !== 'object') return [];
+  if (!cache.has(channelJson)) {
+    cache.set(channelJson, rawVideos(channelJson).map(normalizeVideo).filter(Boolean));
+  }
+  return cache.get(channelJson);
+}
+
+// Numeric fields the tools accept, with the names people actually type.
+export const NUMERIC_FIELDS = ['view_count', 'like_count', 'comment_count', 'duration'];
+
+const FIELD_ALIASES = {
+  view: 'view_count',
+  views: 'view_count',
+  viewcount: 'view_count',
+  like: 'like_count',
+  likes: 'like_count',
+  likecount: 'like_count',
+  comment: 'comment_count',
+  comments: 'comment_count',
+  commentcount: 'comment_count',
+  length: 'duration',
+  seconds: 'duration',
+};
+
+export function resolveField(name, fallback = 'view_count') {
+  const key = String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+  if (!key) return fallback;
+  if (NUMERIC_FIELDS.includes(key)) return key;
+  return FIELD_ALIASES[key.replace(/_/g, '')] || (NUMERIC_FIELDS.includes(`${key}_count`) ? `${key}_count` : null);
+}
+
+// Duration buckets for length comparisons, in seconds [min, max).
+export const DURATION_BUCKETS = [
+  { name: '< 1 min', min: 0, max: 60 },
+  { name: '1–5 min', min: 60, max: 300 },
+  { name: '5–10 min', min: 300, max: 600 },
+  { name: '10–20 min', min: 600, max: 1200 },
+  { name: '20–40 min', min: 1200, max: 2400 },
+  { name: '40+ min', min: 2400, max: Infinity },
+];
+
+export const durationBucket = (seconds) =>
+  seconds === null || seconds === undefined
+    ? null
+    : DURATION_BUCKETS.find((b) => seconds >= b.min && seconds < b.max)?.name || null;
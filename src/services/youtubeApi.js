@@ -0,0 +1,96 @@
+import { authHeaders, handleUnauthorized } from './mongoApi';
+
+const API = process.env.REACT_APP_API_URL || '';
+
+// Parse an error body like {"error":"..."} into a readable message.
+const errorMessage = (text, fallback) => {
+  try {
+    return JSON.parse(text).error || fallback;
+  } catch {
+    return text || fallback;
+  }
+};
+
+const api = async (path, options = {}) => {
+  const res = await fetch(`${API}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...options.headers },
+  });
+  const text = await res.text();
+  if (res.status === 401) handleUnauthorized();
+  if (!res.ok) throw new Error(errorMessage(text, res.statusText));
+  return text ? JSON.parse(text) : {};
+};
+
+// ── Status ───────────────────────────────────────────────────────────────────
+
+export const getYoutubeStatus = () => api('/api/youtube/status').catch(() => ({ configured: false }));
+
+// ── Channel download ─────────────────────────────────────────────────────────
+// Resolves a channel URL / @handle / id on the server and resolves to
+// { channel, videos }. onProgress gets { stage, done, total } as the server
+// pages through uploads; aborting `signal` stops the server's API calls too.
+// Each download is also stored server-side as a snapshot.
+
+// Reads the server's NDJSON progress stream and resolves to the final data.
+const readJobStream = async (res, onProgress) => {
+  if (res.status === 401) handleUnauthorized();
+  if (!res.ok) throw new Error(errorMessage(await res.text(), res.statusText));
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line) continue;
+      const event = JSON.parse(line);
+      if (event.type === 'error') throw new Error(event.error);
+      if (event.type === 'done') return event.data;
+      if (event.type === 'progress') onProgress(event);
+    }
+  }
+  throw new Error('Download ended before the channel data arrived');
+};
+
+export const fetchYoutubeChannel = async (channel, maxVideos, { signal, onProgress = () => {} } = {}) => {
+  const res = await fetch(`${API}/api/youtube/channel`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ channel, maxVideos }),
+    signal,
+  });
+  return readJobStream(res, onProgress);
+};
+
+// ── Snapshots ────────────────────────────────────────────────────────────────
+
+// [{ channel_id, handle, url, title, tracked_videos, snapshot_count, last_snapshot_at }]
+export const listSavedChannels = () => api('/api/youtube/channels');
+
+// Re-fetches stats for every video already downloaded → { channel, videos }
+export const refreshYoutubeChannel = async (channelId, { signal, onProgress = () => {} } = {}) => {
+  const res = await fetch(`${API}/api/youtube/channels/${encodeURIComponent(channelId)}/refresh`, {
+    method: 'POST',
+    headers: authHeaders(),
+    signal,
+  });
+  return readJobStream(res, onProgress);
+};
+
+// One point per snapshot for a video (or the sum over the videos present in
+// every snapshot):
+// → [{ taken_at, value, videos }]
+export const getChannelHistory = async (channelId, { videoId, metric = 'view_count', signal } = {}) => {
+  const params = new URLSearchParams({ metric });
+  if (videoId) params.set('video_id', videoId);
+  const { points } = await api(`/api/youtube/channels/${encodeURIComponent(channelId)}/history?${params}`, {
+    signal,
+  });
+  return points;
+};